@@ -0,0 +1,239 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { setMailTransport } from "../src/mail/mail_service.js";
+import { createOutboxTransport } from "../src/mail/outbox_transport.js";
+
+// Import the repository module the tests inspect directly
+import * as userRepository from "../user_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import Node.js modules for cleanup and the outbox test
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+describe("Outbox mail transport", () => {
+  test("should write each message as a JSON file", async () => {
+    const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "tradelab-outbox-"));
+    try {
+      const transport = createOutboxTransport(path.join(outboxDir, "nested"));
+      const filePath = await transport.send({ to: "a@example.com", subject: "Hi", text: "Body" });
+
+      const written = JSON.parse(await fs.readFile(filePath, "utf8"));
+      expect(written.to).toBe("a@example.com");
+      expect(written.subject).toBe("Hi");
+      expect(written.text).toBe("Body");
+      expect(written.sentAt).toEqual(expect.any(String));
+    } finally {
+      await fs.rm(outboxDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("Account Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let sentMail;
+
+  const credentials = { email: "account@example.com", password: "original-passw0rd" };
+
+  // Pulls the token out of the most recent email's link
+  const lastMailedToken = () => {
+    const match = sentMail[sentMail.length - 1].text.match(/token=([\w-]+)/);
+    return match[1];
+  };
+
+  const register = () =>
+    request(app)
+      .post("/auth/register")
+      .send({ username: "accountUser", ...credentials });
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    // Capture outgoing mail in memory
+    setMailTransport({
+      send: async (message) => {
+        sentMail.push(message);
+      },
+    });
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    sentMail = [];
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM users;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  describe("email verification", () => {
+    test("should send a verification email on registration", async () => {
+      const res = await register();
+      expect(res.status).toBe(201);
+      expect(res.body.user.email_verified_at).toBeNull();
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe(credentials.email);
+      expect(sentMail[0].text).toMatch(/verify-email\?token=/);
+    });
+
+    test("should verify the email with the mailed token, once", async () => {
+      const registered = await register();
+      const token = lastMailedToken();
+
+      const res = await request(app).post("/auth/verify-email/confirm").send({ token });
+      expect(res.status).toBe(204);
+      const user = await userRepository.findUserById(registered.body.user.id);
+      expect(user.email_verified_at).toEqual(expect.any(String));
+
+      const again = await request(app).post("/auth/verify-email/confirm").send({ token });
+      expect(again.status).toBe(400);
+    });
+
+    test("should let a logged-in user request a new verification email", async () => {
+      await register();
+      const firstToken = lastMailedToken();
+      const login = await request(app).post("/auth/login").send(credentials);
+
+      const res = await request(app)
+        .post("/auth/verify-email/request")
+        .set("Authorization", `Bearer ${login.body.accessToken}`);
+      expect(res.status).toBe(202);
+      expect(sentMail).toHaveLength(2);
+
+      // Issuing a new token invalidates the previous one
+      const stale = await request(app)
+        .post("/auth/verify-email/confirm")
+        .send({ token: firstToken });
+      expect(stale.status).toBe(400);
+      const fresh = await request(app)
+        .post("/auth/verify-email/confirm")
+        .send({ token: lastMailedToken() });
+      expect(fresh.status).toBe(204);
+
+      const alreadyVerified = await request(app)
+        .post("/auth/verify-email/request")
+        .set("Authorization", `Bearer ${login.body.accessToken}`);
+      expect(alreadyVerified.status).toBe(409);
+    });
+
+    test("should reject a reset token used for verification", async () => {
+      await register();
+      await request(app).post("/auth/password-reset/request").send({ email: credentials.email });
+      const res = await request(app)
+        .post("/auth/verify-email/confirm")
+        .send({ token: lastMailedToken() });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("password reset", () => {
+    test("should not reveal whether an email is registered", async () => {
+      const res = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: "nobody@example.com" });
+      expect(res.status).toBe(202);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    test("should reset the password and revoke existing sessions", async () => {
+      await register();
+      const login = await request(app).post("/auth/login").send(credentials);
+
+      const requested = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ email: credentials.email });
+      expect(requested.status).toBe(202);
+      expect(sentMail[sentMail.length - 1].text).toMatch(/reset-password\?token=/);
+      const token = lastMailedToken();
+
+      // Only the hash is stored
+      const stored = await new Promise((resolve, reject) => {
+        db.get("SELECT token_hash FROM account_tokens WHERE purpose = 'password_reset'", (err, row) =>
+          err ? reject(err) : resolve(row),
+        );
+      });
+      expect(stored.token_hash).not.toBe(token);
+
+      const res = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "brand-new-passw0rd" });
+      expect(res.status).toBe(204);
+
+      const oldLogin = await request(app).post("/auth/login").send(credentials);
+      expect(oldLogin.status).toBe(401);
+      const newLogin = await request(app)
+        .post("/auth/login")
+        .send({ email: credentials.email, password: "brand-new-passw0rd" });
+      expect(newLogin.status).toBe(200);
+
+      const oldSession = await request(app)
+        .get("/sessions")
+        .set("Authorization", `Bearer ${login.body.accessToken}`);
+      expect(oldSession.status).toBe(401);
+
+      const reuse = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "another-passw0rd" });
+      expect(reuse.status).toBe(400);
+    });
+
+    test("should reject an expired token", async () => {
+      await register();
+      await request(app).post("/auth/password-reset/request").send({ email: credentials.email });
+      await new Promise((resolve, reject) => {
+        db.run("UPDATE account_tokens SET expires_at = '2000-01-01T00:00:00.000Z'", (err) =>
+          err ? reject(err) : resolve(),
+        );
+      });
+
+      const res = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token: lastMailedToken(), password: "brand-new-passw0rd" });
+      expect(res.status).toBe(400);
+    });
+
+    test("should reject a weak new password without consuming the token", async () => {
+      await register();
+      await request(app).post("/auth/password-reset/request").send({ email: credentials.email });
+      const token = lastMailedToken();
+
+      const weak = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "short" });
+      expect(weak.status).toBe(400);
+
+      const strong = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "long-enough-passw0rd" });
+      expect(strong.status).toBe(204);
+    });
+  });
+});
@@ -0,0 +1,278 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import repository modules so the test DB can be injected
+import * as tradeRepository from "../trade_repository.js";
+import * as userRepository from "../user_repository.js";
+import * as subAccountRepository from "../sub_account_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+describe("Analytics Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+  let testSubAccountId;
+
+  // Closed long trade of 10 shares entered at 100 with 1 commission
+  const addClosedTrade = (exitPrice, exitDate, overrides = {}) =>
+    tradeRepository.createTrade({
+      userId: testUserId,
+      subAccountId: null,
+      ticker: "ANL",
+      quantity: 10,
+      entryPrice: 100,
+      direction: "long",
+      entryDate: "2024-02-01T14:30:00.000Z",
+      commission: 1,
+      status: "closed",
+      exitPrice,
+      exitDate,
+      ...overrides,
+    });
+
+  const get = (path, userId = testUserId) =>
+    request(app).get(path).set("Authorization", authHeader(userId));
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await userRepository.createUser(
+      "analyticsUser",
+      "analytics@example.com",
+      simpleHash("password"),
+    );
+    otherUserId = await userRepository.createUser(
+      "otherAnalyticsUser",
+      "otheranalytics@example.com",
+      simpleHash("password"),
+    );
+    testSubAccountId = await subAccountRepository.createSubAccount(
+      testUserId,
+      "Analytics SubAcc",
+    );
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean only trades before each test
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM trades;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  test("should reject requests without an access token", async () => {
+    const res = await request(app).get("/analytics/stats");
+    expect(res.status).toBe(401);
+  });
+
+  describe("GET /analytics/stats", () => {
+    test("should return statistics over the acting user's closed trades", async () => {
+      await addClosedTrade(110, "2024-02-02T15:00:00.000Z");
+      await addClosedTrade(95, "2024-02-03T15:00:00.000Z");
+      await addClosedTrade(150, "2024-02-02T15:00:00.000Z", { userId: otherUserId });
+
+      const res = await get("/analytics/stats");
+      expect(res.status).toBe(200);
+      expect(res.body.tradeCount).toBe(2);
+      expect(res.body.winRate).toBe(50);
+      expect(res.body.netPnl).toBeCloseTo(48);
+      expect(res.body.profitFactor).toBeCloseTo(99 / 51);
+      expect(res.body.currentStreak).toEqual({ type: "loss", length: 1 });
+    });
+
+    test("should filter by date range and sub-account", async () => {
+      await addClosedTrade(110, "2024-02-02T15:00:00.000Z", { subAccountId: testSubAccountId });
+      await addClosedTrade(95, "2024-02-03T15:00:00.000Z", { subAccountId: testSubAccountId });
+      await addClosedTrade(120, "2024-02-05T15:00:00.000Z");
+
+      const ranged = await get("/analytics/stats?exitFrom=2024-02-03&exitTo=2024-02-05");
+      expect(ranged.body.tradeCount).toBe(2);
+
+      const sub = await get(`/analytics/stats?subAccountId=${testSubAccountId}&exitTo=2024-02-02`);
+      expect(sub.status).toBe(200);
+      expect(sub.body.tradeCount).toBe(1);
+      expect(sub.body.largestWin).toBeCloseTo(99);
+    });
+
+    test("should return 404 for another user's sub-account", async () => {
+      const res = await get(`/analytics/stats?subAccountId=${testSubAccountId}`, otherUserId);
+      expect(res.status).toBe(404);
+    });
+
+    test("should return 400 for invalid filters", async () => {
+      const res = await get("/analytics/stats?exitFrom=yesterday&bogus=1");
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details).sort()).toEqual(["bogus", "exitFrom"]);
+    });
+  });
+
+  describe("GET /analytics/equity-curve", () => {
+    test("should return the cumulative P&L per period with drawdowns", async () => {
+      await addClosedTrade(110, "2024-02-02T15:00:00.000Z");
+      await addClosedTrade(95, "2024-02-06T15:00:00.000Z");
+      await addClosedTrade(120, "2024-02-13T15:00:00.000Z", { subAccountId: testSubAccountId });
+
+      const res = await get("/analytics/equity-curve?bucket=week&timezone=UTC");
+      expect(res.status).toBe(200);
+      expect(res.body.bucket).toBe("week");
+      expect(res.body.timezone).toBe("UTC");
+      expect(res.body.points.map((p) => p.period)).toEqual([
+        "2024-01-29",
+        "2024-02-05",
+        "2024-02-12",
+      ]);
+      expect(res.body.points.map((p) => p.cumulativePnl)).toEqual([99, 48, 247]);
+      expect(res.body.maxDrawdown).toMatchObject({
+        amount: 51,
+        peakPeriod: "2024-01-29",
+        troughPeriod: "2024-02-05",
+        recoveryPeriod: "2024-02-12",
+        durationDays: 14,
+      });
+
+      const sub = await get(`/analytics/equity-curve?subAccountId=${testSubAccountId}`);
+      expect(sub.body.timezone).toBe("UTC");
+      expect(sub.body.points).toHaveLength(1);
+    });
+
+    test("should return 400 for an unknown bucket", async () => {
+      const res = await get("/analytics/equity-curve?bucket=hour");
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details)).toEqual(["bucket"]);
+    });
+  });
+
+  describe("GET /analytics/calendar", () => {
+    test("should return daily, weekly and monthly totals for a month", async () => {
+      await addClosedTrade(110, "2024-02-02T15:00:00.000Z");
+      await addClosedTrade(95, "2024-02-02T16:00:00.000Z", { subAccountId: testSubAccountId });
+      await addClosedTrade(120, "2024-03-01T15:00:00.000Z");
+
+      const res = await get("/analytics/calendar?month=2024-02&timezone=UTC");
+      expect(res.status).toBe(200);
+      expect(res.body.days).toEqual([
+        { date: "2024-02-02", netPnl: 48, tradeCount: 2, winCount: 1 },
+      ]);
+      expect(res.body.weeks).toEqual([
+        { weekStart: "2024-01-29", netPnl: 48, tradeCount: 2, winCount: 1 },
+      ]);
+      expect(res.body.total).toEqual({ netPnl: 48, tradeCount: 2, winCount: 1 });
+
+      const sub = await get(`/analytics/calendar?year=2024&subAccountId=${testSubAccountId}`);
+      expect(sub.status).toBe(200);
+      expect(sub.body.total.tradeCount).toBe(1);
+    });
+
+    test("should return 400 without a month or year", async () => {
+      const res = await get("/analytics/calendar");
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details)).toEqual(["month"]);
+    });
+  });
+
+  describe("GET /analytics/breakdown", () => {
+    test("should group closed trades by ticker within a date range", async () => {
+      await addClosedTrade(110, "2024-02-02T15:00:00.000Z", { ticker: "AAA" });
+      await addClosedTrade(95, "2024-02-03T15:00:00.000Z", { ticker: "BBB" });
+      await addClosedTrade(120, "2024-02-04T15:00:00.000Z", { ticker: "AAA" });
+      await addClosedTrade(50, "2024-03-04T15:00:00.000Z", { ticker: "CCC" });
+
+      const res = await get("/analytics/breakdown?groupBy=ticker&exitTo=2024-02-29");
+      expect(res.status).toBe(200);
+      expect(res.body.groupBy).toBe("ticker");
+      expect(res.body.groups).toEqual([
+        {
+          key: "AAA",
+          tradeCount: 2,
+          winCount: 2,
+          winRate: 100,
+          netPnl: 298,
+          averagePnl: 149,
+          totalCommission: 2,
+        },
+        {
+          key: "BBB",
+          tradeCount: 1,
+          winCount: 0,
+          winRate: 0,
+          netPnl: -51,
+          averagePnl: -51,
+          totalCommission: 1,
+        },
+      ]);
+    });
+
+    test("should return 400 without a valid groupBy", async () => {
+      const res = await get("/analytics/breakdown?sort=netPnl");
+      expect(res.status).toBe(400);
+      expect(res.body.details.groupBy).toBe("is required");
+    });
+  });
+
+  describe("GET /analytics/timing", () => {
+    test("should return time-of-day, weekday and holding time buckets", async () => {
+      // Entered Thursday 2024-02-01 at 14:30 UTC
+      await addClosedTrade(110, "2024-02-01T14:40:00.000Z");
+      await addClosedTrade(95, "2024-02-02T15:00:00.000Z");
+
+      const res = await get("/analytics/timing?bucketMinutes=15&timezone=UTC");
+      expect(res.status).toBe(200);
+      expect(res.body.bucketMinutes).toBe(15);
+      expect(res.body.timeOfDay).toEqual([
+        {
+          start: "14:30",
+          end: "14:45",
+          tradeCount: 2,
+          winCount: 1,
+          winRate: 50,
+          netPnl: 48,
+          averagePnl: 24,
+          totalCommission: 2,
+        },
+      ]);
+      expect(res.body.weekdays.map((b) => b.name)).toEqual(["Thursday"]);
+      expect(res.body.holdingTimes.map((b) => b.label)).toEqual(["5m-15m", "1d-1w"]);
+    });
+
+    test("should return 400 for an invalid bucket size", async () => {
+      const res = await get("/analytics/timing?bucketMinutes=abc");
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details)).toEqual(["bucketMinutes"]);
+    });
+  });
+});
@@ -0,0 +1,630 @@
+// Import functions to test
+import {
+  computePerformanceStats,
+  getPerformanceStats,
+  computeEquityCurve,
+  getEquityCurve,
+  computePnlCalendar,
+  getPnlCalendar,
+  computeBreakdown,
+  getBreakdown,
+  computeTimingAnalytics,
+  getTimingAnalytics,
+} from "../src/services/analytics_service.js";
+import { toLocalDateTime } from "../src/services/local_time.js";
+import { parseISODate } from "../src/validation/schema.js";
+
+// Import setup functions
+import { createTrade } from "../trade_repository.js";
+import { createUser, updateSettings } from "../user_repository.js";
+import { createSubAccount } from "../sub_account_repository.js";
+import { createTag } from "../tag_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { NotFoundError, ValidationError } from "../src/errors/app_errors.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Minimal closed trade rows as the repository returns them
+const closed = (netPnl, holdingSeconds = 3600, risk = {}) => ({
+  net_pnl: netPnl,
+  holding_seconds: holdingSeconds,
+  realized_r: risk.realizedR ?? null,
+  planned_rr: risk.plannedRR ?? null,
+});
+
+describe("Analytics Service", () => {
+  describe("computePerformanceStats", () => {
+    test("should compute win rate, averages, profit factor and expectancy", () => {
+      const stats = computePerformanceStats([
+        closed(100, 60),
+        closed(-50, 120),
+        closed(200, 180),
+        closed(0, 240),
+        closed(-30, 300),
+      ]);
+      expect(stats).toMatchObject({
+        tradeCount: 5,
+        winCount: 2,
+        lossCount: 2,
+        breakevenCount: 1,
+        winRate: 40,
+        netPnl: 220,
+        grossProfit: 300,
+        grossLoss: -80,
+        averageWin: 150,
+        averageLoss: -40,
+        profitFactor: 3.75,
+        expectancy: 44,
+        largestWin: 200,
+        largestLoss: -50,
+        averageHoldingSeconds: 180,
+      });
+    });
+
+    test("should track the longest streaks and the current one", () => {
+      const stats = computePerformanceStats(
+        [10, 20, -5, -5, -5, 0, 30, 40, 50, 60, -1, -2].map((pnl) => closed(pnl)),
+      );
+      expect(stats.maxWinStreak).toBe(4);
+      expect(stats.maxLossStreak).toBe(3);
+      expect(stats.currentStreak).toEqual({ type: "loss", length: 2 });
+
+      expect(computePerformanceStats([closed(5), closed(0)]).currentStreak).toEqual({
+        type: null,
+        length: 0,
+      });
+    });
+
+    test("should return nulls where there is nothing to divide by", () => {
+      expect(computePerformanceStats([])).toEqual({
+        tradeCount: 0,
+        winCount: 0,
+        lossCount: 0,
+        breakevenCount: 0,
+        winRate: null,
+        netPnl: 0,
+        grossProfit: 0,
+        grossLoss: 0,
+        averageWin: null,
+        averageLoss: null,
+        profitFactor: null,
+        expectancy: null,
+        largestWin: null,
+        largestLoss: null,
+        maxWinStreak: 0,
+        maxLossStreak: 0,
+        currentStreak: { type: null, length: 0 },
+        averageHoldingSeconds: null,
+        rTradeCount: 0,
+        averageR: null,
+        averagePlannedRR: null,
+        rDistribution: [
+          { label: "below -2R", tradeCount: 0 },
+          { label: "-2R to -1R", tradeCount: 0 },
+          { label: "-1R to 0R", tradeCount: 0 },
+          { label: "0R to 1R", tradeCount: 0 },
+          { label: "1R to 2R", tradeCount: 0 },
+          { label: "2R to 3R", tradeCount: 0 },
+          { label: "3R and above", tradeCount: 0 },
+        ],
+      });
+      expect(computePerformanceStats([closed(10), closed(20)]).profitFactor).toBeNull();
+    });
+
+    test("should average R-multiples over trades with a planned risk only", () => {
+      const stats = computePerformanceStats([
+        closed(200, 60, { realizedR: 2, plannedRR: 3 }),
+        closed(-100, 60, { realizedR: -1, plannedRR: 2 }),
+        closed(350, 60, { realizedR: 3.5 }),
+        closed(-250, 60, { realizedR: -2.5 }),
+        closed(50),
+      ]);
+      expect(stats.rTradeCount).toBe(4);
+      expect(stats.averageR).toBe(0.5);
+      expect(stats.averagePlannedRR).toBe(2.5);
+      expect(stats.rDistribution.map(({ tradeCount }) => tradeCount)).toEqual([1, 0, 1, 0, 0, 1, 1]);
+    });
+  });
+
+  describe("computeEquityCurve", () => {
+    const exited = (netPnl, exitDate) => ({ net_pnl: netPnl, exit_date: exitDate });
+
+    test("should accumulate P&L per day with running peak and drawdown", () => {
+      const curve = computeEquityCurve(
+        [
+          exited(100, "2024-01-01T15:00:00.000Z"),
+          exited(50, "2024-01-01T18:00:00.000Z"),
+          exited(-200, "2024-01-03T15:00:00.000Z"),
+          exited(30, "2024-01-05T15:00:00.000Z"),
+          exited(150, "2024-01-08T15:00:00.000Z"),
+          exited(-20, "2024-01-09T15:00:00.000Z"),
+        ],
+        { bucket: "day", timeZone: "UTC" },
+      );
+      expect(curve.points[0]).toEqual({
+        period: "2024-01-01",
+        pnl: 150,
+        tradeCount: 2,
+        cumulativePnl: 150,
+        peak: 150,
+        drawdown: 0,
+      });
+      // [period, pnl, cumulativePnl, peak, drawdown]
+      expect(curve.points.map((p) => [p.period, p.pnl, p.cumulativePnl, p.peak, p.drawdown]))
+        .toEqual([
+          ["2024-01-01", 150, 150, 150, 0],
+          ["2024-01-03", -200, -50, 150, 200],
+          ["2024-01-05", 30, -20, 150, 170],
+          ["2024-01-08", 150, 130, 150, 20],
+          ["2024-01-09", -20, 110, 150, 40],
+        ]);
+      // Not back at the peak yet: the drawdown lasts until the last period so far
+      expect(curve.maxDrawdown).toEqual({
+        amount: 200,
+        peak: 150,
+        peakPeriod: "2024-01-01",
+        troughPeriod: "2024-01-03",
+        recoveryPeriod: null,
+        durationDays: 8,
+      });
+      expect(curve.currentDrawdown).toBe(40);
+    });
+
+    test("should record the recovery of the deepest drawdown", () => {
+      const curve = computeEquityCurve(
+        [
+          exited(-50, "2024-01-02T15:00:00.000Z"),
+          exited(80, "2024-01-04T15:00:00.000Z"),
+          exited(-10, "2024-01-05T15:00:00.000Z"),
+        ],
+        { bucket: "day", timeZone: "UTC" },
+      );
+      expect(curve.maxDrawdown).toEqual({
+        amount: 50,
+        peak: 0,
+        peakPeriod: null,
+        troughPeriod: "2024-01-02",
+        recoveryPeriod: "2024-01-04",
+        durationDays: 2,
+      });
+    });
+
+    test("should bucket by week and month in the given time zone", () => {
+      const trades = [
+        // Sunday evening in New York, already Monday in UTC
+        exited(10, "2024-03-04T02:00:00.000Z"),
+        exited(20, "2024-03-04T15:00:00.000Z"),
+        exited(30, "2024-04-01T15:00:00.000Z"),
+      ];
+      const weekly = computeEquityCurve(trades, { bucket: "week", timeZone: "America/New_York" });
+      expect(weekly.points.map((p) => [p.period, p.pnl])).toEqual([
+        ["2024-02-26", 10],
+        ["2024-03-04", 20],
+        ["2024-04-01", 30],
+      ]);
+      const monthly = computeEquityCurve(trades, { bucket: "month", timeZone: "UTC" });
+      expect(monthly.points.map((p) => [p.period, p.pnl])).toEqual([
+        ["2024-03-01", 30],
+        ["2024-04-01", 30],
+      ]);
+    });
+
+    test("should return an empty curve without trades", () => {
+      expect(computeEquityCurve([], { bucket: "day", timeZone: "UTC" })).toEqual({
+        points: [],
+        maxDrawdown: null,
+        currentDrawdown: 0,
+      });
+    });
+  });
+
+  describe("computePnlCalendar", () => {
+    const exited = (netPnl, exitDate) => ({ net_pnl: netPnl, exit_date: exitDate });
+
+    test("should sum P&L, trades and wins per day, week and month", () => {
+      const calendar = computePnlCalendar(
+        [
+          exited(100, "2024-02-28T15:00:00.000Z"),
+          exited(-40, "2024-03-01T15:00:00.000Z"),
+          exited(60, "2024-03-01T19:00:00.000Z"),
+          exited(25, "2024-03-04T15:00:00.000Z"),
+          exited(-10, "2024-03-31T15:00:00.000Z"),
+          exited(500, "2024-04-01T15:00:00.000Z"),
+        ],
+        { from: "2024-03-01", to: "2024-03-31", timeZone: "UTC" },
+      );
+      expect(calendar.days).toEqual([
+        { date: "2024-03-01", netPnl: 20, tradeCount: 2, winCount: 1 },
+        { date: "2024-03-04", netPnl: 25, tradeCount: 1, winCount: 1 },
+        { date: "2024-03-31", netPnl: -10, tradeCount: 1, winCount: 0 },
+      ]);
+      // The week of Feb 26 only counts its March days
+      expect(calendar.weeks).toEqual([
+        { weekStart: "2024-02-26", netPnl: 20, tradeCount: 2, winCount: 1 },
+        { weekStart: "2024-03-04", netPnl: 25, tradeCount: 1, winCount: 1 },
+        { weekStart: "2024-03-25", netPnl: -10, tradeCount: 1, winCount: 0 },
+      ]);
+      expect(calendar.months).toEqual([
+        { month: "2024-03", netPnl: 35, tradeCount: 4, winCount: 2 },
+      ]);
+      expect(calendar.total).toEqual({ netPnl: 35, tradeCount: 4, winCount: 2 });
+    });
+
+    test("should put trades on the local day of their exit", () => {
+      const calendar = computePnlCalendar(
+        // Evening of Feb 29 in New York
+        [exited(10, "2024-03-01T02:00:00.000Z"), exited(20, "2024-03-01T15:00:00.000Z")],
+        { from: "2024-03-01", to: "2024-03-31", timeZone: "America/New_York" },
+      );
+      expect(calendar.days.map((d) => [d.date, d.netPnl])).toEqual([["2024-03-01", 20]]);
+    });
+  });
+
+  describe("computeBreakdown", () => {
+    const trade = (ticker, netPnl, overrides = {}) => ({
+      ticker,
+      direction: "long",
+      sub_account_id: null,
+      net_pnl: netPnl,
+      commission: 1,
+      ...overrides,
+    });
+    const trades = [
+      trade("AAPL", 100),
+      trade("aapl", -40, { direction: "short", sub_account_id: 7 }),
+      trade("MSFT", 30, { commission: null }),
+      trade("TSLA", -80, { direction: "short", sub_account_id: 7 }),
+      trade("MSFT", 20),
+    ];
+
+    test("should total each group, sorted by net P&L by default", () => {
+      expect(computeBreakdown(trades, { groupBy: "ticker" })).toEqual([
+        {
+          key: "AAPL",
+          tradeCount: 2,
+          winCount: 1,
+          winRate: 50,
+          netPnl: 60,
+          averagePnl: 30,
+          totalCommission: 2,
+        },
+        {
+          key: "MSFT",
+          tradeCount: 2,
+          winCount: 2,
+          winRate: 100,
+          netPnl: 50,
+          averagePnl: 25,
+          totalCommission: 1,
+        },
+        {
+          key: "TSLA",
+          tradeCount: 1,
+          winCount: 0,
+          winRate: 0,
+          netPnl: -80,
+          averagePnl: -80,
+          totalCommission: 1,
+        },
+      ]);
+    });
+
+    test("should sort by any column and keep a null key last", () => {
+      const keys = (options) => computeBreakdown(trades, options).map((group) => group.key);
+      expect(keys({ groupBy: "ticker", sort: "winRate", order: "asc" })).toEqual(
+        ["TSLA", "AAPL", "MSFT"],
+      );
+      // Equal trade counts fall back to the key
+      expect(keys({ groupBy: "ticker", sort: "tradeCount" })).toEqual(["AAPL", "MSFT", "TSLA"]);
+      expect(keys({ groupBy: "ticker", sort: "key", order: "desc" })).toEqual(
+        ["TSLA", "MSFT", "AAPL"],
+      );
+      expect(keys({ groupBy: "direction" })).toEqual(["long", "short"]);
+      expect(keys({ groupBy: "subAccount", order: "asc" })).toEqual([7, null]);
+      expect(keys({ groupBy: "subAccount", order: "desc" })).toEqual([7, null]);
+    });
+  });
+
+  describe("computeTimingAnalytics", () => {
+    const entered = (entryDate, netPnl, holdingSeconds) => ({
+      entry_date: entryDate,
+      net_pnl: netPnl,
+      holding_seconds: holdingSeconds,
+      commission: 0,
+    });
+    // Fridays and a Monday; New York is 4 hours behind UTC in June
+    const trades = [
+      entered("2024-06-07T13:31:00.000Z", -50, 120),
+      entered("2024-06-07T13:44:00.000Z", -30, 600),
+      entered("2024-06-07T13:45:00.000Z", 40, 3000),
+      entered("2024-06-10T15:10:00.000Z", 100, 2 * 24 * 3600),
+    ];
+
+    test("should bucket entries by local time of day", () => {
+      const { timeOfDay } = computeTimingAnalytics(trades, {
+        bucketMinutes: 15,
+        timeZone: "America/New_York",
+      });
+      expect(timeOfDay.map((b) => [b.start, b.end, b.tradeCount, b.netPnl])).toEqual([
+        ["09:30", "09:45", 2, -80],
+        ["09:45", "10:00", 1, 40],
+        ["11:00", "11:15", 1, 100],
+      ]);
+      expect(timeOfDay[0]).toMatchObject({ winCount: 0, winRate: 0, averagePnl: -40 });
+
+      const hourly = computeTimingAnalytics(trades, { bucketMinutes: 1440, timeZone: "UTC" });
+      expect(hourly.timeOfDay.map((b) => [b.start, b.end])).toEqual([["00:00", "24:00"]]);
+    });
+
+    test("should read timestamps without an offset as UTC whatever the server's zone", () => {
+      expect(parseISODate("2024-01-05T14:30")).toBe(Date.UTC(2024, 0, 5, 14, 30));
+      expect(toLocalDateTime("2024-01-05T14:30", "UTC")).toEqual({
+        date: "2024-01-05",
+        hour: 14,
+        minute: 30,
+        weekday: 5,
+      });
+      expect(toLocalDateTime("2024-01-05T14:30", "Asia/Tokyo")).toMatchObject({ hour: 23 });
+    });
+
+    test("should bucket entries by weekday and holding time", () => {
+      const { weekdays, holdingTimes } = computeTimingAnalytics(trades, {
+        bucketMinutes: 60,
+        timeZone: "America/New_York",
+      });
+      expect(weekdays.map((b) => [b.weekday, b.name, b.tradeCount, b.winRate])).toEqual([
+        [1, "Monday", 1, 100],
+        [5, "Friday", 3, (1 / 3) * 100],
+      ]);
+      expect(holdingTimes.map((b) => [b.label, b.minSeconds, b.maxSeconds, b.netPnl])).toEqual([
+        ["under 5m", 0, 300, -50],
+        ["5m-15m", 300, 900, -30],
+        ["15m-1h", 900, 3600, 40],
+        ["1d-1w", 86400, 604800, 100],
+      ]);
+    });
+  });
+
+  describe("with the database", () => {
+    let context;
+    let db;
+    let testUserId;
+    let otherUserId;
+    let subAccountId;
+
+    // Closed long trade of 10 shares entered at 100 (no commission)
+    const addClosedTrade = (exitPrice, exitDate, overrides = {}) =>
+      createTrade({
+        userId: testUserId,
+        subAccountId: null,
+        ticker: "STAT",
+        quantity: 10,
+        entryPrice: 100,
+        direction: "long",
+        entryDate: "2024-01-01T14:00:00.000Z",
+        commission: 0,
+        status: "closed",
+        exitPrice,
+        exitDate,
+        ...overrides,
+      });
+
+    beforeAll(async () => {
+      // Fresh in-memory database with the full schema, used by every repository
+      context = await createDatabaseContext({ filename: ":memory:" });
+      await migrate(context.db);
+      useDatabaseContext(context);
+      db = context.db;
+
+      testUserId = await createUser("statsUser", "stats@example.com", simpleHash("password"));
+      otherUserId = await createUser("otherStats", "otherstats@example.com", simpleHash("pw"));
+      subAccountId = await createSubAccount(testUserId, "Stats SubAcc");
+    });
+
+    afterAll(async () => {
+      await context.close();
+    });
+
+    beforeEach(async () => {
+      // Clean only trades before each test
+      await new Promise((resolve, reject) => {
+        db.run("DELETE FROM trades;", (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+
+    test("should use the user's closed trades in the order they were closed", async () => {
+      await addClosedTrade(90, "2024-01-03T15:00:00.000Z");
+      await addClosedTrade(110, "2024-01-02T15:00:00.000Z");
+      await addClosedTrade(120, "2024-01-04T15:00:00.000Z");
+      await createTrade({
+        userId: testUserId,
+        ticker: "OPEN",
+        quantity: 1,
+        entryPrice: 100,
+        direction: "long",
+        entryDate: "2024-01-01T14:00:00.000Z",
+      });
+      await addClosedTrade(150, "2024-01-02T15:00:00.000Z", { userId: otherUserId });
+
+      const stats = await getPerformanceStats(testUserId);
+      expect(stats.tradeCount).toBe(3);
+      expect(stats.netPnl).toBeCloseTo(200);
+      // Win on the 2nd, loss on the 3rd, win on the 4th
+      expect(stats.maxWinStreak).toBe(1);
+      expect(stats.currentStreak).toEqual({ type: "win", length: 1 });
+    });
+
+    test("should report R-multiples of trades with a stop or risk amount", async () => {
+      // Risks 10 x (100 - 95) = 50 to make 100
+      await addClosedTrade(110, "2024-01-02T15:00:00.000Z", { stopPrice: 95, targetPrice: 115 });
+      // Risks an explicit 100 to lose 50
+      await addClosedTrade(95, "2024-01-03T15:00:00.000Z", { riskAmount: 100 });
+      await addClosedTrade(120, "2024-01-04T15:00:00.000Z");
+
+      const stats = await getPerformanceStats(testUserId);
+      expect(stats.rTradeCount).toBe(2);
+      expect(stats.averageR).toBeCloseTo(0.75);
+      expect(stats.averagePlannedRR).toBeCloseTo(3);
+      expect(stats.rDistribution[2]).toEqual({ label: "-1R to 0R", tradeCount: 1 });
+      expect(stats.rDistribution[5]).toEqual({ label: "2R to 3R", tradeCount: 1 });
+    });
+
+    test("should narrow to a sub-account and a closing date range", async () => {
+      await addClosedTrade(110, "2024-01-02T15:00:00.000Z", { subAccountId });
+      await addClosedTrade(90, "2024-01-05T15:00:00.000Z", { subAccountId });
+      await addClosedTrade(130, "2024-01-03T15:00:00.000Z");
+
+      const inSubAccount = await getPerformanceStats(testUserId, { subAccountId });
+      expect(inSubAccount.tradeCount).toBe(2);
+      expect(inSubAccount.winRate).toBe(50);
+
+      const inRange = await getPerformanceStats(testUserId, {
+        exitFrom: "2024-01-03",
+        exitTo: "2024-01-05",
+      });
+      expect(inRange.tradeCount).toBe(2);
+      expect(inRange.largestWin).toBeCloseTo(300);
+      expect(inRange.largestLoss).toBeCloseTo(-100);
+    });
+
+    test("should bucket the equity curve in the user's time zone by default", async () => {
+      // 03:00 UTC on the 3rd is still the 2nd in Los Angeles
+      await addClosedTrade(110, "2024-01-03T03:00:00.000Z");
+      await updateSettings(testUserId, { timezone: "America/Los_Angeles" });
+
+      const curve = await getEquityCurve(testUserId);
+      expect(curve.bucket).toBe("day");
+      expect(curve.timezone).toBe("America/Los_Angeles");
+      expect(curve.points.map((p) => p.period)).toEqual(["2024-01-02"]);
+
+      const utc = await getEquityCurve(testUserId, {}, { timezone: "UTC", bucket: "month" });
+      expect(utc.points.map((p) => p.period)).toEqual(["2024-01-01"]);
+
+      await expect(
+        getEquityCurve(testUserId, {}, { bucket: "year", timezone: "Mars/Olympus" }),
+      ).rejects.toMatchObject({
+        details: { bucket: expect.any(String), timezone: expect.any(String) },
+      });
+    });
+
+    test("should build a month or year calendar in the user's time zone", async () => {
+      await updateSettings(testUserId, { timezone: "Asia/Tokyo" });
+      // Already March 1st in Tokyo
+      await addClosedTrade(110, "2024-02-29T16:00:00.000Z");
+      await addClosedTrade(90, "2024-03-31T16:00:00.000Z", { subAccountId });
+
+      const march = await getPnlCalendar(testUserId, {}, { month: "2024-03" });
+      expect(march).toMatchObject({ timezone: "Asia/Tokyo", from: "2024-03-01", to: "2024-03-31" });
+      expect(march.days.map((d) => d.date)).toEqual(["2024-03-01"]);
+
+      const february = await getPnlCalendar(testUserId, {}, { month: "2024-02" });
+      expect(february.to).toBe("2024-02-29");
+      expect(february.days).toEqual([]);
+
+      const year = await getPnlCalendar(testUserId, { subAccountId }, { year: "2024" });
+      expect(year.months).toEqual([
+        { month: "2024-04", netPnl: expect.closeTo(-100), tradeCount: 1, winCount: 0 },
+      ]);
+    });
+
+    test("should require exactly one of month and year", async () => {
+      await expect(getPnlCalendar(testUserId)).rejects.toMatchObject({
+        details: { month: "is required unless year is given" },
+      });
+      await expect(
+        getPnlCalendar(testUserId, { exitFrom: "2024-01-01" }, { month: "2024-13", year: "2024" }),
+      ).rejects.toMatchObject({
+        details: {
+          month: "must be a month (YYYY-MM)",
+          year: "cannot be combined with month",
+          exitFrom: "cannot be combined with month or year",
+        },
+      });
+    });
+
+    test("should break down by sub-account with names within a date range", async () => {
+      await addClosedTrade(110, "2024-01-02T15:00:00.000Z", { subAccountId });
+      await addClosedTrade(90, "2024-01-03T15:00:00.000Z");
+      await addClosedTrade(150, "2024-02-03T15:00:00.000Z");
+
+      const breakdown = await getBreakdown(
+        testUserId,
+        { exitTo: "2024-01-31" },
+        { groupBy: "subAccount", sort: "key", order: "asc" },
+      );
+      expect(breakdown.groupBy).toBe("subAccount");
+      expect(breakdown.groups.map((g) => [g.key, g.name, g.tradeCount])).toEqual([
+        [subAccountId, "Stats SubAcc", 1],
+        [null, null, 1],
+      ]);
+      await expect(getBreakdown(testUserId, {}, { groupBy: "sector" })).rejects.toMatchObject({
+        details: { groupBy: expect.any(String) },
+      });
+    });
+
+    test("should break down by tag, counting a trade towards each of its tags", async () => {
+      const breakout = await createTag(testUserId, { name: "Breakout", category: "setup" });
+      const fomo = await createTag(testUserId, { name: "FOMO", category: "mistake" });
+      await addClosedTrade(110, "2024-01-02T15:00:00.000Z", { tagIds: [breakout] });
+      await addClosedTrade(90, "2024-01-03T15:00:00.000Z", { tagIds: [breakout, fomo] });
+      await addClosedTrade(105, "2024-01-04T15:00:00.000Z");
+
+      const breakdown = await getBreakdown(testUserId, {}, { groupBy: "tag", sort: "tradeCount" });
+      expect(breakdown.groups.map((g) => [g.key, g.name, g.tradeCount, g.netPnl])).toEqual([
+        [breakout, "Breakout", 2, 0],
+        [fomo, "FOMO", 1, -100],
+        [null, null, 1, 50],
+      ]);
+
+      // Tag filters narrow any analytics
+      const stats = await getPerformanceStats(testUserId, { tagIds: [fomo] });
+      expect(stats.tradeCount).toBe(1);
+    });
+
+    test("should read entry times in the user's time zone", async () => {
+      await updateSettings(testUserId, { timezone: "Europe/Berlin" });
+      // 23:30 UTC on Sunday is 00:30 on Monday in Berlin
+      await addClosedTrade(110, "2024-01-08T15:00:00.000Z", {
+        entryDate: "2024-01-07T23:30:00.000Z",
+      });
+
+      const timing = await getTimingAnalytics(testUserId, {}, { bucketMinutes: 30 });
+      expect(timing).toMatchObject({ timezone: "Europe/Berlin", bucketMinutes: 30 });
+      expect(timing.timeOfDay.map((b) => b.start)).toEqual(["00:30"]);
+      expect(timing.weekdays.map((b) => b.name)).toEqual(["Monday"]);
+
+      await expect(
+        getTimingAnalytics(testUserId, {}, { bucketMinutes: 7 }),
+      ).rejects.toMatchObject({
+        details: { bucketMinutes: "must divide a day (1440 minutes) evenly" },
+      });
+    });
+
+    test("should reject another user's sub-account and invalid filters", async () => {
+      const otherSubAccountId = await createSubAccount(otherUserId, "Not Mine");
+      await expect(
+        getPerformanceStats(testUserId, { subAccountId: otherSubAccountId }),
+      ).rejects.toBeInstanceOf(NotFoundError);
+      await expect(getPerformanceStats(testUserId, { status: "open" })).rejects.toBeInstanceOf(
+        ValidationError,
+      );
+    });
+  });
+});
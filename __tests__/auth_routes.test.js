@@ -0,0 +1,237 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { hashPassword, verifyPassword } from "../src/services/auth_service.js";
+import { signAccessToken, verifyAccessToken } from "../src/services/token_service.js";
+
+// Import the repository module the tests inspect directly
+import * as userRepository from "../user_repository.js";
+import { setMailTransport } from "../src/mail/mail_service.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+import { Buffer } from "buffer";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+describe("Password hashing", () => {
+  test("should produce a salted scrypt hash that verifies", async () => {
+    const hash = await hashPassword("correct horse");
+    expect(hash).toMatch(/^scrypt\$\d+\$\d+\$\d+\$[^$]+\$[^$]+$/);
+    expect(hash).not.toContain("correct horse");
+    await expect(verifyPassword("correct horse", hash)).resolves.toBe(true);
+    await expect(verifyPassword("wrong horse", hash)).resolves.toBe(false);
+  });
+
+  test("should use a different salt for every hash", async () => {
+    const first = await hashPassword("same password");
+    const second = await hashPassword("same password");
+    expect(first).not.toBe(second);
+  });
+
+  test("should reject malformed stored hashes", async () => {
+    await expect(verifyPassword("anything", "hashed_anything")).resolves.toBe(false);
+    await expect(verifyPassword("anything", null)).resolves.toBe(false);
+  });
+});
+
+describe("Access tokens", () => {
+  test("should round-trip the user id", () => {
+    const payload = verifyAccessToken(signAccessToken(42));
+    expect(payload.sub).toBe(42);
+    expect(payload.exp).toBeGreaterThan(payload.iat);
+  });
+
+  test("should reject a tampered token", () => {
+    const [header, , signature] = signAccessToken(42).split(".");
+    const forgedPayload = Buffer.from(
+      JSON.stringify({ sub: 1, typ: "access", iat: 0, exp: 9999999999 }),
+    ).toString("base64url");
+    expect(() => verifyAccessToken(`${header}.${forgedPayload}.${signature}`)).toThrow(
+      /Invalid access token/,
+    );
+  });
+
+  test("should reject an expired token", () => {
+    const token = signAccessToken(42, { expiresIn: -1 });
+    expect(() => verifyAccessToken(token)).toThrow(/expired/);
+  });
+
+  test("should reject garbage", () => {
+    expect(() => verifyAccessToken("not.a.token")).toThrow();
+    expect(() => verifyAccessToken(undefined)).toThrow();
+  });
+});
+
+describe("Auth Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+
+  const registration = {
+    username: "newTrader",
+    email: "New.Trader@Example.com",
+    password: "s3cure-passw0rd",
+  };
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    // Keep verification emails out of the real outbox
+    setMailTransport({ send: async () => {} });
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Users cascade to settings
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM users;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  describe("POST /auth/register", () => {
+    test("should create the user with a hashed password and default settings", async () => {
+      const res = await request(app).post("/auth/register").send(registration);
+      expect(res.status).toBe(201);
+      expect(res.body.user.id).toEqual(expect.any(Number));
+      expect(res.body.user.username).toBe("newTrader");
+      expect(res.body.user.email).toBe("new.trader@example.com");
+      expect(res.body.user.password_hash).toBeUndefined();
+
+      const stored = await userRepository.findUserById(res.body.user.id);
+      expect(stored.password_hash).not.toBe(registration.password);
+      await expect(verifyPassword(registration.password, stored.password_hash)).resolves.toBe(true);
+
+      const settings = await userRepository.findSettingsByUserId(res.body.user.id);
+      expect(settings.default_currency).toBe("USD");
+      expect(settings.theme).toBe("light");
+    });
+
+    test("should return 409 for a taken username or email", async () => {
+      await request(app).post("/auth/register").send(registration);
+
+      const sameName = await request(app)
+        .post("/auth/register")
+        .send({ ...registration, email: "different@example.com" });
+      expect(sameName.status).toBe(409);
+
+      const sameEmail = await request(app)
+        .post("/auth/register")
+        .send({ ...registration, username: "differentName" });
+      expect(sameEmail.status).toBe(409);
+    });
+
+    test("should return 400 for a short password or bad email", async () => {
+      const shortPw = await request(app)
+        .post("/auth/register")
+        .send({ ...registration, password: "short" });
+      expect(shortPw.status).toBe(400);
+
+      const badEmail = await request(app)
+        .post("/auth/register")
+        .send({ ...registration, email: "not-an-email" });
+      expect(badEmail.status).toBe(400);
+    });
+  });
+
+  describe("POST /auth/login", () => {
+    beforeEach(async () => {
+      await request(app).post("/auth/register").send(registration);
+    });
+
+    test("should log in with email and password", async () => {
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: registration.email, password: registration.password });
+      expect(res.status).toBe(200);
+      expect(res.body.user.username).toBe("newTrader");
+      expect(res.body.user.password_hash).toBeUndefined();
+      expect(res.body.tokenType).toBe("Bearer");
+      expect(res.body.expiresIn).toEqual(expect.any(Number));
+      expect(verifyAccessToken(res.body.accessToken).sub).toBe(res.body.user.id);
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+    });
+
+    test("should log in with username and password", async () => {
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ username: registration.username, password: registration.password });
+      expect(res.status).toBe(200);
+    });
+
+    test("should return 401 for a wrong password", async () => {
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: registration.email, password: "wrong-password" });
+      expect(res.status).toBe(401);
+    });
+
+    test("should return the same 401 for an unknown user", async () => {
+      const res = await request(app)
+        .post("/auth/login")
+        .send({ email: "nobody@example.com", password: registration.password });
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid credentials");
+    });
+
+    test("should return 400 without a password", async () => {
+      const res = await request(app).post("/auth/login").send({ email: registration.email });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("authenticate middleware", () => {
+    test("should accept the access token issued at login", async () => {
+      await request(app).post("/auth/register").send(registration);
+      const login = await request(app)
+        .post("/auth/login")
+        .send({ email: registration.email, password: registration.password });
+
+      const res = await request(app)
+        .get("/sub-accounts")
+        .set("Authorization", `Bearer ${login.body.accessToken}`);
+      expect(res.status).toBe(200);
+    });
+
+    test("should return 401 without a bearer token", async () => {
+      const res = await request(app).get("/sub-accounts");
+      expect(res.status).toBe(401);
+    });
+
+    test("should return 401 for an expired token", async () => {
+      const registered = await request(app).post("/auth/register").send(registration);
+      const token = signAccessToken(registered.body.user.id, { expiresIn: -1 });
+      const res = await request(app).get("/sub-accounts").set("Authorization", `Bearer ${token}`);
+      expect(res.status).toBe(401);
+    });
+
+    test("should return 401 when the user no longer exists", async () => {
+      const res = await request(app)
+        .get("/sub-accounts")
+        .set("Authorization", `Bearer ${signAccessToken(999999)}`);
+      expect(res.status).toBe(401);
+    });
+  });
+});
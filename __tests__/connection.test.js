@@ -0,0 +1,115 @@
+// Import the connection factory under test
+import {
+  getDatabaseConfig,
+  createDatabaseContext,
+  useDatabaseContext,
+  getDatabase,
+} from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { createUser, findUserById } from "../user_repository.js";
+
+// Temporary database files for the read-only test
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Import jest testing functions
+import {
+  describe,
+  afterEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+const get = (db, sql) =>
+  new Promise((resolve, reject) => db.get(sql, (err, row) => (err ? reject(err) : resolve(row))));
+const run = (db, sql) =>
+  new Promise((resolve, reject) => db.run(sql, (err) => (err ? reject(err) : resolve())));
+
+describe("Database connection factory", () => {
+  const contexts = [];
+
+  // Opens a context that is closed again after the test
+  const openContext = async (overrides) => {
+    const context = await createDatabaseContext(overrides);
+    contexts.push(context);
+    return context;
+  };
+
+  afterEach(async () => {
+    while (contexts.length) {
+      await contexts.pop().close();
+    }
+  });
+
+  describe("getDatabaseConfig", () => {
+    test("should default to the bundled database file", () => {
+      const config = getDatabaseConfig({});
+      expect(path.isAbsolute(config.filename)).toBe(true);
+      expect(path.basename(config.filename)).toBe("trading_app.db");
+      expect(config.readOnly).toBe(false);
+    });
+
+    test("should use the test database when NODE_ENV is test", () => {
+      expect(path.basename(getDatabaseConfig({ NODE_ENV: "test" }).filename))
+        .toBe("trading_app_test.db");
+    });
+
+    test("should resolve DATABASE_PATH and keep :memory: as is", () => {
+      expect(getDatabaseConfig({ DATABASE_PATH: "data/app.db" }).filename)
+        .toBe(path.resolve("data/app.db"));
+      expect(getDatabaseConfig({ DATABASE_PATH: ":memory:" }).filename).toBe(":memory:");
+    });
+
+    test("should read DATABASE_READONLY", () => {
+      expect(getDatabaseConfig({ DATABASE_READONLY: "true" }).readOnly).toBe(true);
+      expect(getDatabaseConfig({ DATABASE_READONLY: "1" }).readOnly).toBe(true);
+      expect(getDatabaseConfig({ DATABASE_READONLY: "no" }).readOnly).toBe(false);
+    });
+  });
+
+  test("getDatabase should throw once the active context is closed", async () => {
+    const context = await openContext({ filename: ":memory:" });
+    useDatabaseContext(context);
+    await context.close();
+    expect(() => getDatabase()).toThrow(/No database context/);
+  });
+
+  test("should enforce foreign keys", async () => {
+    const { db } = await openContext({ filename: ":memory:" });
+    expect(await get(db, "PRAGMA foreign_keys")).toEqual({ foreign_keys: 1 });
+  });
+
+  test("should point the repositories at the active context", async () => {
+    const first = await openContext({ filename: ":memory:" });
+    const second = await openContext({ filename: ":memory:" });
+    await migrate(first.db);
+    await migrate(second.db);
+
+    useDatabaseContext(first);
+    const userId = await createUser("ctxuser", "ctx@example.com", "hashed");
+    expect(await findUserById(userId)).toMatchObject({ username: "ctxuser" });
+
+    // Each in-memory context is its own database
+    useDatabaseContext(second);
+    expect(await findUserById(userId)).toBeNull();
+  });
+
+  test("should reject writes on a read-only context", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tradelab-db-"));
+    const filename = path.join(dir, "app.db");
+    try {
+      const writable = await openContext({ filename });
+      await migrate(writable.db);
+      await writable.close();
+
+      const readOnly = await openContext({ filename, readOnly: true });
+      expect(await get(readOnly.db, "SELECT COUNT(*) AS n FROM users")).toEqual({ n: 0 });
+      const insert = "INSERT INTO users (username, email, password_hash) VALUES ('a', 'b', 'c')";
+      await expect(run(readOnly.db, insert)).rejects.toMatchObject({ code: "SQLITE_READONLY" });
+      await readOnly.close();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
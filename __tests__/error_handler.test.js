@@ -0,0 +1,146 @@
+// Import the app factory and supertest to drive it
+import express from "express";
+import request from "supertest";
+
+// Import the error model under test
+import {
+  AppError,
+  ValidationError,
+  ConflictError,
+  ForeignKeyError,
+  DatabaseError,
+} from "../src/errors/app_errors.js";
+import { fromSqliteError } from "../src/errors/sqlite_errors.js";
+import { notFoundHandler, errorHandler } from "../src/middleware/error_handler.js";
+
+// Import jest testing functions
+import { describe, expect, test } from "@jest/globals";
+
+// Builds an error shaped like the ones sqlite3 passes to callbacks
+const sqliteError = (code, message) => Object.assign(new Error(`${code}: ${message}`), { code });
+
+describe("fromSqliteError", () => {
+  test("should map UNIQUE violations to a conflict naming the columns", () => {
+    const cause = sqliteError(
+      "SQLITE_CONSTRAINT",
+      "UNIQUE constraint failed: sub_accounts.user_id, sub_accounts.name",
+    );
+    const err = fromSqliteError(cause);
+    expect(err).toBeInstanceOf(ConflictError);
+    expect(err.status).toBe(409);
+    expect(err.details).toEqual({ fields: ["user_id", "name"] });
+    expect(err.cause).toBe(cause);
+  });
+
+  test("should map FOREIGN KEY violations", () => {
+    const err = fromSqliteError(sqliteError("SQLITE_CONSTRAINT", "FOREIGN KEY constraint failed"));
+    expect(err).toBeInstanceOf(ForeignKeyError);
+    expect(err.code).toBe("FOREIGN_KEY_VIOLATION");
+  });
+
+  test("should map NOT NULL and CHECK violations to validation errors", () => {
+    const notNull = fromSqliteError(
+      sqliteError("SQLITE_CONSTRAINT", "NOT NULL constraint failed: trades.ticker"),
+    );
+    expect(notNull).toBeInstanceOf(ValidationError);
+    expect(notNull.details).toEqual({ ticker: "is required" });
+
+    const check = fromSqliteError(
+      sqliteError("SQLITE_CONSTRAINT", "CHECK constraint failed: quantity > 0"),
+    );
+    expect(check).toBeInstanceOf(ValidationError);
+    expect(check.message).toMatch(/quantity > 0/);
+  });
+
+  test("should map anything else to a database error", () => {
+    const err = fromSqliteError(sqliteError("SQLITE_IOERR", "disk I/O error"));
+    expect(err).toBeInstanceOf(DatabaseError);
+    expect(err.status).toBe(500);
+  });
+
+  test("should pass domain errors through unchanged", () => {
+    const original = new ValidationError("Invalid trade", { quantity: "is required" });
+    expect(fromSqliteError(original)).toBe(original);
+  });
+});
+
+describe("errorHandler", () => {
+  // A throwaway app whose only route fails with the given error
+  const appFailingWith = (err) => {
+    const app = express();
+    app.use(express.json());
+    app.get("/fail", (req, res, next) => next(err));
+    app.post("/echo", (req, res) => res.json(req.body));
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+  };
+
+  test("should send the message, code and details of domain errors", async () => {
+    const app = appFailingWith(new ValidationError("Invalid trade", { quantity: "is required" }));
+    const res = await request(app).get("/fail");
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: "Invalid trade",
+      code: "VALIDATION_ERROR",
+      details: { quantity: "is required" },
+    });
+  });
+
+  test("should map raw sqlite errors that reach it", async () => {
+    const app = appFailingWith(
+      sqliteError("SQLITE_CONSTRAINT", "UNIQUE constraint failed: users.email"),
+    );
+    const res = await request(app).get("/fail");
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("CONFLICT");
+    expect(res.body.error).not.toMatch(/SQLITE/);
+  });
+
+  test("should hide the details of server-side failures", async () => {
+    for (const err of [
+      new Error("something exploded"),
+      sqliteError("SQLITE_IOERR", "disk I/O error"),
+      new AppError("secret internals"),
+    ]) {
+      const res = await request(appFailingWith(err)).get("/fail");
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe("Internal server error");
+      expect(res.body.code).toEqual(expect.any(String));
+    }
+  });
+
+  test("should report malformed JSON and unknown routes", async () => {
+    const app = appFailingWith(new Error("unused"));
+    const malformed = await request(app)
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send("{ not json");
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe("INVALID_JSON");
+
+    const missing = await request(app).get("/nowhere");
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: "Not found", code: "NOT_FOUND" });
+  });
+
+  test("should pass on the status of other client errors from the body parser", async () => {
+    const app = appFailingWith(new Error("unused"));
+    const oversized = await request(app)
+      .post("/echo")
+      .set("Content-Type", "application/json")
+      .send(JSON.stringify({ notes: "x".repeat(200 * 1024) }));
+    expect(oversized.status).toBe(413);
+    expect(oversized.body).toEqual({
+      error: "request entity too large",
+      code: "ENTITY_TOO_LARGE",
+    });
+
+    const badCharset = await request(app)
+      .post("/echo")
+      .set("Content-Type", "application/json; charset=klingon")
+      .send("{}");
+    expect(badCharset.status).toBe(415);
+    expect(badCharset.body.code).toBe("CHARSET_UNSUPPORTED");
+  });
+});
@@ -0,0 +1,173 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import the repository modules the tests inspect directly
+import * as userRepository from "../user_repository.js";
+import * as subAccountRepository from "../sub_account_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+describe("Me Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+
+  const patchSettings = (body, userId = testUserId) =>
+    request(app)
+      .patch("/me/settings")
+      .set("Authorization", authHeader(userId))
+      .send(body);
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    otherUserId = await userRepository.createUser(
+      "otherMeUser",
+      "otherme@example.com",
+      simpleHash("password"),
+    );
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Fresh user with default settings for every test
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM users WHERE username = 'meUser';", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    testUserId = await userRepository.createUserWithSettings(
+      "meUser",
+      "me@example.com",
+      simpleHash("password"),
+      { default_currency: "USD", theme: "light" },
+    );
+  });
+
+  test("GET /me should return the authenticated user without the password hash", async () => {
+    const res = await request(app).get("/me").set("Authorization", authHeader(testUserId));
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(testUserId);
+    expect(res.body.username).toBe("meUser");
+    expect(res.body.password_hash).toBeUndefined();
+  });
+
+  describe("GET /me/settings", () => {
+    test("should return the user's settings", async () => {
+      const res = await request(app)
+        .get("/me/settings")
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.user_id).toBe(testUserId);
+      expect(res.body.default_currency).toBe("USD");
+      expect(res.body.theme).toBe("light");
+      expect(res.body.timezone).toBe("UTC");
+      expect(res.body.default_sub_account_id).toBeNull();
+    });
+
+    test("should fall back to defaults for a user without settings", async () => {
+      const res = await request(app)
+        .get("/me/settings")
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.default_currency).toBe("USD");
+      expect(res.body.updated_at).toBeNull();
+    });
+  });
+
+  describe("PATCH /me/settings", () => {
+    test("should update currency, theme and timezone", async () => {
+      const res = await patchSettings({
+        defaultCurrency: "eur",
+        theme: "dark",
+        timezone: "America/New_York",
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.default_currency).toBe("EUR");
+      expect(res.body.theme).toBe("dark");
+      expect(res.body.timezone).toBe("America/New_York");
+    });
+
+    test("should report every invalid field", async () => {
+      const res = await patchSettings({
+        defaultCurrency: "XYZ",
+        theme: "neon",
+        timezone: "Mars/Olympus",
+        favoriteColor: "green",
+      });
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details).sort()).toEqual(
+        ["defaultCurrency", "favoriteColor", "theme", "timezone"],
+      );
+
+      // Nothing was applied
+      const settings = await userRepository.findSettingsByUserId(testUserId);
+      expect(settings.theme).toBe("light");
+    });
+
+    test("should accept only the user's own sub-account as default", async () => {
+      const mine = await subAccountRepository.createSubAccount(testUserId, "Main");
+      const theirs = await subAccountRepository.createSubAccount(otherUserId, "Theirs");
+
+      const rejected = await patchSettings({ defaultSubAccountId: theirs });
+      expect(rejected.status).toBe(400);
+      expect(rejected.body.details.defaultSubAccountId).toEqual(expect.any(String));
+
+      const accepted = await patchSettings({ defaultSubAccountId: mine });
+      expect(accepted.status).toBe(200);
+      expect(accepted.body.default_sub_account_id).toBe(mine);
+
+      const cleared = await patchSettings({ defaultSubAccountId: null });
+      expect(cleared.body.default_sub_account_id).toBeNull();
+    });
+
+    test("should create settings for a user without any", async () => {
+      const res = await patchSettings({ theme: "system" }, otherUserId);
+      expect(res.status).toBe(200);
+      expect(res.body.theme).toBe("system");
+      expect(res.body.updated_at).toEqual(expect.any(String));
+    });
+
+    test("should return 400 for an empty update", async () => {
+      const res = await patchSettings({});
+      expect(res.status).toBe(400);
+    });
+
+    test("should require authentication", async () => {
+      const res = await request(app).patch("/me/settings").send({ theme: "dark" });
+      expect(res.status).toBe(401);
+    });
+  });
+});
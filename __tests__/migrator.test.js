@@ -0,0 +1,175 @@
+// Import the migration runner under test
+import {
+  migrate,
+  rollback,
+  getMigrationStatus,
+  loadMigrations,
+} from "../src/db/migrator.js";
+
+// sqlite3 directly - each test gets its own in-memory database
+import sqlite3 from "sqlite3";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeEach,
+  afterEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Small promise helpers over the raw connection
+const exec = (db, sql) =>
+  new Promise((resolve, reject) => db.exec(sql, (err) => (err ? reject(err) : resolve())));
+const all = (db, sql) =>
+  new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+const tableNames = async (db) =>
+  (await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"))
+    .map((row) => row.name)
+    .filter((name) => !name.startsWith("sqlite_"));
+
+const columnNames = async (db, table) =>
+  (await all(db, `PRAGMA table_info(${table})`)).map((column) => column.name);
+
+describe("Migration runner", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(":memory:", (err) =>
+        err ? reject(err) : resolve(connection),
+      );
+    });
+    await exec(db, "PRAGMA foreign_keys = ON;");
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+  });
+
+  describe("bundled migrations", () => {
+    test("should be numbered uniquely and export up/down", async () => {
+      const migrations = await loadMigrations();
+      expect(migrations.length).toBeGreaterThan(0);
+      expect(migrations[0]).toMatchObject({ version: 1, name: "initial_schema" });
+    });
+
+    test("should create the schema once and record the versions", async () => {
+      const applied = await migrate(db);
+      expect(applied.map((m) => m.version)).toEqual(
+        (await loadMigrations()).map((m) => m.version),
+      );
+      expect(await tableNames(db)).toEqual(expect.arrayContaining([
+        "account_tokens",
+        "schema_migrations",
+        "sessions",
+        "sub_accounts",
+        "trades",
+        "user_settings",
+        "users",
+      ]));
+      expect(await columnNames(db, "sub_accounts")).toContain("broker");
+
+      // Running again is a no-op
+      expect(await migrate(db)).toEqual([]);
+      const status = await getMigrationStatus(db);
+      expect(status.every((m) => m.appliedAt)).toBe(true);
+    });
+
+    test("should revert everything with rollback to 0", async () => {
+      await migrate(db);
+      await rollback(db, { to: 0 });
+      expect(await tableNames(db)).toEqual(["schema_migrations"]);
+      const status = await getMigrationStatus(db);
+      expect(status.every((m) => m.appliedAt === null)).toBe(true);
+    });
+
+    test("should upgrade a database created by the old production initDB", async () => {
+      // The pre-migration production schema: no broker column, no unique username/email
+      await exec(db, `
+        CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL,
+          password_hash TEXT NOT NULL,
+          email TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+        CREATE TABLE sub_accounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          UNIQUE (user_id, name),
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        );
+        INSERT INTO users (username, password_hash, email) VALUES ('legacy', 'x', 'l@example.com');
+        INSERT INTO sub_accounts (user_id, name) VALUES (1, 'Existing');
+      `);
+
+      await migrate(db);
+
+      expect(await columnNames(db, "sub_accounts")).toContain("broker");
+      expect(await columnNames(db, "users")).toContain("email_verified_at");
+      await exec(db, "UPDATE sub_accounts SET broker = 'IBKR' WHERE id = 1");
+      expect(await all(db, "SELECT name, broker FROM sub_accounts")).toEqual([
+        { name: "Existing", broker: "IBKR" },
+      ]);
+      await expect(
+        exec(db, "INSERT INTO users (username, password_hash, email) VALUES ('legacy', 'y', 'z@x.io')"),
+      ).rejects.toThrow(/UNIQUE constraint failed: users.username/);
+    });
+  });
+
+  describe("with custom migrations", () => {
+    const widgets = {
+      version: 1,
+      name: "widgets",
+      up: (m) => m.exec("CREATE TABLE widgets (id INTEGER PRIMARY KEY)"),
+      down: (m) => m.exec("DROP TABLE widgets"),
+    };
+    const gadgets = {
+      version: 2,
+      name: "gadgets",
+      up: (m) => m.exec("CREATE TABLE gadgets (id INTEGER PRIMARY KEY)"),
+      down: (m) => m.exec("DROP TABLE gadgets"),
+    };
+
+    test("should stop at the target version and roll back step by step", async () => {
+      const migrations = [widgets, gadgets];
+      expect(await migrate(db, { migrations, to: 1 })).toEqual([{ version: 1, name: "widgets" }]);
+      expect(await tableNames(db)).toEqual(["schema_migrations", "widgets"]);
+
+      await migrate(db, { migrations });
+      expect(await tableNames(db)).toEqual(["gadgets", "schema_migrations", "widgets"]);
+
+      expect(await rollback(db, { migrations })).toEqual([{ version: 2, name: "gadgets" }]);
+      expect(await tableNames(db)).toEqual(["schema_migrations", "widgets"]);
+      const status = await getMigrationStatus(db, { migrations });
+      expect(status.map((m) => Boolean(m.appliedAt))).toEqual([true, false]);
+    });
+
+    test("should roll back a migration that fails part-way", async () => {
+      const broken = {
+        version: 3,
+        name: "broken",
+        up: async (m) => {
+          await m.exec("CREATE TABLE half_done (id INTEGER PRIMARY KEY)");
+          await m.exec("THIS IS NOT SQL");
+        },
+        down: async () => {},
+      };
+
+      await expect(migrate(db, { migrations: [widgets, broken] })).rejects.toThrow(
+        /Migration 3_broken failed/,
+      );
+      // The earlier migration stays applied, the broken one leaves nothing behind
+      expect(await tableNames(db)).toEqual(["schema_migrations", "widgets"]);
+      const versions = await all(db, "SELECT version FROM schema_migrations");
+      expect(versions).toEqual([{ version: 1 }]);
+    });
+  });
+});
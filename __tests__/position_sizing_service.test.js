@@ -0,0 +1,158 @@
+// Import functions to test
+import {
+  computePositionSize,
+  calculatePositionSize,
+} from "../src/services/position_sizing_service.js";
+
+// Import setup functions
+import { createUser } from "../user_repository.js";
+import { createSubAccount } from "../sub_account_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { NotFoundError, ValidationError } from "../src/errors/app_errors.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+describe("Position Sizing Service", () => {
+  describe("computePositionSize", () => {
+    test("should size a long so the stop loses the risk budget", () => {
+      expect(computePositionSize({
+        accountSize: 50000,
+        riskPercent: 1,
+        entryPrice: 50,
+        stopPrice: 48,
+      })).toEqual({
+        direction: "long",
+        quantity: 250,
+        lots: 250,
+        riskPerShare: 2,
+        riskBudget: 500,
+        dollarRisk: 500,
+        notional: 12500,
+        riskPercentOfAccount: 1,
+      });
+    });
+
+    test("should infer a short from a stop above the entry", () => {
+      const size = computePositionSize({
+        accountSize: 10000,
+        riskPercent: 2,
+        entryPrice: 20,
+        stopPrice: 23,
+      });
+      expect(size.direction).toBe("short");
+      expect(size.quantity).toBe(66);
+      expect(size.dollarRisk).toBe(198);
+      expect(size.notional).toBe(1320);
+    });
+
+    test("should round down to whole lots", () => {
+      const roundLots = computePositionSize({
+        accountSize: 50000,
+        riskPercent: 1,
+        entryPrice: 50,
+        stopPrice: 48.5,
+        lotSize: 100,
+      });
+      // The budget covers 333 shares: 3 round lots
+      expect(roundLots).toMatchObject({ quantity: 300, lots: 3, dollarRisk: 450 });
+      expect(roundLots.riskPercentOfAccount).toBeCloseTo(0.9);
+
+      // 3.33 units of a fractional asset traded in tenths
+      const fractional = computePositionSize({
+        accountSize: 1000,
+        riskPercent: 1,
+        entryPrice: 100,
+        stopPrice: 97,
+        lotSize: 0.1,
+      });
+      expect(fractional).toMatchObject({ quantity: 3.3, lots: 33 });
+      expect(fractional.dollarRisk).toBeCloseTo(9.9);
+    });
+
+    test("should return a zero quantity when the budget doesn't cover a lot", () => {
+      expect(computePositionSize({
+        accountSize: 1000,
+        riskPercent: 1,
+        entryPrice: 100,
+        stopPrice: 80,
+        lotSize: 10,
+      })).toMatchObject({ quantity: 0, lots: 0, dollarRisk: 0, notional: 0 });
+    });
+  });
+
+  describe("with the database", () => {
+    let context;
+    let testUserId;
+    let otherUserId;
+    let subAccountId;
+
+    beforeAll(async () => {
+      // Fresh in-memory database with the full schema, used by every repository
+      context = await createDatabaseContext({ filename: ":memory:" });
+      await migrate(context.db);
+      useDatabaseContext(context);
+
+      testUserId = await createUser("sizeUser", "size@example.com", simpleHash("password"));
+      otherUserId = await createUser("otherSize", "othersize@example.com", simpleHash("pw"));
+      subAccountId = await createSubAccount(testUserId, "Sizing SubAcc");
+    });
+
+    afterAll(async () => {
+      await context.close();
+    });
+
+    const request = (overrides = {}) => ({
+      accountSize: 25000,
+      riskPercent: 0.5,
+      entryPrice: 10,
+      stopPrice: 9.5,
+      ...overrides,
+    });
+
+    test("should echo the sub-account with the size", async () => {
+      expect(await calculatePositionSize(testUserId, request({ subAccountId }))).toMatchObject({
+        subAccountId,
+        accountSize: 25000,
+        quantity: 250,
+        notional: 2500,
+      });
+      expect((await calculatePositionSize(testUserId, request())).subAccountId).toBeNull();
+    });
+
+    test("should reject another user's sub-account", async () => {
+      await expect(calculatePositionSize(otherUserId, request({ subAccountId })))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    test("should reject invalid input with per-field details", async () => {
+      await expect(calculatePositionSize(testUserId, request({
+        accountSize: undefined,
+        riskPercent: 150,
+        direction: "short",
+        lots: 3,
+      }))).rejects.toMatchObject({
+        details: {
+          accountSize: "is required",
+          riskPercent: "must be at most 100",
+          stopPrice: "must be above the entry price for a short trade",
+          lots: "is not an allowed field",
+        },
+      });
+      await expect(calculatePositionSize(testUserId, request({ stopPrice: 10 })))
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// Import the query layer under test
+import { createQueryRunner } from "../src/db/query.js";
+import { createDatabaseContext } from "../src/db/connection.js";
+import { ConflictError, DatabaseError } from "../src/errors/app_errors.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeEach,
+  afterEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+describe("Query layer", () => {
+  let context;
+  let db;
+
+  const names = async () => (await db.all("SELECT name FROM items ORDER BY id")).map((r) => r.name);
+
+  beforeEach(async () => {
+    context = await createDatabaseContext({ filename: ":memory:" });
+    db = createQueryRunner(context.db);
+    await db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT UNIQUE NOT NULL)");
+  });
+
+  afterEach(async () => {
+    await context.close();
+  });
+
+  describe("run, get and all", () => {
+    test("should return the insert ID and changed row count", async () => {
+      expect(await db.run("INSERT INTO items (name) VALUES (?)", ["a"])).toEqual({
+        lastID: 1,
+        changes: 1,
+      });
+      await db.run("INSERT INTO items (name) VALUES (?)", ["b"]);
+      const { changes } = await db.run("UPDATE items SET name = name || '!'");
+      expect(changes).toBe(2);
+    });
+
+    test("should return single rows and row lists", async () => {
+      await db.run("INSERT INTO items (name) VALUES ('a'), ('b')");
+      expect(await db.get("SELECT name FROM items WHERE id = ?", [2])).toEqual({ name: "b" });
+      expect(await db.get("SELECT name FROM items WHERE id = ?", [99])).toBeUndefined();
+      expect(await names()).toEqual(["a", "b"]);
+      expect(await db.all("SELECT * FROM items WHERE id > 5")).toEqual([]);
+    });
+
+    test("should reject with domain errors", async () => {
+      await db.run("INSERT INTO items (name) VALUES ('a')");
+      await expect(db.run("INSERT INTO items (name) VALUES ('a')")).rejects.toBeInstanceOf(
+        ConflictError,
+      );
+      await expect(db.all("SELECT * FROM missing")).rejects.toBeInstanceOf(DatabaseError);
+    });
+  });
+
+  describe("withTransaction", () => {
+    test("should commit and return the callback's result", async () => {
+      const result = await db.withTransaction(async (tx) => {
+        await tx.run("INSERT INTO items (name) VALUES ('a')");
+        await tx.run("INSERT INTO items (name) VALUES ('b')");
+        return "done";
+      });
+      expect(result).toBe("done");
+      expect(await names()).toEqual(["a", "b"]);
+    });
+
+    test("should roll everything back when the callback throws", async () => {
+      await expect(
+        db.withTransaction(async (tx) => {
+          await tx.run("INSERT INTO items (name) VALUES ('a')");
+          await tx.run("INSERT INTO items (name) VALUES ('a')");
+        }),
+      ).rejects.toBeInstanceOf(ConflictError);
+      expect(await names()).toEqual([]);
+    });
+
+    test("should roll back only the nested part when it fails", async () => {
+      await db.withTransaction(async (tx) => {
+        await tx.run("INSERT INTO items (name) VALUES ('outer')");
+        await expect(
+          tx.withTransaction(async (inner) => {
+            await inner.run("INSERT INTO items (name) VALUES ('inner')");
+            throw new Error("inner failed");
+          }),
+        ).rejects.toThrow("inner failed");
+        await tx.withTransaction((inner) => inner.run("INSERT INTO items (name) VALUES ('kept')"));
+      });
+      expect(await names()).toEqual(["outer", "kept"]);
+    });
+
+    test("should undo committed savepoints when the outer transaction fails", async () => {
+      await expect(
+        db.withTransaction(async (tx) => {
+          await tx.withTransaction((inner) => inner.run("INSERT INTO items (name) VALUES ('a')"));
+          throw new Error("outer failed");
+        }),
+      ).rejects.toThrow("outer failed");
+      expect(await names()).toEqual([]);
+    });
+
+    test("should keep concurrent queries out of an open transaction", async () => {
+      let release;
+      const gate = new Promise((resolve) => {
+        release = resolve;
+      });
+      const transaction = db.withTransaction(async (tx) => {
+        await tx.run("INSERT INTO items (name) VALUES ('rolled back')");
+        await gate;
+        throw new Error("abort");
+      });
+
+      // Issued while the transaction is open; must not be rolled back with it
+      const outside = db.run("INSERT INTO items (name) VALUES ('outside')");
+      const second = db.withTransaction((tx) => tx.run("INSERT INTO items (name) VALUES ('next')"));
+      release();
+
+      await expect(transaction).rejects.toThrow("abort");
+      await outside;
+      await second;
+      expect((await names()).sort()).toEqual(["next", "outside"]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// Import functions to test
+import {
+  createSession,
+  findSessionById,
+  findActiveSessionsByUserId,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessionsByUserId,
+} from "../session_repository.js";
+
+// Import setup functions
+import { createUser } from "../user_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+//import jest global functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Helper for expiry timestamps
+const getISODate = (offsetDays = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return date.toISOString();
+};
+
+describe("SessionRepository Integration Tests", () => {
+  let db;
+  let context;
+  let testUserId;
+  let otherUserId;
+
+  const createSampleSession = (overrides = {}) =>
+    createSession({
+      userId: testUserId,
+      refreshTokenHash: simpleHash(Math.random().toString()),
+      userAgent: "jest",
+      ipAddress: "127.0.0.1",
+      expiresAt: getISODate(30),
+      ...overrides,
+    });
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await createUser("sessionUser", "session@example.com", simpleHash("password"));
+    otherUserId = await createUser("otherSessionUser", "othersession@example.com", simpleHash("password"));
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM sessions;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  test("createSession should store the session with device info", async () => {
+    const id = await createSampleSession({ refreshTokenHash: "abc" });
+    const session = await findSessionById(id);
+    expect(session.user_id).toBe(testUserId);
+    expect(session.refresh_token_hash).toBe("abc");
+    expect(session.user_agent).toBe("jest");
+    expect(session.ip_address).toBe("127.0.0.1");
+    expect(session.revoked_at).toBeNull();
+  });
+
+  test("findActiveSessionsByUserId should skip revoked, expired and other users' sessions", async () => {
+    const active = await createSampleSession();
+    const revoked = await createSampleSession();
+    await revokeSession(revoked, testUserId);
+    await createSampleSession({ expiresAt: getISODate(-1) });
+    await createSampleSession({ userId: otherUserId });
+
+    const sessions = await findActiveSessionsByUserId(testUserId);
+    expect(sessions.map((s) => s.id)).toEqual([active]);
+  });
+
+  test("rotateRefreshToken should only swap when the current hash matches", async () => {
+    const id = await createSampleSession({ refreshTokenHash: "first" });
+    expect(await rotateRefreshToken(id, "first", "second", getISODate(30))).toBe(true);
+    expect(await rotateRefreshToken(id, "first", "third", getISODate(30))).toBe(false);
+    expect(await findSessionById(id)).toMatchObject({
+      refresh_token_hash: "second",
+      previous_refresh_token_hash: "first",
+    });
+  });
+
+  test("revokeSession should not revoke another user's session", async () => {
+    const id = await createSampleSession();
+    expect(await revokeSession(id, otherUserId)).toBe(false);
+    expect(await revokeSession(id, testUserId)).toBe(true);
+    expect(await revokeSession(id, testUserId)).toBe(false);
+  });
+
+  test("revokeAllSessionsByUserId should revoke every session of the user only", async () => {
+    await createSampleSession();
+    await createSampleSession();
+    const otherId = await createSampleSession({ userId: otherUserId });
+
+    expect(await revokeAllSessionsByUserId(testUserId)).toBe(2);
+    expect(await findActiveSessionsByUserId(testUserId)).toHaveLength(0);
+    expect((await findSessionById(otherId)).revoked_at).toBeNull();
+  });
+});
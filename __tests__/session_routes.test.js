@@ -0,0 +1,197 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+
+// Import the repository module the tests inspect directly
+import * as sessionRepository from "../session_repository.js";
+import { setMailTransport } from "../src/mail/mail_service.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+describe("Session Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+
+  const credentials = { email: "sessions@example.com", password: "s3cure-passw0rd" };
+
+  // Logs in from a given device and returns the token response
+  const login = async (userAgent = "jest-device") => {
+    const res = await request(app)
+      .post("/auth/login")
+      .set("User-Agent", userAgent)
+      .send(credentials);
+    return res.body;
+  };
+
+  const bearer = (tokens) => `Bearer ${tokens.accessToken}`;
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    // Keep verification emails out of the real outbox
+    setMailTransport({ send: async () => {} });
+
+    app = createApp();
+    await request(app)
+      .post("/auth/register")
+      .send({ username: "sessionRouteUser", ...credentials });
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM sessions;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  describe("POST /auth/refresh", () => {
+    test("should rotate the refresh token", async () => {
+      const tokens = await login();
+      const res = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken });
+      expect(res.status).toBe(200);
+      expect(res.body.accessToken).toEqual(expect.any(String));
+      expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+      expect(res.body.sessionId).toBe(tokens.sessionId);
+
+      // The new access token works
+      const me = await request(app).get("/sessions").set("Authorization", bearer(res.body));
+      expect(me.status).toBe(200);
+    });
+
+    test("should store only a hash of the refresh token", async () => {
+      const tokens = await login();
+      const session = await sessionRepository.findSessionById(tokens.sessionId);
+      expect(session.refresh_token_hash).not.toContain(tokens.refreshToken.split(".")[1]);
+    });
+
+    test("should revoke the session when an old refresh token is reused", async () => {
+      const tokens = await login();
+      const rotated = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken });
+
+      const reuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken });
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.error).toMatch(/reuse/);
+
+      // Even the legitimately rotated token is now dead
+      const afterReuse = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: rotated.body.refreshToken });
+      expect(afterReuse.status).toBe(401);
+      const access = await request(app).get("/sessions").set("Authorization", bearer(rotated.body));
+      expect(access.status).toBe(401);
+    });
+
+    test("should not revoke the session for a secret that was never issued", async () => {
+      const tokens = await login();
+      const guess = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: `${tokens.sessionId}.garbage` });
+      expect(guess.status).toBe(401);
+      expect(guess.body.error).toBe("Invalid refresh token");
+
+      // The victim's access and refresh tokens keep working
+      const access = await request(app).get("/sessions").set("Authorization", bearer(tokens));
+      expect(access.status).toBe(200);
+      const refreshed = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken });
+      expect(refreshed.status).toBe(200);
+    });
+
+    test("should return 401 for malformed or unknown tokens", async () => {
+      for (const refreshToken of [undefined, "garbage", "99999.secret"]) {
+        const res = await request(app).post("/auth/refresh").send({ refreshToken });
+        expect(res.status).toBe(401);
+      }
+    });
+  });
+
+  describe("GET /sessions", () => {
+    test("should list active sessions with device info and flag the current one", async () => {
+      const laptop = await login("laptop");
+      const phone = await login("phone");
+
+      const res = await request(app).get("/sessions").set("Authorization", bearer(phone));
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+      const byAgent = Object.fromEntries(res.body.map((s) => [s.user_agent, s]));
+      expect(byAgent.phone.current).toBe(true);
+      expect(byAgent.laptop.current).toBe(false);
+      expect(byAgent.laptop.id).toBe(laptop.sessionId);
+      expect(res.body[0].refresh_token_hash).toBeUndefined();
+    });
+  });
+
+  describe("DELETE /sessions/:id", () => {
+    test("should revoke one session and cut off its tokens", async () => {
+      const laptop = await login("laptop");
+      const phone = await login("phone");
+
+      const res = await request(app)
+        .delete(`/sessions/${laptop.sessionId}`)
+        .set("Authorization", bearer(phone));
+      expect(res.status).toBe(204);
+
+      const laptopAccess = await request(app).get("/sessions").set("Authorization", bearer(laptop));
+      expect(laptopAccess.status).toBe(401);
+      const laptopRefresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: laptop.refreshToken });
+      expect(laptopRefresh.status).toBe(401);
+
+      const phoneAccess = await request(app).get("/sessions").set("Authorization", bearer(phone));
+      expect(phoneAccess.status).toBe(200);
+    });
+
+    test("should return 404 for an unknown session", async () => {
+      const tokens = await login();
+      const res = await request(app).delete("/sessions/99999").set("Authorization", bearer(tokens));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /sessions", () => {
+    test("should log out everywhere", async () => {
+      const laptop = await login("laptop");
+      const phone = await login("phone");
+
+      const res = await request(app).delete("/sessions").set("Authorization", bearer(phone));
+      expect(res.status).toBe(200);
+      expect(res.body.revoked).toBe(2);
+
+      for (const tokens of [laptop, phone]) {
+        const access = await request(app).get("/sessions").set("Authorization", bearer(tokens));
+        expect(access.status).toBe(401);
+      }
+    });
+  });
+});
@@ -16,15 +16,10 @@ import * as userRepository from "../user_repository.js";
 // Destructure the functions we need for testing
 const { createUser } = userRepository;
 
-//Import DB control functions (from test DB setup file)
-import connectToDatabase, {
-  initDB,
-  closeDb,
-  DATABASE_PATH as TEST_DB_PATH,
-} from "../src/db/database_test_env";
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
 
-// Import Node.js file system module for cleanup
-import fs from "fs/promises";
 
 // Import jests testing functions
 import {
@@ -42,34 +37,15 @@ const simpleHash = (password) => `hashed_${password}`;
 
 describe("SubAccountRepository Integration Tests", () => {
   let db;
+  let context;
   let testUserId; // To store the ID of a user created for tests
    
   beforeAll(async () => {
-    // --- Same setup as user_repository.test.js ---
-    try {
-      console.log(`Attempting to delete old test DB: ${TEST_DB_PATH}`);
-      await fs.unlink(TEST_DB_PATH);
-      console.log("Old test DB deleted successfully.");
-    } catch (err) {
-      if (err.code !== "ENOENT") { // Ignore 'file not found' error
-        console.error("Error deleting old test DB:", err);
-        throw err; // Rethrow other errors
-      }
-      console.log("No old test DB found to delete.");
-    }
-    
-    // Connect to the TEST database and initialize schema
-    db = await connectToDatabase();
-    console.log("Test DB connected successfully. Initializing schema...");
-    await initDB();
-    console.log("Test DB schema initialized successfully.");
-    
-    // Add a small delay to ensure all database operations are complete
-    await new Promise((resolve) => setTimeout(resolve, 100));
-    
-    // Inject the test database connection into both repository modules
-    userRepository.setDatabaseConnection(db);
-    subAccountRepository.setDatabaseConnection(db);
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
     
     // Create user for these tests
     testUserId = await createUser(
@@ -84,16 +60,7 @@ describe("SubAccountRepository Integration Tests", () => {
   });
 
   afterAll(async () => {
-    await closeDb();
-
-    // Delete test DB file
-    try {
-      console.log(`Attempting to delete test DB: ${TEST_DB_PATH}`);
-      await fs.unlink(TEST_DB_PATH);
-      console.log("Test DB deleted after tests successfully.");
-    } catch (error) {
-      console.error("Error deleting test DB after tests:", error);
-    }
+    await context.close();
   });
 
   beforeEach(async () => {
@@ -161,9 +128,10 @@ describe("SubAccountRepository Integration Tests", () => {
     // Expect the second attempt with the same name for the same user to fail
     await expect(
       createSubAccount(testUserId, duplicateName),
-    ).rejects.toThrow(
-      /SQLITE_CONSTRAINT: UNIQUE constraint failed: sub_accounts.user_id, sub_accounts.name/i
-    );
+    ).rejects.toMatchObject({
+      name: "ConflictError",
+      details: { fields: ["user_id", "name"] },
+    });
   });
 
 
@@ -190,7 +158,7 @@ describe("SubAccountRepository Integration Tests", () => {
     const updatedDesc = "Updated Desc";
     const updatedBroker = "Updated Broker";
 
-    const success = await updateSubAccount(subAccountId, updatedName, updatedDesc, updatedBroker);
+    const success = await updateSubAccount(subAccountId, testUserId, updatedName, updatedDesc, updatedBroker);
     expect(success).toBe(true);
 
     // Verify update
@@ -204,7 +172,7 @@ describe("SubAccountRepository Integration Tests", () => {
   });
 
   test("should return false when trying to update non-existent sub-account", async () => {
-    const success = await updateSubAccount(99999, "NonExistentUpdate");
+    const success = await updateSubAccount(99999, testUserId, "NonExistentUpdate");
     expect(success).toBe(false);
   });
 
@@ -217,7 +185,7 @@ describe("SubAccountRepository Integration Tests", () => {
     expect(foundSubAcc).not.toBeNull();
 
     // Delete it
-    const success = await deleteSubAccount(subAccountId);
+    const success = await deleteSubAccount(subAccountId, testUserId);
     expect(success).toBe(true);
 
     // Verify it's gone
@@ -226,8 +194,19 @@ describe("SubAccountRepository Integration Tests", () => {
   });
 
   test("should return false when trying to delete non-existent sub-account", async () => {
-    const success = await deleteSubAccount(99999);
+    const success = await deleteSubAccount(99999, testUserId);
     expect(success).toBe(false);
   });
 
+  test("should not update or delete another user's sub-account", async () => {
+    const otherUserId = await createUser("otherUser3", "other3@example.com", simpleHash("pw"));
+    const theirs = await createSubAccount(otherUserId, "Their Account", "Theirs");
+
+    expect(await updateSubAccount(theirs, testUserId, "Hijacked")).toBe(false);
+    expect(await deleteSubAccount(theirs, testUserId)).toBe(false);
+
+    const found = await findSubAccountById(theirs);
+    expect(found).toMatchObject({ user_id: otherUserId, name: "Their Account" });
+  });
+
 });
@@ -0,0 +1,249 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import repository modules so the test DB can be injected
+import * as tradeRepository from "../trade_repository.js";
+import * as userRepository from "../user_repository.js";
+import * as subAccountRepository from "../sub_account_repository.js";
+import { createTag } from "../tag_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+describe("Sub-Account Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+
+  // Shortcut for creating a sub-account through the API
+  const postSubAccount = (body, userId = testUserId) =>
+    request(app)
+      .post("/sub-accounts")
+      .set("Authorization", authHeader(userId))
+      .send(body);
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await userRepository.createUser(
+      "subRouteUser",
+      "subroute@example.com",
+      simpleHash("password"),
+    );
+    otherUserId = await userRepository.createUser(
+      "otherSubRouteUser",
+      "othersubroute@example.com",
+      simpleHash("password"),
+    );
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean trades and sub-accounts before each test
+    await new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run("DELETE FROM trades;");
+        db.run("DELETE FROM sub_accounts;", (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+  });
+
+  describe("POST /sub-accounts", () => {
+    test("should create a sub-account for the acting user", async () => {
+      const res = await postSubAccount({ name: "Swing", description: "Swing trades" });
+      expect(res.status).toBe(201);
+      expect(res.body.id).toEqual(expect.any(Number));
+      expect(res.body.user_id).toBe(testUserId);
+      expect(res.body.name).toBe("Swing");
+      expect(res.body.description).toBe("Swing trades");
+    });
+
+    test("should return 409 for a duplicate name", async () => {
+      await postSubAccount({ name: "Dup" });
+      const res = await postSubAccount({ name: "Dup" });
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("CONFLICT");
+      expect(res.body.error).not.toMatch(/SQLITE/);
+    });
+
+    test("should allow the same name for different users", async () => {
+      await postSubAccount({ name: "Shared" });
+      const res = await postSubAccount({ name: "Shared" }, otherUserId);
+      expect(res.status).toBe(201);
+    });
+
+    test("should return 400 without a name", async () => {
+      const res = await postSubAccount({ description: "No name" });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("GET /sub-accounts", () => {
+    test("should only list the acting user's sub-accounts", async () => {
+      await postSubAccount({ name: "B" });
+      await postSubAccount({ name: "A" });
+      await postSubAccount({ name: "Other" }, otherUserId);
+
+      const res = await request(app).get("/sub-accounts").set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.map((s) => s.name)).toEqual(["A", "B"]);
+    });
+  });
+
+  describe("GET /sub-accounts/:id", () => {
+    test("should return 404 for another user's sub-account", async () => {
+      const created = await postSubAccount({ name: "Private" });
+      const res = await request(app)
+        .get(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /sub-accounts/:id", () => {
+    test("should update only the fields sent", async () => {
+      const created = await postSubAccount({ name: "Old", description: "Keep me" });
+      const res = await request(app)
+        .patch(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ name: "New", broker: "IBKR" });
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe("New");
+      expect(res.body.description).toBe("Keep me");
+      expect(res.body.broker).toBe("IBKR");
+    });
+
+    test("should return 409 when renaming onto an existing name", async () => {
+      await postSubAccount({ name: "Taken" });
+      const created = await postSubAccount({ name: "Free" });
+      const res = await request(app)
+        .patch(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ name: "Taken" });
+      expect(res.status).toBe(409);
+    });
+
+    test("should not update another user's sub-account", async () => {
+      const created = await postSubAccount({ name: "Mine" });
+      const res = await request(app)
+        .patch(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId))
+        .send({ name: "Stolen" });
+      expect(res.status).toBe(404);
+      const subAccount = await subAccountRepository.findSubAccountById(created.body.id);
+      expect(subAccount.name).toBe("Mine");
+    });
+  });
+
+  describe("DELETE /sub-accounts/:id", () => {
+    test("should delete the sub-account", async () => {
+      const created = await postSubAccount({ name: "Gone" });
+      const res = await request(app)
+        .delete(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(204);
+      expect(await subAccountRepository.findSubAccountById(created.body.id)).toBeNull();
+    });
+
+    test("should not delete another user's sub-account", async () => {
+      const created = await postSubAccount({ name: "Stays" });
+      const res = await request(app)
+        .delete(`/sub-accounts/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+      expect(await subAccountRepository.findSubAccountById(created.body.id)).not.toBeNull();
+    });
+  });
+
+  describe("GET /sub-accounts/:id/trades", () => {
+    test("should list trades in the sub-account", async () => {
+      const created = await postSubAccount({ name: "With Trades" });
+      const tradeId = await tradeRepository.createTrade({
+        userId: testUserId,
+        subAccountId: created.body.id,
+        ticker: "SUB",
+        quantity: 5,
+        entryPrice: 50,
+        direction: "short",
+        entryDate: new Date().toISOString(),
+      });
+
+      const res = await request(app)
+        .get(`/sub-accounts/${created.body.id}/trades`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.map((t) => t.id)).toEqual([tradeId]);
+    });
+
+    test("should include tags and filter by them", async () => {
+      const created = await postSubAccount({ name: "Tagged Trades" });
+      const breakout = await createTag(testUserId, { name: "Sub Breakout" });
+      const addTrade = (tagIds) => tradeRepository.createTrade({
+        userId: testUserId,
+        subAccountId: created.body.id,
+        ticker: "TAG",
+        quantity: 1,
+        entryPrice: 10,
+        direction: "long",
+        entryDate: new Date().toISOString(),
+        tagIds,
+      });
+      const tagged = await addTrade([breakout]);
+      await addTrade([]);
+
+      const res = await request(app)
+        .get(`/sub-accounts/${created.body.id}/trades?tagIds=${breakout}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.map((t) => t.id)).toEqual([tagged]);
+      expect(res.body[0].tags.map((t) => t.name)).toEqual(["Sub Breakout"]);
+
+      const invalid = await request(app)
+        .get(`/sub-accounts/${created.body.id}/trades?tagIds=abc`)
+        .set("Authorization", authHeader(testUserId));
+      expect(invalid.status).toBe(400);
+    });
+
+    test("should return 404 for another user's sub-account", async () => {
+      const created = await postSubAccount({ name: "Hidden Trades" });
+      const res = await request(app)
+        .get(`/sub-accounts/${created.body.id}/trades`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+    });
+  });
+});
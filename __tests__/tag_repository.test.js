@@ -0,0 +1,152 @@
+// Import functions to test
+import {
+  createTag,
+  findTagsByUserId,
+  findTagById,
+  updateTag,
+  deleteTag,
+} from "../tag_repository.js";
+
+// Import setup functions
+import { createUser } from "../user_repository.js";
+import { createTrade, findTradeById } from "../trade_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { ConflictError, ValidationError } from "../src/errors/app_errors.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+describe("TagRepository Integration Tests", () => {
+  let db;
+  let context;
+  let testUserId;
+  let otherUserId;
+
+  const addTrade = (tagIds) =>
+    createTrade({
+      userId: testUserId,
+      ticker: "TAG",
+      quantity: 1,
+      entryPrice: 100,
+      direction: "long",
+      entryDate: "2024-01-02T14:30:00.000Z",
+      tagIds,
+    });
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await createUser("tagUser", "tag@example.com", simpleHash("password"));
+    otherUserId = await createUser("otherTagUser", "othertag@example.com", simpleHash("pw"));
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean tags and trades (and so their links) before each test
+    await new Promise((resolve, reject) => {
+      db.exec("DELETE FROM trades; DELETE FROM tags;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  describe("createTag", () => {
+    test("should create a tag for the user", async () => {
+      const id = await createTag(testUserId, { name: "Breakout", category: "setup" });
+      expect(await findTagById(id, testUserId)).toMatchObject({
+        id,
+        user_id: testUserId,
+        name: "Breakout",
+        category: "setup",
+      });
+      expect(await findTagById(id, otherUserId)).toBeNull();
+    });
+
+    test("should keep names unique per user regardless of case", async () => {
+      await createTag(testUserId, { name: "FOMO", category: "mistake" });
+      await expect(createTag(testUserId, { name: "fomo" })).rejects.toBeInstanceOf(ConflictError);
+      // Another user can have the same name
+      expect(await createTag(otherUserId, { name: "FOMO" })).toEqual(expect.any(Number));
+    });
+
+    test("should reject invalid tag data", async () => {
+      await expect(createTag(testUserId, { name: " padded", category: "strategy" }))
+        .rejects.toMatchObject({
+          details: {
+            name: "must not start or end with whitespace",
+            category: "must be one of: setup, mistake",
+          },
+        });
+      await expect(createTag(testUserId, {})).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe("findTagsByUserId", () => {
+    test("should list the user's tags by name with their trade counts", async () => {
+      const reversion = await createTag(testUserId, { name: "mean reversion", category: "setup" });
+      const breakout = await createTag(testUserId, { name: "Breakout", category: "setup" });
+      await createTag(otherUserId, { name: "Other" });
+      await addTrade([breakout, reversion]);
+      await addTrade([breakout]);
+
+      const tags = await findTagsByUserId(testUserId);
+      expect(tags.map(({ name, trade_count: count }) => [name, count])).toEqual([
+        ["Breakout", 2],
+        ["mean reversion", 1],
+      ]);
+    });
+  });
+
+  describe("updateTag", () => {
+    test("should rename and recategorize only the user's tag", async () => {
+      const id = await createTag(testUserId, { name: "Chase" });
+      expect(await updateTag(id, testUserId, { name: "Chasing", category: "mistake" })).toBe(true);
+      expect(await findTagById(id, testUserId)).toMatchObject({
+        name: "Chasing",
+        category: "mistake",
+      });
+
+      expect(await updateTag(id, otherUserId, { name: "Hijacked" })).toBe(false);
+      expect(await updateTag(id, testUserId, {})).toBe(false);
+      await expect(updateTag(id, testUserId, { name: null })).rejects.toMatchObject({
+        details: { name: "is required" },
+      });
+    });
+  });
+
+  describe("deleteTag", () => {
+    test("should delete the tag and unlink it from trades", async () => {
+      const fomo = await createTag(testUserId, { name: "FOMO" });
+      const breakout = await createTag(testUserId, { name: "Breakout" });
+      const tradeId = await addTrade([fomo, breakout]);
+
+      expect(await deleteTag(fomo, otherUserId)).toBe(false);
+      expect(await deleteTag(fomo, testUserId)).toBe(true);
+      expect(await findTagById(fomo, testUserId)).toBeNull();
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.tags).toEqual([{ id: breakout, name: "Breakout", category: null }]);
+    });
+  });
+});
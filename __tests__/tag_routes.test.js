@@ -0,0 +1,175 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import repository modules so the test DB can be injected
+import * as userRepository from "../user_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+describe("Tag Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+
+  // Shortcut for creating a tag through the API
+  const postTag = (body, userId = testUserId) =>
+    request(app)
+      .post("/tags")
+      .set("Authorization", authHeader(userId))
+      .send(body);
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await userRepository.createUser(
+      "tagRouteUser",
+      "tagroute@example.com",
+      simpleHash("password"),
+    );
+    otherUserId = await userRepository.createUser(
+      "otherTagRouteUser",
+      "othertagroute@example.com",
+      simpleHash("password"),
+    );
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean tags before each test
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM tags;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  test("should reject requests without an access token", async () => {
+    const res = await request(app).get("/tags");
+    expect(res.status).toBe(401);
+  });
+
+  describe("POST /tags", () => {
+    test("should create a tag with a trimmed name", async () => {
+      const res = await postTag({ name: "  Breakout ", category: "setup" });
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ name: "Breakout", category: "setup", user_id: testUserId });
+    });
+
+    test("should return 409 for a name the user already has", async () => {
+      await postTag({ name: "FOMO" });
+      const res = await postTag({ name: "fomo" });
+      expect(res.status).toBe(409);
+      expect((await postTag({ name: "fomo" }, otherUserId)).status).toBe(201);
+    });
+
+    test("should return 400 with details for invalid data", async () => {
+      const res = await postTag({ name: "", color: "red" });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({
+        name: "cannot be empty",
+        color: "is not an allowed field",
+      });
+    });
+  });
+
+  describe("GET /tags", () => {
+    test("should list only the acting user's tags", async () => {
+      await postTag({ name: "Mean reversion", category: "setup" });
+      await postTag({ name: "Breakout", category: "setup" });
+      await postTag({ name: "Theirs" }, otherUserId);
+
+      const res = await request(app).get("/tags").set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.map((tag) => tag.name)).toEqual(["Breakout", "Mean reversion"]);
+      expect(res.body[0].trade_count).toBe(0);
+    });
+  });
+
+  describe("GET /tags/:id", () => {
+    test("should return 404 for another user's tag", async () => {
+      const created = await postTag({ name: "Private" });
+      const own = await request(app)
+        .get(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(own.status).toBe(200);
+      const res = await request(app)
+        .get(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /tags/:id", () => {
+    test("should rename and recategorize a tag", async () => {
+      const created = await postTag({ name: "Chase" });
+      const res = await request(app)
+        .patch(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ name: "Chasing ", category: "mistake" });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: "Chasing", category: "mistake" });
+    });
+
+    test("should return 400 when nothing is sent and 404 for another user", async () => {
+      const created = await postTag({ name: "Gap fill" });
+      const empty = await request(app)
+        .patch(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({});
+      expect(empty.status).toBe(400);
+      const other = await request(app)
+        .patch(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId))
+        .send({ name: "Hijacked" });
+      expect(other.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /tags/:id", () => {
+    test("should delete the tag", async () => {
+      const created = await postTag({ name: "Revenge" });
+      const other = await request(app)
+        .delete(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(other.status).toBe(404);
+      const res = await request(app)
+        .delete(`/tags/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(204);
+      const list = await request(app).get("/tags").set("Authorization", authHeader(testUserId));
+      expect(list.body).toEqual([]);
+    });
+  });
+});
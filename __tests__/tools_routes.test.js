@@ -0,0 +1,115 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import repository modules so the test DB can be injected
+import * as userRepository from "../user_repository.js";
+import * as subAccountRepository from "../sub_account_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+describe("Tools Routes Integration Tests", () => {
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+  let testSubAccountId;
+
+  const postPositionSize = (body, userId = testUserId) =>
+    request(app)
+      .post("/tools/position-size")
+      .set("Authorization", authHeader(userId))
+      .send(body);
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+
+    testUserId = await userRepository.createUser(
+      "toolsUser",
+      "tools@example.com",
+      simpleHash("password"),
+    );
+    otherUserId = await userRepository.createUser(
+      "otherToolsUser",
+      "othertools@example.com",
+      simpleHash("password"),
+    );
+    testSubAccountId = await subAccountRepository.createSubAccount(testUserId, "Tools SubAcc");
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  test("should reject requests without an access token", async () => {
+    const res = await request(app).post("/tools/position-size").send({});
+    expect(res.status).toBe(401);
+  });
+
+  describe("POST /tools/position-size", () => {
+    test("should size a short position in round lots", async () => {
+      const res = await postPositionSize({
+        subAccountId: testSubAccountId,
+        accountSize: 100000,
+        riskPercent: 1,
+        entryPrice: 40,
+        stopPrice: 41.5,
+        direction: "short",
+        lotSize: 100,
+      });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        subAccountId: testSubAccountId,
+        direction: "short",
+        quantity: 600,
+        lots: 6,
+        riskBudget: 1000,
+        dollarRisk: 900,
+        notional: 24000,
+      });
+    });
+
+    test("should return 400 with details for invalid input", async () => {
+      const res = await postPositionSize({ riskPercent: 0, entryPrice: 40, stopPrice: 41 });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({
+        accountSize: "is required",
+        riskPercent: "must be greater than 0",
+      });
+    });
+
+    test("should return 404 for another user's sub-account", async () => {
+      const res = await postPositionSize({
+        subAccountId: testSubAccountId,
+        accountSize: 5000,
+        riskPercent: 1,
+        entryPrice: 40,
+        stopPrice: 39,
+      }, otherUserId);
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+// Import functions to test
+import { addExecution, findExecutionsByTradeId } from "../trade_execution_repository.js";
+import {
+  createTrade,
+  findTradeById,
+  searchTrades,
+  closeTrade,
+  deleteTrade,
+} from "../trade_repository.js";
+
+// Import setup functions
+import { createUser } from "../user_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { ConflictError, ValidationError } from "../src/errors/app_errors.js";
+
+//import jest global functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+describe("TradeExecutionRepository Integration Tests", () => {
+  let db;
+  let context;
+  let testUserId;
+  let otherUserId;
+
+  // Opens a trade on day 1 at 100 for 10 shares unless overridden
+  const openTrade = (overrides = {}) =>
+    createTrade({
+      userId: testUserId,
+      subAccountId: null,
+      ticker: "EXE",
+      quantity: 10,
+      entryPrice: 100,
+      direction: "long",
+      entryDate: "2024-03-01T14:00:00.000Z",
+      commission: 0,
+      ...overrides,
+    });
+
+  const fill = (overrides = {}) => ({
+    side: "buy",
+    quantity: 10,
+    price: 110,
+    executedAt: "2024-03-02T14:00:00.000Z",
+    ...overrides,
+  });
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await createUser("fillUser", "fill@example.com", simpleHash("password"));
+    otherUserId = await createUser("otherFillUser", "otherfill@example.com", simpleHash("pw"));
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean only trades (and with them their fills) before each test
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM trades;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  describe("createTrade", () => {
+    test("should record the entry of an open trade as its first fill", async () => {
+      const tradeId = await openTrade();
+      const executions = await findExecutionsByTradeId(tradeId, testUserId);
+      expect(executions).toHaveLength(1);
+      expect(executions[0]).toMatchObject({
+        trade_id: tradeId,
+        side: "buy",
+        quantity: 10,
+        price: 100,
+        fees: 0,
+        executed_at: "2024-03-01T14:00:00.000Z",
+      });
+      expect((await findTradeById(tradeId, testUserId)).remaining_quantity).toBe(10);
+    });
+
+    test("should record entry and exit fills for a closed short trade", async () => {
+      const tradeId = await openTrade({
+        direction: "short",
+        status: "closed",
+        exitPrice: 90,
+        exitDate: "2024-03-05T14:00:00.000Z",
+      });
+      const executions = await findExecutionsByTradeId(tradeId, testUserId);
+      expect(executions.map((e) => [e.side, e.price])).toEqual([["sell", 100], ["buy", 90]]);
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.status).toBe("closed");
+      expect(trade.remaining_quantity).toBe(0);
+      expect(trade.exit_price).toBe(90);
+    });
+  });
+
+  describe("addExecution", () => {
+    test("should average the entry price when scaling in", async () => {
+      const tradeId = await openTrade();
+      const executionId = await addExecution(tradeId, testUserId, fill({ price: 130 }));
+      expect(executionId).toEqual(expect.any(Number));
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.quantity).toBe(20);
+      expect(trade.remaining_quantity).toBe(20);
+      expect(trade.entry_price).toBe(115);
+      expect(trade.entry_date).toBe("2024-03-01T14:00:00.000Z");
+      expect(trade.status).toBe("open");
+    });
+
+    test("should reduce the remaining quantity on a partial exit", async () => {
+      const tradeId = await openTrade();
+      await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 4, price: 120 }));
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.quantity).toBe(10);
+      expect(trade.remaining_quantity).toBe(6);
+      expect(trade.exit_price).toBe(120);
+      expect(trade.exit_date).toBeNull();
+      expect(trade.status).toBe("open");
+    });
+
+    test("should close the trade with the average exit once it is flat", async () => {
+      const tradeId = await openTrade({ direction: "short" });
+      await addExecution(tradeId, testUserId, fill({ quantity: 4, price: 90 }));
+      await addExecution(
+        tradeId,
+        testUserId,
+        fill({ quantity: 6, price: 80, executedAt: "2024-03-03T14:00:00.000Z" }),
+      );
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.status).toBe("closed");
+      expect(trade.remaining_quantity).toBe(0);
+      expect(trade.exit_price).toBe(84);
+      expect(trade.exit_date).toBe("2024-03-03T14:00:00.000Z");
+    });
+
+    test("should add fees to the trade's commission", async () => {
+      const tradeId = await openTrade({ commission: 1 });
+      await addExecution(tradeId, testUserId, fill({ fees: 0.5 }));
+      await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 5, fees: 0.25 }));
+
+      expect((await findTradeById(tradeId, testUserId)).commission).toBe(1.75);
+      const executions = await findExecutionsByTradeId(tradeId, testUserId);
+      expect(executions.map((e) => e.fees)).toEqual([0, 0.5, 0.25]);
+    });
+
+    test("should reject exits larger than the remaining quantity", async () => {
+      const tradeId = await openTrade();
+      await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 4 }));
+
+      const error = await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 7 }))
+        .catch((err) => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.quantity).toBe("must not exceed the remaining quantity (6)");
+      expect(await findExecutionsByTradeId(tradeId, testUserId)).toHaveLength(2);
+    });
+
+    test("should reject exits before the entry", async () => {
+      const tradeId = await openTrade();
+      const error = await addExecution(
+        tradeId,
+        testUserId,
+        fill({ side: "sell", executedAt: "2024-02-28T14:00:00.000Z" }),
+      ).catch((err) => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.executedAt).toBe("must not be before the trade's entry");
+    });
+
+    test("should reject invalid fills", async () => {
+      const tradeId = await openTrade();
+      const error = await addExecution(tradeId, testUserId, {
+        side: "hold",
+        quantity: 0,
+        price: -1,
+        fees: -1,
+        extra: true,
+      }).catch((err) => err);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(Object.keys(error.details).sort()).toEqual(
+        ["executedAt", "extra", "fees", "price", "quantity", "side"],
+      );
+    });
+
+    test("should throw ConflictError for a closed trade", async () => {
+      const tradeId = await openTrade();
+      await addExecution(tradeId, testUserId, fill({ side: "sell" }));
+      await expect(addExecution(tradeId, testUserId, fill())).rejects.toBeInstanceOf(
+        ConflictError,
+      );
+    });
+
+    test("should return null for a missing trade or another user's trade", async () => {
+      const tradeId = await openTrade();
+      expect(await addExecution(999999, testUserId, fill())).toBeNull();
+      expect(await addExecution(tradeId, otherUserId, fill())).toBeNull();
+      expect(await findExecutionsByTradeId(tradeId, otherUserId)).toEqual([]);
+      expect((await findTradeById(tradeId, testUserId)).quantity).toBe(10);
+    });
+  });
+
+  describe("closeTrade", () => {
+    test("should exit only the remaining quantity after a partial exit", async () => {
+      const tradeId = await openTrade();
+      await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 4, price: 120 }));
+      const closed = await closeTrade({
+        id: tradeId,
+        userId: testUserId,
+        exitPrice: 110,
+        exitDate: "2024-03-04T14:00:00.000Z",
+      });
+      expect(closed).toBe(true);
+
+      const trade = await findTradeById(tradeId, testUserId);
+      expect(trade.status).toBe("closed");
+      expect(trade.remaining_quantity).toBe(0);
+      expect(trade.exit_price).toBeCloseTo(114);
+      expect(trade.exit_date).toBe("2024-03-04T14:00:00.000Z");
+      const executions = await findExecutionsByTradeId(tradeId, testUserId);
+      expect(executions.map((e) => e.quantity)).toEqual([10, 4, 6]);
+    });
+
+    test("should add a close's commission to the fees of earlier fills", async () => {
+      const tradeId = await openTrade({ commission: 1 });
+      await addExecution(tradeId, testUserId, fill({ side: "sell", quantity: 4, fees: 0.5 }));
+      await closeTrade({
+        id: tradeId,
+        userId: testUserId,
+        exitPrice: 110,
+        exitDate: "2024-03-04T14:00:00.000Z",
+        commission: 0.75,
+      });
+
+      expect((await findTradeById(tradeId, testUserId)).commission).toBe(2.25);
+      const executions = await findExecutionsByTradeId(tradeId, testUserId);
+      expect(executions.map((e) => e.fees)).toEqual([0, 0.5, 0.75]);
+    });
+
+    test("should add a close's commission whether or not earlier fills had fees", async () => {
+      const close = (id) => closeTrade({
+        id,
+        userId: testUserId,
+        exitPrice: 110,
+        exitDate: "2024-03-04T14:00:00.000Z",
+        commission: 2,
+      });
+      const direct = await openTrade({ commission: 5 });
+      await close(direct);
+      const afterPartial = await openTrade({ commission: 5 });
+      await addExecution(afterPartial, testUserId, fill({ side: "sell", quantity: 4 }));
+      await close(afterPartial);
+
+      expect((await findTradeById(direct, testUserId)).commission).toBe(7);
+      expect((await findTradeById(afterPartial, testUserId)).commission).toBe(7);
+    });
+  });
+
+  test("should let trades be searched by remaining quantity", async () => {
+    const partial = await openTrade();
+    await addExecution(partial, testUserId, fill({ side: "sell", quantity: 7 }));
+    const full = await openTrade();
+    const { trades } = await searchTrades(testUserId, { sort: "remainingQuantity", order: "asc" });
+    expect(trades.map((t) => [t.id, t.remaining_quantity])).toEqual([[partial, 3], [full, 10]]);
+  });
+
+  test("should delete a trade's fills with the trade", async () => {
+    const tradeId = await openTrade();
+    await addExecution(tradeId, testUserId, fill());
+    expect(await deleteTrade(tradeId, testUserId)).toBe(true);
+
+    const rows = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM trade_executions WHERE trade_id = ?", [tradeId], (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+    expect(rows).toEqual([]);
+  });
+});
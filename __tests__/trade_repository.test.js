@@ -5,30 +5,25 @@ import {
   findOpenTradesByUserId,
   findClosedTradesByUserId,
   findTradesBySubAccountId,
+  searchTrades,
+  searchTradeNotes,
   closeTrade,
   updateTradeDetails,
   deleteTrade,
-  setDatabaseConnection,
 } from "../trade_repository.js";
 
 // Import setup functions
-import { createUser, setDatabaseConnection as userSetDatabaseConnection } from "../user_repository.js";
+import { createUser } from "../user_repository.js";
+import { createTag } from "../tag_repository.js";
 import {
   createSubAccount,
   findSubAccountById,
-  setDatabaseConnection as subAccountSetDatabaseConnection,
 } from "../sub_account_repository.js"; // Need findSubAccountById for verification
 
-// Import DB control functions (from your test DB setup file)
-import connectDb, {
-  initDB,
-  closeDb,
-  DATABASE_PATH as TEST_DB_PATH,
-} from "../src/db/database_test_env.js"; // Adjusted path
-
-// Import Node.js file system module for cleanup
-import fs from "fs/promises";
-
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+import { encodeCursor } from "../src/db/cursor.js";
 
 //import jest global functions
 import {
@@ -52,6 +47,7 @@ const getISODate = (offsetDays = 0) => {
 
 describe("TradeRepository Integration Tests", () => {
   let db;
+  let context;
   let testUserId;
   let testSubAccountId;
   let otherUserId; // For testing isolation
@@ -71,33 +67,11 @@ describe("TradeRepository Integration Tests", () => {
   });
 
   beforeAll(async () => {
-    // --- Standard test DB setup ---
-    try {
-      console.log(`Attempting to delete old test DB: ${TEST_DB_PATH}`);
-      await fs.unlink(TEST_DB_PATH);
-      console.log("Old test DB deleted successfully.");
-    } catch (err) {
-      if (err.code !== "ENOENT") { // Ignore 'file not found' error
-        console.error("Error deleting old test DB:", err);
-        throw err; // Rethrow other errors
-      }
-      console.log("No old test DB found to delete.");
-    }
-    
-    // Connect to the TEST database and initialize schema
-    db = await connectDb();
-    console.log("Test DB connected successfully. Initializing schema...");
-    await initDB();
-    console.log("Test DB schema initialized successfully.");
-    
-    // Add a small delay to ensure all database operations are complete
-    await new Promise((resolve) => setTimeout(resolve, 100));
-    
-    // Inject the test database connection into all repository modules
-    setDatabaseConnection(db);
-    userSetDatabaseConnection(db);
-    subAccountSetDatabaseConnection(db);
-    // --- End setup ---
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
 
     // Create persistent user and sub-account for these tests
     testUserId = await createUser(
@@ -127,8 +101,7 @@ describe("TradeRepository Integration Tests", () => {
   });
 
   afterAll(async () => {
-    await closeDb();
-    // Optional: delete test DB file
+    await context.close();
   });
 
   beforeEach(async () => {
@@ -152,7 +125,7 @@ describe("TradeRepository Integration Tests", () => {
 
       expect(tradeId).toEqual(expect.any(Number));
 
-      const foundTrade = await findTradeById(tradeId);
+      const foundTrade = await findTradeById(tradeId, testUserId);
       expect(foundTrade).not.toBeNull();
       expect(foundTrade.id).toBe(tradeId);
       expect(foundTrade.user_id).toBe(tradeData.userId);
@@ -173,34 +146,72 @@ describe("TradeRepository Integration Tests", () => {
 
     test("should reject trade with quantity <= 0", async () => {
       const tradeData = createSampleTradeData({ quantity: 0 });
-      await expect(createTrade(tradeData)).rejects.toThrow(
-        /SQLITE_CONSTRAINT: CHECK constraint failed: quantity > 0/i,
-      );
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        name: "ValidationError",
+        details: { quantity: "must be greater than 0" },
+      });
 
       const tradeDataNeg = createSampleTradeData({ quantity: -10 });
-      await expect(createTrade(tradeDataNeg)).rejects.toThrow(
-        /SQLITE_CONSTRAINT: CHECK constraint failed: quantity > 0/i,
-      );
+      await expect(createTrade(tradeDataNeg)).rejects.toMatchObject({
+        details: { quantity: "must be greater than 0" },
+      });
     });
 
     test("should reject trade with invalid direction", async () => {
       const tradeData = createSampleTradeData({ direction: "sideways" });
-      await expect(createTrade(tradeData)).rejects.toThrow(
-        /SQLITE_CONSTRAINT: CHECK constraint failed: direction IN \('long', 'short'\)/i,
-      );
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        details: { direction: "must be one of: long, short" },
+      });
+    });
+
+    test("should reject a closed trade without exit details", async () => {
+      const tradeData = createSampleTradeData({ status: "closed" });
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        details: {
+          exitPrice: "is required when status is 'closed'",
+          exitDate: "is required when status is 'closed'",
+        },
+      });
+    });
+
+    test("should reject an exit date before the entry date", async () => {
+      const tradeData = createSampleTradeData({
+        status: "closed",
+        exitPrice: 105,
+        exitDate: getISODate(-2),
+      });
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        details: { exitDate: "must not be before entryDate" },
+      });
+    });
+
+    test("should reject a stop or target on the wrong side of the entry", async () => {
+      await expect(createTrade(createSampleTradeData({ stopPrice: 105, targetPrice: 95 })))
+        .rejects.toMatchObject({
+          details: {
+            stopPrice: "must be below the entry price for a long trade",
+            targetPrice: "must be above the entry price for a long trade",
+          },
+        });
+      await expect(createTrade(createSampleTradeData({ direction: "short", stopPrice: 95 })))
+        .rejects.toMatchObject({
+          details: { stopPrice: "must be above the entry price for a short trade" },
+        });
     });
 
     test("should reject trade with non-existent subAccountId", async () => {
       const tradeData = createSampleTradeData({ subAccountId: 9999 });
-      await expect(createTrade(tradeData)).rejects.toThrow(
-        /SQLITE_CONSTRAINT: FOREIGN KEY constraint failed/i,
-      );
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        name: "ForeignKeyError",
+        code: "FOREIGN_KEY_VIOLATION",
+      });
     });
     test("should reject trade with non-existent userId", async () => {
       const tradeData = createSampleTradeData({ userId: 9999 });
-      await expect(createTrade(tradeData)).rejects.toThrow(
-        /SQLITE_CONSTRAINT: FOREIGN KEY constraint failed/i,
-      );
+      await expect(createTrade(tradeData)).rejects.toMatchObject({
+        name: "ForeignKeyError",
+        code: "FOREIGN_KEY_VIOLATION",
+      });
     });
   });
 
@@ -223,23 +234,24 @@ describe("TradeRepository Integration Tests", () => {
       );
       await closeTrade({
         id: tradeIdClosed,
+        userId: testUserId,
         exitPrice: 110,
         exitDate: getISODate(-1),
       }); // Close one trade
       otherUserTradeId = await createTrade(
-        createSampleTradeData({ ticker: "OTHER", userId: otherUserId }),
+        createSampleTradeData({ ticker: "OTHER", userId: otherUserId, subAccountId: null }),
       ); // Trade for another user
     });
 
     test("findTradeById should return correct trade", async () => {
-      const found = await findTradeById(tradeId1);
+      const found = await findTradeById(tradeId1, testUserId);
       expect(found).not.toBeNull();
       expect(found.id).toBe(tradeId1);
       expect(found.ticker).toBe("RD1");
     });
 
     test("findTradeById should return null for non-existent ID", async () => {
-      const found = await findTradeById(99999);
+      const found = await findTradeById(99999, testUserId);
       expect(found).toBeNull();
     });
 
@@ -268,6 +280,7 @@ describe("TradeRepository Integration Tests", () => {
       );
       await closeTrade({
         id: closedId2,
+        userId: testUserId,
         exitPrice: 120,
         exitDate: getISODate(0),
       }); // Closed today
@@ -276,6 +289,7 @@ describe("TradeRepository Integration Tests", () => {
       );
       await closeTrade({
         id: closedId3,
+        userId: testUserId,
         exitPrice: 130,
         exitDate: getISODate(-2),
       }); // Closed day before yesterday
@@ -332,19 +346,20 @@ describe("TradeRepository Integration Tests", () => {
 
       const success = await closeTrade({
         id: openTradeId,
+        userId: testUserId,
         exitPrice,
         exitDate,
       });
       expect(success).toBe(true);
 
-      const closedTrade = await findTradeById(openTradeId);
+      const closedTrade = await findTradeById(openTradeId, testUserId);
       expect(closedTrade.status).toBe("closed");
       expect(closedTrade.exit_price).toBe(exitPrice);
       expect(closedTrade.exit_date).toBe(exitDate);
       expect(closedTrade.updated_at).not.toBe(closedTrade.created_at);
     });
 
-    test("should update notes and commission when closing", async () => {
+    test("should update notes and add the exit commission when closing", async () => {
       const exitPrice = 115.0;
       const exitDate = getISODate(0);
       const exitNotes = "Closed successfully";
@@ -352,6 +367,7 @@ describe("TradeRepository Integration Tests", () => {
 
       const success = await closeTrade({
         id: openTradeId,
+        userId: testUserId,
         exitPrice,
         exitDate,
         notes: exitNotes,
@@ -359,33 +375,57 @@ describe("TradeRepository Integration Tests", () => {
       });
       expect(success).toBe(true);
 
-      const closedTrade = await findTradeById(openTradeId);
+      const closedTrade = await findTradeById(openTradeId, testUserId);
       expect(closedTrade.status).toBe("closed");
       expect(closedTrade.exit_price).toBe(exitPrice);
       expect(closedTrade.exit_date).toBe(exitDate);
       expect(closedTrade.notes).toBe(exitNotes);
-      expect(closedTrade.commission).toBe(exitCommission); // Assumes commission adds up or overwrites based on your logic needs
+      // The exit's fees add to the commission paid on entry
+      expect(closedTrade.commission).toBeCloseTo(1.99 + exitCommission);
     });
 
     test("should return false when trying to close an already closed trade", async () => {
       // Close it once
       await closeTrade({
         id: openTradeId,
+        userId: testUserId,
         exitPrice: 110,
         exitDate: getISODate(0),
       });
       // Try to close again
       const success = await closeTrade({
         id: openTradeId,
+        userId: testUserId,
         exitPrice: 120,
         exitDate: getISODate(1),
       });
       expect(success).toBe(false); // Should fail because WHERE clause includes "status = 'open'"
     });
 
+    test("should reject closing with an exit date before the entry date", async () => {
+      await expect(
+        closeTrade({
+          id: openTradeId,
+          userId: testUserId,
+          exitPrice: 110,
+          exitDate: getISODate(-3),
+        }),
+      ).rejects.toMatchObject({ details: { exitDate: "must not be before entryDate" } });
+
+      const trade = await findTradeById(openTradeId, testUserId);
+      expect(trade.status).toBe("open");
+    });
+
+    test("should reject closing without an exit price", async () => {
+      await expect(
+        closeTrade({ id: openTradeId, userId: testUserId, exitDate: getISODate(0) }),
+      ).rejects.toMatchObject({ details: { exitPrice: "is required" } });
+    });
+
     test("should return false when trying to close non-existent trade", async () => {
       const success = await closeTrade({
         id: 9999,
+        userId: testUserId,
         exitPrice: 100,
         exitDate: getISODate(0),
       });
@@ -410,9 +450,9 @@ describe("TradeRepository Integration Tests", () => {
       await new Promise((resolve) => setTimeout(resolve, 10));
       
       const newNotes = "Updated notes";
-      const success = await updateTradeDetails(tradeId, { notes: newNotes });
+      const success = await updateTradeDetails(tradeId, testUserId, { notes: newNotes });
       expect(success).toBe(true);
-      const updatedTrade = await findTradeById(tradeId);
+      const updatedTrade = await findTradeById(tradeId, testUserId);
       expect(updatedTrade.notes).toBe(newNotes);
       expect(updatedTrade.commission).toBe(1.0); // Commission unchanged
       expect(updatedTrade.updated_at).not.toBe(updatedTrade.created_at);
@@ -420,11 +460,11 @@ describe("TradeRepository Integration Tests", () => {
 
     test("should update commission successfully", async () => {
       const newCommission = 5.0;
-      const success = await updateTradeDetails(tradeId, {
+      const success = await updateTradeDetails(tradeId, testUserId, {
         commission: newCommission,
       });
       expect(success).toBe(true);
-      const updatedTrade = await findTradeById(tradeId);
+      const updatedTrade = await findTradeById(tradeId, testUserId);
       expect(updatedTrade.notes).toBe("Original"); // Notes unchanged
       expect(updatedTrade.commission).toBe(newCommission);
       expect(updatedTrade.updated_at).not.toBe(updatedTrade.created_at);
@@ -433,31 +473,61 @@ describe("TradeRepository Integration Tests", () => {
     test("should update notes and commission simultaneously", async () => {
       const newNotes = "Both updated";
       const newCommission = 7.5;
-      const success = await updateTradeDetails(tradeId, {
+      const success = await updateTradeDetails(tradeId, testUserId, {
         notes: newNotes,
         commission: newCommission,
       });
       expect(success).toBe(true);
-      const updatedTrade = await findTradeById(tradeId);
+      const updatedTrade = await findTradeById(tradeId, testUserId);
       expect(updatedTrade.notes).toBe(newNotes);
       expect(updatedTrade.commission).toBe(newCommission);
     });
 
+    test("should reject a negative commission", async () => {
+      await expect(updateTradeDetails(tradeId, testUserId, { commission: -1 })).rejects.toMatchObject({
+        details: { commission: "must be at least 0" },
+      });
+    });
+
+    test("should set and clear the planned stop, target and risk", async () => {
+      expect(await updateTradeDetails(tradeId, testUserId, {
+        stopPrice: 95,
+        targetPrice: 110,
+        riskAmount: 40,
+      })).toBe(true);
+      expect(await findTradeById(tradeId, testUserId)).toMatchObject({
+        stop_price: 95,
+        target_price: 110,
+        risk_amount: 40,
+      });
+
+      await updateTradeDetails(tradeId, testUserId, { riskAmount: null });
+      expect((await findTradeById(tradeId, testUserId)).risk_amount).toBeNull();
+    });
+
+    test("should check a new stop against the trade's direction and entry", async () => {
+      await expect(updateTradeDetails(tradeId, testUserId, { stopPrice: 100 })).rejects.toMatchObject({
+        details: { stopPrice: "must be below the entry price for a long trade" },
+      });
+      expect(await updateTradeDetails(tradeId, otherUserId, { stopPrice: 95 })).toBe(false);
+    });
+
     test("should return false if no updates are provided", async () => {
-      const success = await updateTradeDetails(tradeId, {});
+      const success = await updateTradeDetails(tradeId, testUserId, {});
       expect(success).toBe(false);
     });
 
     test("should update details of a closed trade", async () => {
       await closeTrade({
         id: tradeId,
+        userId: testUserId,
         exitPrice: 100,
         exitDate: getISODate(0),
       });
       const newNotes = "Updating closed trade notes";
-      const success = await updateTradeDetails(tradeId, { notes: newNotes });
+      const success = await updateTradeDetails(tradeId, testUserId, { notes: newNotes });
       expect(success).toBe(true);
-      const updatedTrade = await findTradeById(tradeId);
+      const updatedTrade = await findTradeById(tradeId, testUserId);
       expect(updatedTrade.notes).toBe(newNotes);
       expect(updatedTrade.status).toBe("closed"); // Still closed
     });
@@ -472,15 +542,498 @@ describe("TradeRepository Integration Tests", () => {
     });
 
     test("should delete a trade successfully", async () => {
-      const success = await deleteTrade(tradeId);
+      const success = await deleteTrade(tradeId, testUserId);
       expect(success).toBe(true);
-      const found = await findTradeById(tradeId);
+      const found = await findTradeById(tradeId, testUserId);
       expect(found).toBeNull();
     });
 
     test("should return false when trying to delete non-existent trade", async () => {
-      const success = await deleteTrade(99999);
+      const success = await deleteTrade(99999, testUserId);
       expect(success).toBe(false);
     });
   });
+
+  describe("P&L", () => {
+    test("should compute direction-aware P&L for closed trades", async () => {
+      const long = await createTrade(createSampleTradeData({
+        entryDate: "2024-03-01T14:00:00.000Z",
+        status: "closed",
+        exitPrice: 110,
+        exitDate: "2024-03-02T15:30:00.000Z",
+      }));
+      const short = await createTrade(createSampleTradeData({
+        direction: "short",
+        commission: 0,
+        entryDate: "2024-03-01T14:00:00.000Z",
+        status: "closed",
+        exitPrice: 110,
+        exitDate: "2024-03-01T14:05:00.000Z",
+      }));
+
+      const longTrade = await findTradeById(long, testUserId);
+      expect(longTrade.gross_pnl).toBeCloseTo(100);
+      expect(longTrade.net_pnl).toBeCloseTo(98.01);
+      expect(longTrade.pnl_percent).toBeCloseTo(9.801);
+      expect(longTrade.holding_seconds).toBe(25 * 3600 + 1800);
+
+      const shortTrade = await findTradeById(short, testUserId);
+      expect(shortTrade.gross_pnl).toBeCloseTo(-100);
+      expect(shortTrade.net_pnl).toBeCloseTo(-100);
+      expect(shortTrade.pnl_percent).toBeCloseTo(-10);
+      expect(shortTrade.holding_seconds).toBe(300);
+    });
+
+    test("should leave P&L empty while open and follow commission changes", async () => {
+      const id = await createTrade(createSampleTradeData());
+      expect(await findTradeById(id, testUserId)).toMatchObject({
+        gross_pnl: null,
+        net_pnl: null,
+        pnl_percent: null,
+        holding_seconds: null,
+      });
+
+      await closeTrade({ id, userId: testUserId, exitPrice: 90, exitDate: getISODate(0) });
+      await updateTradeDetails(id, testUserId, { commission: 5 });
+      const trade = await findTradeById(id, testUserId);
+      expect(trade.gross_pnl).toBeCloseTo(-100);
+      expect(trade.net_pnl).toBeCloseTo(-105);
+    });
+  });
+
+  describe("Risk", () => {
+    test("should compute planned R:R and, once closed, realized R from the stop", async () => {
+      const id = await createTrade(createSampleTradeData({
+        commission: 0,
+        stopPrice: 96,
+        targetPrice: 112,
+      }));
+      expect(await findTradeById(id, testUserId)).toMatchObject({
+        initial_risk: 40,
+        planned_rr: 3,
+        realized_r: null,
+      });
+
+      await closeTrade({ id, userId: testUserId, exitPrice: 110, exitDate: getISODate(0) });
+      expect((await findTradeById(id, testUserId)).realized_r).toBeCloseTo(2.5);
+    });
+
+    test("should prefer an explicit risk amount and handle shorts", async () => {
+      const id = await createTrade(createSampleTradeData({
+        direction: "short",
+        commission: 0,
+        stopPrice: 105,
+        riskAmount: 25,
+        status: "closed",
+        exitPrice: 105,
+        exitDate: getISODate(0),
+      }));
+      expect(await findTradeById(id, testUserId)).toMatchObject({
+        initial_risk: 25,
+        planned_rr: null,
+        realized_r: -2,
+      });
+    });
+
+    test("should leave R empty without a stop or risk amount", async () => {
+      const id = await createTrade(createSampleTradeData({ targetPrice: 110 }));
+      expect(await findTradeById(id, testUserId)).toMatchObject({
+        initial_risk: null,
+        planned_rr: null,
+        realized_r: null,
+      });
+    });
+  });
+
+  describe("Tags", () => {
+    let breakout;
+    let fomo;
+    let otherUsersTag;
+    beforeAll(async () => {
+      breakout = await createTag(testUserId, { name: "Breakout", category: "setup" });
+      fomo = await createTag(testUserId, { name: "FOMO", category: "mistake" });
+      otherUsersTag = await createTag(otherUserId, { name: "Theirs" });
+    });
+
+    const tagIdsOf = async (id) => (await findTradeById(id, testUserId)).tags.map((t) => t.id);
+
+    test("should label a new trade with the user's tags", async () => {
+      const id = await createTrade(createSampleTradeData({ tagIds: [fomo, breakout] }));
+      expect((await findTradeById(id, testUserId)).tags).toEqual([
+        { id: breakout, name: "Breakout", category: "setup" },
+        { id: fomo, name: "FOMO", category: "mistake" },
+      ]);
+      expect((await findTradeById(await createTrade(createSampleTradeData()), testUserId)).tags)
+        .toEqual([]);
+    });
+
+    test("should not create a trade with another user's tag", async () => {
+      await expect(createTrade(createSampleTradeData({ tagIds: [breakout, otherUsersTag] })))
+        .rejects.toMatchObject({
+          status: 400,
+          details: { tagIds: "contains a tag that does not exist" },
+        });
+      expect((await searchTrades(testUserId)).trades).toEqual([]);
+    });
+
+    test("should attach and detach tags in updateTradeDetails", async () => {
+      const id = await createTrade(createSampleTradeData({ tagIds: [breakout] }));
+      expect(await updateTradeDetails(id, testUserId, {
+        addTagIds: [fomo, breakout],
+        removeTagIds: [],
+      })).toBe(true);
+      expect(await tagIdsOf(id)).toEqual([breakout, fomo]);
+
+      expect(await updateTradeDetails(id, testUserId, { removeTagIds: [breakout] })).toBe(true);
+      expect(await tagIdsOf(id)).toEqual([fomo]);
+
+      await expect(updateTradeDetails(id, testUserId, { addTagIds: [otherUsersTag] }))
+        .rejects.toMatchObject({ details: { addTagIds: "contains a tag that does not exist" } });
+      expect(await updateTradeDetails(id, otherUserId, { addTagIds: [breakout] })).toBe(false);
+      expect(await tagIdsOf(id)).toEqual([fomo]);
+    });
+
+    test("should filter searches to trades with all of the given tags", async () => {
+      const both = await createTrade(createSampleTradeData({ tagIds: [breakout, fomo] }));
+      const breakoutOnly = await createTrade(createSampleTradeData({ tagIds: [breakout] }));
+      await createTrade(createSampleTradeData());
+
+      const byBreakout = await searchTrades(testUserId, { tagIds: [breakout], sort: "id" });
+      expect(byBreakout.trades.map((t) => t.id)).toEqual([breakoutOnly, both]);
+      const byBoth = await searchTrades(testUserId, { tagIds: [fomo, breakout] });
+      expect(byBoth.trades.map((t) => t.id)).toEqual([both]);
+      expect(byBoth.trades[0].tags).toHaveLength(2);
+    });
+  });
+
+  describe("searchTrades", () => {
+    // Creates a trade and closes it when exit details are given
+    const addTrade = async ({ exitPrice, exitDate, ...overrides }) => {
+      const id = await createTrade(createSampleTradeData(overrides));
+      if (exitPrice !== undefined) {
+        await closeTrade({ id, userId: testUserId, exitPrice, exitDate });
+      }
+      return id;
+    };
+
+    // Follows nextCursor until the last page and returns every id in order
+    const collectIds = async (criteria) => {
+      const ids = [];
+      let cursor;
+      do {
+        const page = await searchTrades(testUserId, { ...criteria, cursor });
+        ids.push(...page.trades.map((t) => t.id));
+        cursor = page.nextCursor || undefined;
+      } while (cursor);
+      return ids;
+    };
+
+    let winner, loser, shortWinner, open, otherSub;
+    beforeEach(async () => {
+      const otherSubAccountId = await createSubAccount(testUserId, `Search ${Date.now()}`);
+      // +100 - 1.99 commission
+      winner = await addTrade({
+        ticker: "AAA",
+        entryDate: "2024-03-01T14:00:00.000Z",
+        exitPrice: 110,
+        exitDate: "2024-03-05T15:00:00.000Z",
+      });
+      // -50 - 1.99
+      loser = await addTrade({
+        ticker: "BBB",
+        entryDate: "2024-03-02T14:00:00.000Z",
+        exitPrice: 95,
+        exitDate: "2024-03-03T15:00:00.000Z",
+      });
+      // Short from 100 to 90: +100 - 1.99
+      shortWinner = await addTrade({
+        ticker: "AAA",
+        direction: "short",
+        entryDate: "2024-03-03T14:00:00.000Z",
+        exitPrice: 90,
+        exitDate: "2024-03-04T15:00:00.000Z",
+      });
+      open = await addTrade({ ticker: "CCC", entryDate: "2024-03-04T14:00:00.000Z" });
+      otherSub = await addTrade({
+        ticker: "DDD",
+        subAccountId: otherSubAccountId,
+        entryDate: "2024-03-05T14:00:00.000Z",
+      });
+      // Never returned: belongs to someone else
+      await addTrade({ userId: otherUserId, subAccountId: null, ticker: "AAA" });
+    });
+
+    test("should return the user's trades newest entry first by default", async () => {
+      const { trades, nextCursor } = await searchTrades(testUserId);
+      expect(trades.map((t) => t.id)).toEqual([otherSub, open, shortWinner, loser, winner]);
+      expect(nextCursor).toBeNull();
+      expect(trades[0]).not.toHaveProperty("sort_value");
+    });
+
+    test("should filter by ticker, direction, status and sub-account", async () => {
+      const ids = async (criteria) =>
+        (await searchTrades(testUserId, criteria)).trades.map((t) => t.id).sort();
+
+      expect(await ids({ ticker: "aaa" })).toEqual([winner, shortWinner].sort());
+      expect(await ids({ ticker: "AAA", direction: "long" })).toEqual([winner]);
+      expect(await ids({ status: "open" })).toEqual([open, otherSub].sort());
+      expect(await ids({ subAccountId: testSubAccountId, status: "open" })).toEqual([open]);
+    });
+
+    test("should filter by date ranges with inclusive date-only bounds", async () => {
+      const ids = async (criteria) =>
+        (await searchTrades(testUserId, criteria)).trades.map((t) => t.id).sort();
+
+      expect(await ids({ entryFrom: "2024-03-02", entryTo: "2024-03-03" })).toEqual(
+        [loser, shortWinner].sort(),
+      );
+      expect(await ids({ exitTo: "2024-03-04" })).toEqual([loser, shortWinner].sort());
+      expect(await ids({ exitFrom: "2024-03-04T16:00:00Z" })).toEqual([winner]);
+    });
+
+    test("should store, sort and filter timestamps with an offset as UTC", async () => {
+      // 2024-03-02T11:00Z: entered before `loser`, though its text sorts after it
+      const early = await addTrade({
+        ticker: "EEE",
+        entryDate: "2024-03-03T01:00:00+14:00",
+        exitPrice: 105,
+        exitDate: "2024-03-03T08:00:00-07:00",
+      });
+
+      const trade = await findTradeById(early, testUserId);
+      expect(trade.entry_date).toBe("2024-03-02T11:00:00.000Z");
+      expect(trade.exit_date).toBe("2024-03-03T15:00:00.000Z");
+      const { trades } = await searchTrades(testUserId, { sort: "entryDate", order: "asc" });
+      expect(trades.map((t) => t.id).slice(0, 3)).toEqual([winner, early, loser]);
+      const { trades: later } = await searchTrades(testUserId, {
+        entryFrom: "2024-03-02T13:00:00+01:00",
+      });
+      expect(later.map((t) => t.id)).not.toContain(early);
+    });
+
+    test("should filter by P&L sign taking direction and commission into account", async () => {
+      const ids = async (pnl) =>
+        (await searchTrades(testUserId, { pnl })).trades.map((t) => t.id).sort();
+
+      expect(await ids("positive")).toEqual([winner, shortWinner].sort());
+      expect(await ids("negative")).toEqual([loser]);
+      expect(await ids("zero")).toEqual([]);
+    });
+
+    test("should filter by a net P&L range", async () => {
+      const ids = async (criteria) =>
+        (await searchTrades(testUserId, criteria)).trades.map((t) => t.id).sort();
+
+      expect(await ids({ pnlMin: 0 })).toEqual([winner, shortWinner].sort());
+      expect(await ids({ pnlMax: 0 })).toEqual([loser]);
+      expect(await ids({ pnlMin: -60, pnlMax: 50 })).toEqual([loser]);
+      await expect(searchTrades(testUserId, { pnlMin: 10, pnlMax: 5 })).rejects.toMatchObject({
+        details: { pnlMax: "must not be less than pnlMin" },
+      });
+    });
+
+    test("should sort by holding time", async () => {
+      const { trades } = await searchTrades(testUserId, { sort: "holdingSeconds", order: "asc" });
+      // Loser and short winner were both held 25 hours; ties are broken by id
+      expect(trades.slice(0, 3).map((t) => t.id)).toEqual([loser, shortWinner, winner]);
+    });
+
+    test("should sort by P&L", async () => {
+      const { trades } = await searchTrades(testUserId, { status: "closed", sort: "pnl" });
+      // Both winners made 98.01; ties are broken by id in the same direction
+      expect(trades.map((t) => t.id)).toEqual([shortWinner, winner, loser]);
+    });
+
+    test("should page with cursors and put missing sort values last", async () => {
+      const all = [winner, loser, shortWinner, open, otherSub];
+      for (const order of ["asc", "desc"]) {
+        const expected = (await searchTrades(testUserId, { sort: "exitDate", order, limit: 50 }))
+          .trades.map((t) => t.id);
+        expect(expected.slice(3).sort()).toEqual([open, otherSub].sort());
+        expect(await collectIds({ sort: "exitDate", order, limit: 2 })).toEqual(expected);
+      }
+      expect((await collectIds({ sort: "ticker", order: "asc", limit: 1 })).sort()).toEqual(
+        all.sort(),
+      );
+    });
+
+    test("should keep a cursor stable when earlier rows are added", async () => {
+      const first = await searchTrades(testUserId, { sort: "entryDate", order: "asc", limit: 2 });
+      expect(first.trades.map((t) => t.id)).toEqual([winner, loser]);
+      await addTrade({ ticker: "NEW", entryDate: "2024-01-01T00:00:00.000Z" });
+
+      const second = await searchTrades(testUserId, {
+        sort: "entryDate",
+        order: "asc",
+        limit: 2,
+        cursor: first.nextCursor,
+      });
+      expect(second.trades.map((t) => t.id)).toEqual([shortWinner, open]);
+    });
+
+    test("should reject invalid criteria", async () => {
+      await expect(
+        searchTrades(testUserId, { status: "pending", limit: 500, sort: "notes", offset: 5 }),
+      ).rejects.toMatchObject({
+        name: "ValidationError",
+        details: {
+          status: "must be one of: open, closed",
+          limit: "must be at most 200",
+          sort: expect.stringMatching(/^must be one of:/),
+          offset: "is not an allowed field",
+        },
+      });
+      await expect(
+        searchTrades(testUserId, { entryFrom: "2024-03-05", entryTo: "2024-03-01" }),
+      ).rejects.toMatchObject({ details: { entryTo: "must not be before entryFrom" } });
+    });
+
+    test("should reject malformed cursors and cursors from another sort", async () => {
+      await expect(searchTrades(testUserId, { cursor: "not-a-cursor" })).rejects.toMatchObject({
+        details: { cursor: "is malformed" },
+      });
+      const { nextCursor } = await searchTrades(testUserId, { sort: "ticker", limit: 1 });
+      await expect(
+        searchTrades(testUserId, { sort: "entryDate", cursor: nextCursor }),
+      ).rejects.toMatchObject({ details: { cursor: "does not match the requested sort" } });
+    });
+
+    test("should reject cursors whose sort value was tampered with", async () => {
+      const position = { sort: "entryDate", order: "desc", id: 1 };
+      for (const value of [undefined, { $gt: 0 }, [1], true]) {
+        await expect(
+          searchTrades(testUserId, { cursor: encodeCursor({ ...position, value }) }),
+        ).rejects.toMatchObject({ message: "Invalid cursor", details: { cursor: "is malformed" } });
+      }
+    });
+  });
+
+  describe("searchTradeNotes", () => {
+    const search = async (query, limit) =>
+      (await searchTradeNotes(testUserId, { query, limit })).map((t) => t.id);
+
+    let gap, fomc, both;
+    beforeEach(async () => {
+      gap = await createTrade(createSampleTradeData({
+        ticker: "GAP",
+        notes: "Bought the earnings gap up after a strong guidance raise",
+      }));
+      fomc = await createTrade(createSampleTradeData({
+        ticker: "FOMC",
+        notes: "Faded the FOMC spike; minutes were dovish",
+      }));
+      both = await createTrade(createSampleTradeData({
+        ticker: "BOTH",
+        notes: "Earnings gap filled into FOMC. Earnings gaps are tricky before FOMC.",
+      }));
+      await createTrade(createSampleTradeData({ ticker: "NONE", notes: null }));
+      await createTrade(createSampleTradeData({
+        userId: otherUserId,
+        subAccountId: null,
+        notes: "Someone else's earnings gap",
+      }));
+    });
+
+    test("should find trades by words, phrases and prefixes", async () => {
+      expect((await search("fomc")).sort()).toEqual([fomc, both].sort());
+      expect((await search("\"earnings gap\"")).sort()).toEqual([gap, both].sort());
+      expect(await search("earnings dovish")).toEqual([]);
+      expect(await search("dov*")).toEqual([fomc]);
+      // Porter stemming: "gaps" matches "gap"
+      expect((await search("gaps")).sort()).toEqual([gap, both].sort());
+    });
+
+    test("should rank better matches first and highlight them", async () => {
+      const results = await searchTradeNotes(testUserId, { query: "fomc earnings" });
+      expect(results.map((t) => t.id)).toEqual([both]);
+      expect(results[0].snippet).toContain("<mark>FOMC</mark>");
+      expect(results[0].rank).toEqual(expect.any(Number));
+
+      const ranked = await searchTradeNotes(testUserId, { query: "fomc" });
+      expect(ranked.map((t) => t.id)).toEqual([both, fomc]);
+      expect(ranked[0].rank).toBeLessThanOrEqual(ranked[1].rank);
+      expect(await search("fomc", 1)).toEqual([both]);
+    });
+
+    test("should HTML-escape note text around the highlights", async () => {
+      await createTrade(createSampleTradeData({
+        notes: "CPI <script>alert(\"x\")</script> & 'squeeze'",
+      }));
+      const [result] = await searchTradeNotes(testUserId, { query: "squeeze" });
+      expect(result.snippet).toBe(
+        "CPI &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;<mark>squeeze</mark>&#39;",
+      );
+      expect(result.notes).toContain("<script>");
+    });
+
+    test("should treat FTS syntax as plain text", async () => {
+      expect(await search("NEAR(fomc) OR -")).toEqual([]);
+      expect(await search("notes:fomc")).toEqual([]);
+      await expect(search("- * ()")).rejects.toMatchObject({
+        details: { query: "must contain a search term" },
+      });
+      await expect(search("")).rejects.toMatchObject({ details: { query: "cannot be empty" } });
+    });
+
+    test("should keep the index in sync with edits and deletes", async () => {
+      await updateTradeDetails(gap, testUserId, { notes: "Now about CPI" });
+      expect(await search("cpi")).toEqual([gap]);
+      expect(await search("\"guidance raise\"")).toEqual([]);
+
+      await deleteTrade(both, testUserId);
+      expect(await search("fomc")).toEqual([fomc]);
+    });
+  });
+
+  describe("Ownership", () => {
+    let otherTradeId;
+    beforeEach(async () => {
+      otherTradeId = await createTrade(
+        createSampleTradeData({ ticker: "NOT_MINE", userId: otherUserId, subAccountId: null }),
+      );
+    });
+
+    const expectUntouched = async () => {
+      const trade = await findTradeById(otherTradeId, otherUserId);
+      expect(trade).toMatchObject({ ticker: "NOT_MINE", status: "open", notes: "Initial trade notes" });
+    };
+
+    test("findTradeById should not return another user's trade", async () => {
+      expect(await findTradeById(otherTradeId, testUserId)).toBeNull();
+      expect(await findTradeById(otherTradeId, otherUserId)).not.toBeNull();
+    });
+
+    test("closeTrade should not close another user's trade", async () => {
+      const success = await closeTrade({
+        id: otherTradeId,
+        userId: testUserId,
+        exitPrice: 100,
+        exitDate: getISODate(0),
+      });
+      expect(success).toBe(false);
+      await expectUntouched();
+    });
+
+    test("updateTradeDetails should not update another user's trade", async () => {
+      const success = await updateTradeDetails(otherTradeId, testUserId, { notes: "Hijacked" });
+      expect(success).toBe(false);
+      await expectUntouched();
+    });
+
+    test("deleteTrade should not delete another user's trade", async () => {
+      expect(await deleteTrade(otherTradeId, testUserId)).toBe(false);
+      await expectUntouched();
+    });
+
+    test("createTrade should refuse another user's sub-account", async () => {
+      const theirSubAccountId = await createSubAccount(otherUserId, "Their Account");
+      await expect(
+        createTrade(createSampleTradeData({ subAccountId: theirSubAccountId })),
+      ).rejects.toMatchObject({
+        name: "ForeignKeyError",
+        details: { subAccountId: "does not exist" },
+      });
+      expect(await findOpenTradesByUserId(testUserId)).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,497 @@
+// Import the app factory and supertest to drive it
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { signAccessToken } from "../src/services/token_service.js";
+
+// Import repository modules so the test DB can be injected
+import * as tradeRepository from "../trade_repository.js";
+import * as userRepository from "../user_repository.js";
+import * as subAccountRepository from "../sub_account_repository.js";
+import * as tagRepository from "../tag_repository.js";
+
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
+
+
+// Import jest testing functions
+import {
+  describe,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  expect,
+  test,
+} from "@jest/globals";
+
+// Hashing simulation
+const simpleHash = (password) => `hashed_${password}`;
+
+// Bearer header for acting as a given user
+const authHeader = (userId) => `Bearer ${signAccessToken(userId)}`;
+
+// Helper for dates - ensures consistency
+const getISODate = (offsetDays = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return date.toISOString();
+};
+
+describe("Trade Routes Integration Tests", () => {
+  let db;
+  let context;
+  let app;
+  let testUserId;
+  let otherUserId;
+  let testSubAccountId;
+
+  // Sample request body generator
+  const sampleTradeBody = (overrides = {}) => ({
+    subAccountId: testSubAccountId,
+    ticker: "API",
+    quantity: 10,
+    entryPrice: 100.0,
+    direction: "long",
+    entryDate: getISODate(-1),
+    notes: "Created over HTTP",
+    commission: 1.5,
+    ...overrides,
+  });
+
+  // Shortcut for creating a trade through the API as the test user
+  const postTrade = (overrides = {}, userId = testUserId) =>
+    request(app)
+      .post("/trades")
+      .set("Authorization", authHeader(userId))
+      .send(sampleTradeBody(overrides));
+
+  beforeAll(async () => {
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
+
+    testUserId = await userRepository.createUser(
+      "routeUser",
+      "route@example.com",
+      simpleHash("password"),
+    );
+    otherUserId = await userRepository.createUser(
+      "otherRouteUser",
+      "otherroute@example.com",
+      simpleHash("password"),
+    );
+    testSubAccountId = await subAccountRepository.createSubAccount(
+      testUserId,
+      "Route SubAcc",
+    );
+
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await context.close();
+  });
+
+  beforeEach(async () => {
+    // Clean only trades before each test
+    await new Promise((resolve, reject) => {
+      db.run("DELETE FROM trades;", (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  });
+
+  test("should reject requests without an access token", async () => {
+    const res = await request(app).get("/trades");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Authentication required", code: "UNAUTHORIZED" });
+  });
+
+  describe("POST /trades", () => {
+    test("should create a trade owned by the acting user", async () => {
+      const res = await postTrade();
+      expect(res.status).toBe(201);
+      expect(res.body.id).toEqual(expect.any(Number));
+      expect(res.body.user_id).toBe(testUserId);
+      expect(res.body.ticker).toBe("API");
+      expect(res.body.status).toBe("open");
+    });
+
+    test("should ignore a userId supplied in the body", async () => {
+      const res = await postTrade({ userId: otherUserId });
+      expect(res.status).toBe(201);
+      expect(res.body.user_id).toBe(testUserId);
+    });
+
+    test("should return 400 when required fields are missing", async () => {
+      const res = await postTrade({ ticker: undefined });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toEqual(expect.any(String));
+    });
+
+    test("should return field-level errors for invalid values", async () => {
+      const res = await postTrade({ quantity: 0, direction: "sideways", entryDate: "yesterday" });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("VALIDATION_ERROR");
+      expect(res.body.error).toBe("Invalid trade");
+      expect(res.body.details).toEqual({
+        quantity: "must be greater than 0",
+        direction: "must be one of: long, short",
+        entryDate: "must be an ISO 8601 date",
+      });
+    });
+
+    test("should refuse to link another user's sub-account", async () => {
+      const theirs = await subAccountRepository.createSubAccount(otherUserId, "Not Yours");
+      const res = await postTrade({ subAccountId: theirs });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        error: "Sub-account not found",
+        code: "FOREIGN_KEY_VIOLATION",
+        details: { subAccountId: "does not exist" },
+      });
+    });
+  });
+
+  describe("GET /trades", () => {
+    const search = (query) =>
+      request(app).get(`/trades${query}`).set("Authorization", authHeader(testUserId));
+
+    test("should list the acting user's trades filtered by status", async () => {
+      const open = await postTrade({ ticker: "OPEN" });
+      const toClose = await postTrade({ ticker: "SHUT" });
+      await request(app)
+        .post(`/trades/${toClose.body.id}/close`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ exitPrice: 110, exitDate: getISODate(0) });
+      await postTrade({ ticker: "NOTMINE" }, otherUserId);
+
+      const all = await search("");
+      expect(all.status).toBe(200);
+      expect(all.body.trades.map((t) => t.id).sort()).toEqual([open.body.id, toClose.body.id]);
+      expect(all.body.nextCursor).toBeNull();
+
+      const openRes = await search("?status=open");
+      expect(openRes.body.trades.map((t) => t.id)).toEqual([open.body.id]);
+
+      const closedRes = await search("?status=closed&pnl=positive&ticker=shut");
+      expect(closedRes.status).toBe(200);
+      expect(closedRes.body.trades.map((t) => t.id)).toEqual([toClose.body.id]);
+      expect(closedRes.body.trades[0].net_pnl).toBeCloseTo(98.5);
+
+      const rangeRes = await search("?pnlMin=90&pnlMax=100");
+      expect(rangeRes.status).toBe(200);
+      expect(rangeRes.body.trades.map((t) => t.id)).toEqual([toClose.body.id]);
+    });
+
+    test("should page through results with a cursor", async () => {
+      const ids = [];
+      for (let i = 0; i < 3; i++) {
+        ids.push((await postTrade({ entryDate: getISODate(-i - 1) })).body.id);
+      }
+
+      const first = await search("?sort=entryDate&order=desc&limit=2");
+      expect(first.body.trades.map((t) => t.id)).toEqual(ids.slice(0, 2));
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await search(
+        `?sort=entryDate&order=desc&limit=2&cursor=${first.body.nextCursor}`,
+      );
+      expect(second.body.trades.map((t) => t.id)).toEqual([ids[2]]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test("should return 400 for an unknown status", async () => {
+      const res = await search("?status=pending");
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ status: "must be one of: open, closed" });
+    });
+
+    test("should reject unknown parameters and invalid numbers", async () => {
+      const res = await search("?offset=10&limit=abc");
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({
+        offset: "is not an allowed field",
+        limit: "must be a positive integer",
+      });
+    });
+  });
+
+  describe("GET /trades/search", () => {
+    test("should search the acting user's notes", async () => {
+      const mine = await postTrade({ notes: "Played the FOMC drift" });
+      await postTrade({ notes: "Unrelated" });
+      await postTrade({ notes: "Their FOMC trade" }, otherUserId);
+
+      const res = await request(app)
+        .get("/trades/search?query=fomc")
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.trades).toHaveLength(1);
+      expect(res.body.trades[0]).toMatchObject({
+        id: mine.body.id,
+        snippet: "Played the <mark>FOMC</mark> drift",
+      });
+    });
+
+    test("should return 400 without a query", async () => {
+      const res = await request(app)
+        .get("/trades/search?limit=5")
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ query: "is required" });
+    });
+  });
+
+  describe("GET /trades/:id", () => {
+    test("should return the trade for its owner", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .get(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(200);
+      expect(res.body.id).toBe(created.body.id);
+    });
+
+    test("should return 404 for another user's trade", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .get(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("NOT_FOUND");
+    });
+
+    test("should return 400 for an invalid id", async () => {
+      const res = await request(app).get("/trades/abc").set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /trades/:id/close", () => {
+    test("should close an open trade", async () => {
+      const created = await postTrade();
+      const exitDate = getISODate(0);
+      const res = await request(app)
+        .post(`/trades/${created.body.id}/close`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ exitPrice: 120, exitDate });
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("closed");
+      expect(res.body.exit_price).toBe(120);
+      expect(res.body.exit_date).toBe(exitDate);
+    });
+
+    test("should return 409 when the trade is already closed", async () => {
+      const created = await postTrade();
+      const close = () =>
+        request(app)
+          .post(`/trades/${created.body.id}/close`)
+          .set("Authorization", authHeader(testUserId))
+          .send({ exitPrice: 120, exitDate: getISODate(0) });
+      expect((await close()).status).toBe(200);
+      expect((await close()).status).toBe(409);
+    });
+
+    test("should return 400 without exit details", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .post(`/trades/${created.body.id}/close`)
+        .set("Authorization", authHeader(testUserId))
+        .send({});
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details).sort()).toEqual(["exitDate", "exitPrice"]);
+    });
+
+    test("should return 400 when the exit is before the entry", async () => {
+      const created = await postTrade({ entryDate: getISODate(-1) });
+      const res = await request(app)
+        .post(`/trades/${created.body.id}/close`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ exitPrice: 120, exitDate: getISODate(-2) });
+      expect(res.status).toBe(400);
+      expect(res.body.details.exitDate).toBe("must not be before entryDate");
+    });
+  });
+
+  describe("/trades/:id/executions", () => {
+    const postExecution = (tradeId, body, userId = testUserId) =>
+      request(app)
+        .post(`/trades/${tradeId}/executions`)
+        .set("Authorization", authHeader(userId))
+        .send(body);
+
+    test("should add a partial exit and list the fills", async () => {
+      const created = await postTrade();
+      const res = await postExecution(created.body.id, {
+        side: "sell",
+        quantity: 4,
+        price: 120,
+        executedAt: getISODate(0),
+      });
+      expect(res.status).toBe(201);
+      expect(res.body.executionId).toEqual(expect.any(Number));
+      expect(res.body.trade.remaining_quantity).toBe(6);
+      expect(res.body.trade.status).toBe("open");
+
+      const list = await request(app)
+        .get(`/trades/${created.body.id}/executions`)
+        .set("Authorization", authHeader(testUserId));
+      expect(list.status).toBe(200);
+      expect(list.body.executions.map((e) => e.side)).toEqual(["buy", "sell"]);
+    });
+
+    test("should return 400 for an invalid fill", async () => {
+      const created = await postTrade();
+      const res = await postExecution(created.body.id, { side: "sell", quantity: 11 });
+      expect(res.status).toBe(400);
+      expect(Object.keys(res.body.details).sort()).toEqual(["executedAt", "price"]);
+    });
+
+    test("should return 409 for a closed trade", async () => {
+      const created = await postTrade();
+      const body = { side: "sell", quantity: 10, price: 120, executedAt: getISODate(0) };
+      expect((await postExecution(created.body.id, body)).status).toBe(201);
+      expect((await postExecution(created.body.id, body)).status).toBe(409);
+    });
+
+    test("should return 404 for another user's trade", async () => {
+      const created = await postTrade();
+      const body = { side: "buy", quantity: 1, price: 100, executedAt: getISODate(0) };
+      expect((await postExecution(created.body.id, body, otherUserId)).status).toBe(404);
+      const list = await request(app)
+        .get(`/trades/${created.body.id}/executions`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(list.status).toBe(404);
+    });
+  });
+
+  describe("Tags", () => {
+    test("should tag trades, filter by tags and attach or detach them", async () => {
+      const breakout = await tagRepository.createTag(testUserId, { name: "Breakout" });
+      const fomo = await tagRepository.createTag(testUserId, { name: "FOMO" });
+      const tagged = await postTrade({ tagIds: [breakout] });
+      expect(tagged.status).toBe(201);
+      expect(tagged.body.tags.map((t) => t.id)).toEqual([breakout]);
+      const untagged = await postTrade();
+
+      const patched = await request(app)
+        .patch(`/trades/${untagged.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ addTagIds: [breakout, fomo] });
+      expect(patched.status).toBe(200);
+      expect(patched.body.tags).toHaveLength(2);
+
+      const search = (query) =>
+        request(app).get(`/trades${query}`).set("Authorization", authHeader(testUserId));
+      const both = await search(`?tagIds=${breakout},${fomo}`);
+      expect(both.body.trades.map((t) => t.id)).toEqual([untagged.body.id]);
+      expect((await search(`?tagIds=${breakout}`)).body.trades).toHaveLength(2);
+      expect((await search("?tagIds=first")).status).toBe(400);
+
+      const detached = await request(app)
+        .patch(`/trades/${untagged.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ removeTagIds: [breakout, fomo] });
+      expect(detached.body.tags).toEqual([]);
+    });
+
+    test("should return 400 for another user's tag", async () => {
+      const theirs = await tagRepository.createTag(otherUserId, { name: "Theirs" });
+      const res = await postTrade({ tagIds: [theirs] });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ tagIds: "contains a tag that does not exist" });
+    });
+  });
+
+  describe("PATCH /trades/:id", () => {
+    test("should update notes and commission", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ notes: "Patched", commission: 3 });
+      expect(res.status).toBe(200);
+      expect(res.body.notes).toBe("Patched");
+      expect(res.body.commission).toBe(3);
+    });
+
+    test("should update the planned stop and target", async () => {
+      const created = await postTrade({ stopPrice: 95 });
+      expect(created.body.stop_price).toBe(95);
+      const res = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ stopPrice: 98, targetPrice: 104 });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ stop_price: 98, target_price: 104, planned_rr: 2 });
+
+      const wrongSide = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ targetPrice: 90 });
+      expect(wrongSide.status).toBe(400);
+      expect(wrongSide.body.details).toEqual({
+        targetPrice: "must be above the entry price for a long trade",
+      });
+    });
+
+    test("should return 400 when nothing is sent", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({});
+      expect(res.status).toBe(400);
+    });
+
+    test("should reject fields that cannot be updated", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId))
+        .send({ notes: "Fine", ticker: "NOPE" });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual({ ticker: "is not an allowed field" });
+    });
+
+    test("should not update another user's trade", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .patch(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId))
+        .send({ notes: "Hijacked" });
+      expect(res.status).toBe(404);
+      const trade = await tradeRepository.findTradeById(created.body.id, testUserId);
+      expect(trade.notes).toBe("Created over HTTP");
+    });
+  });
+
+  describe("DELETE /trades/:id", () => {
+    test("should delete the trade", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .delete(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(204);
+      expect(await tradeRepository.findTradeById(created.body.id, testUserId)).toBeNull();
+    });
+
+    test("should not delete another user's trade", async () => {
+      const created = await postTrade();
+      const res = await request(app)
+        .delete(`/trades/${created.body.id}`)
+        .set("Authorization", authHeader(otherUserId));
+      expect(res.status).toBe(404);
+      expect(await tradeRepository.findTradeById(created.body.id, testUserId)).not.toBeNull();
+    });
+
+    test("should return 404 for a missing trade", async () => {
+      const res = await request(app).delete("/trades/99999").set("Authorization", authHeader(testUserId));
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Import the validators under test
+import {
+  validateCreateTrade,
+  validateCloseTrade,
+  validateUpdateTrade,
+} from "../src/validation/trade_validator.js";
+import { assertValid } from "../src/validation/schema.js";
+import { ValidationError } from "../src/errors/app_errors.js";
+
+// Import jest testing functions
+import { describe, expect, test } from "@jest/globals";
+
+const validTrade = (overrides = {}) => ({
+  userId: 1,
+  subAccountId: null,
+  ticker: "BRK.B",
+  quantity: 5,
+  entryPrice: 410.25,
+  direction: "long",
+  entryDate: "2024-03-01T14:30:00.000Z",
+  notes: null,
+  commission: 0,
+  ...overrides,
+});
+
+describe("Trade validation", () => {
+  describe("validateCreateTrade", () => {
+    test("should accept a valid open trade", () => {
+      expect(validateCreateTrade(validTrade())).toEqual({});
+    });
+
+    test("should accept a valid closed trade", () => {
+      const errors = validateCreateTrade(
+        validTrade({ status: "closed", exitPrice: 415, exitDate: "2024-03-02" }),
+      );
+      expect(errors).toEqual({});
+    });
+
+    test("should report every missing required field", () => {
+      expect(validateCreateTrade({})).toEqual({
+        userId: "is required",
+        ticker: "is required",
+        quantity: "is required",
+        entryPrice: "is required",
+        direction: "is required",
+        entryDate: "is required",
+      });
+    });
+
+    test("should reject wrong types and formats", () => {
+      const errors = validateCreateTrade(
+        validTrade({
+          ticker: "BAD TICKER",
+          quantity: "10",
+          entryPrice: -1,
+          entryDate: "03/01/2024",
+          commission: -0.5,
+          status: "pending",
+        }),
+      );
+      expect(Object.keys(errors).sort()).toEqual(
+        ["commission", "entryDate", "entryPrice", "quantity", "status", "ticker"],
+      );
+    });
+
+    test("should reject exit details on an open trade", () => {
+      const errors = validateCreateTrade(validTrade({ exitPrice: 415 }));
+      expect(errors).toEqual({ exitPrice: "is only allowed when status is 'closed'" });
+    });
+
+    test("should compare dates chronologically rather than as strings", () => {
+      const errors = validateCreateTrade(
+        validTrade({
+          status: "closed",
+          exitPrice: 415,
+          entryDate: "2024-03-01T10:00:00+02:00",
+          exitDate: "2024-03-01T09:00:00Z", // 11:00 at +02:00
+        }),
+      );
+      expect(errors).toEqual({});
+    });
+
+    test("should reject a payload that is not an object", () => {
+      expect(validateCreateTrade(null)).toEqual({ body: "must be an object" });
+    });
+  });
+
+  describe("validateCloseTrade", () => {
+    test("should only check the exit against the entry when it is known", () => {
+      const closeData = { exitPrice: 400, exitDate: "2024-02-01" };
+      expect(validateCloseTrade(closeData)).toEqual({});
+      expect(validateCloseTrade(closeData, "2024-03-01")).toEqual({
+        exitDate: "must not be before entryDate",
+      });
+    });
+  });
+
+  describe("validateUpdateTrade", () => {
+    test("should allow clearing notes and reject unknown fields", () => {
+      expect(validateUpdateTrade({ notes: null })).toEqual({});
+      expect(validateUpdateTrade({ notes: "", status: "closed" })).toEqual({
+        status: "is not an allowed field",
+      });
+    });
+
+    test("should check tag id lists", () => {
+      expect(validateUpdateTrade({ addTagIds: [1, 2], removeTagIds: [3] })).toEqual({});
+      expect(validateUpdateTrade({ addTagIds: [1, 1], removeTagIds: "3" })).toEqual({
+        addTagIds: "must not repeat an id",
+        removeTagIds: "must be a list of positive integers",
+      });
+      expect(validateUpdateTrade({ addTagIds: [1, 2], removeTagIds: [2] })).toEqual({
+        removeTagIds: "cannot remove a tag that is being added",
+      });
+    });
+  });
+
+  describe("assertValid", () => {
+    test("should throw a 400 ValidationError carrying the field errors", () => {
+      expect(() => assertValid({}, "Invalid trade")).not.toThrow();
+      try {
+        assertValid({ quantity: "is required" }, "Invalid trade");
+        throw new Error("expected assertValid to throw");
+      } catch (err) {
+        expect(err).toBeInstanceOf(ValidationError);
+        expect(err.status).toBe(400);
+        expect(err.message).toBe("Invalid trade");
+        expect(err.details).toEqual({ quantity: "is required" });
+      }
+    });
+  });
+});
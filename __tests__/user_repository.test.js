@@ -21,17 +21,15 @@ const {
   findUserByUsername,
   createUserWithSettings,
   findSettingsByUserId,
+  updateSettings,
+  updatePasswordHash,
+  markEmailVerified,
 } = userRepository;
-// Import DB control functions and test DB path
-import connectToDatabase, {
-  initDB,
-  closeDb,
-  DATABASE_PATH as TEST_DB_PATH,
-} from "../src/db/database_test_env";
+// Import the database context factory and the migration runner
+import { createDatabaseContext, useDatabaseContext } from "../src/db/connection.js";
+import { migrate } from "../src/db/migrator.js";
 import process from "process";
 
-// Import Node.js file system module for cleanup
-import fs from "fs/promises";
 
 // Hashing simulation (replace with actual hashing later)
 const simpleHash = (password) => `hashed_${password}`;
@@ -41,45 +39,20 @@ process.env.NODE_ENV = "test";
 
 describe("UserRepository Integration Tests", () => {
   let db;
+  let context;
 
   // Runs once before all tests in this block
   beforeAll(async () => {
-    // Ensure the testDB file doesn't exist from previous runs
-    try {
-      console.log(`Attempting to delete old test DB: ${TEST_DB_PATH}`);
-      await fs.unlink(TEST_DB_PATH);
-      console.log("Old test DB deleted successfully.");
-    } catch (error) {
-      if (error.code !== "ENOENT") { // Ignore 'file not found' error
-        console.error("Error deleting old test DB:", error);
-        throw error; // Rethrow other errors
-      }
-      console.log("No old test DB found to delete.");
-    }
-
-    // Connect to the TEST database and initialize schema
-    // NOTE: connectDb ensures connection is established and schema is initialized
-    db = await connectToDatabase();
-    console.log("Test DB connected successfully. Initializing schema...");
-    await initDB();
-    console.log("Test DB schema initialized successfully.");
-
-    // Inject the test database connection into the user_repository module
-    // This ensures all repository functions use our test database
-    userRepository.setDatabaseConnection(db);
+    // Fresh in-memory database with the full schema, used by every repository
+    context = await createDatabaseContext({ filename: ":memory:" });
+    await migrate(context.db);
+    useDatabaseContext(context);
+    db = context.db;
   });
 
   // Runs once after all tests in this block
   afterAll(async () => {
-    await closeDb();
-    // Delete the test DB file
-    try {
-      console.log(`Attempting to delete test DB: ${TEST_DB_PATH}`);
-      await fs.unlink(TEST_DB_PATH);
-      console.log("Test DB deleted after tests successfully.");
-    } catch (error) {
-      console.error("Error deleting test DB after tests:", error);
-    }
+    await context.close();
   });
 
   // Runs before each test case
@@ -212,9 +185,11 @@ describe("UserRepository Integration Tests", () => {
     // Note: The exact error message might vary based on SQLite version/constraints
     await expect(
       createUser("anotheruser", userData.email, simpleHash("otherpass")),
-    ).rejects.toThrow(
-      /SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email/i,
-    );
+    ).rejects.toMatchObject({
+      name: "ConflictError",
+      code: "CONFLICT",
+      details: { fields: ["email"] },
+    });
   });
 
   test("should throw error when creating user with duplicate username", async () => {
@@ -235,9 +210,10 @@ describe("UserRepository Integration Tests", () => {
         "user5@example.com",
         simpleHash("otherpass"),
       )
-    ).rejects.toThrow(
-      /SQLITE_CONSTRAINT: UNIQUE constraint failed: users.username/i,
-    );
+    ).rejects.toMatchObject({
+      name: "ConflictError",
+      details: { fields: ["username"] },
+    });
   });
 
   test("should create user and settings within a transaction", async () => {
@@ -298,7 +274,7 @@ describe("UserRepository Integration Tests", () => {
         simpleHash("newPass"),
         settings,
       )
-    ).rejects.toThrow(/SQLITE_CONSTRAINT/); // It should fail
+    ).rejects.toMatchObject({ code: "CONFLICT" }); // It should fail
 
     // IMPORTANT: Verify the user 'newUser' was NOT created due to rollback
     const foundUser = await findUserByEmail("fail_email@example.com");
@@ -309,4 +285,62 @@ describe("UserRepository Integration Tests", () => {
     const shouldNotExistUser = await findUserByUsername("newUser");
     expect(shouldNotExistUser).toBeNull();
   });
+
+  test("should update a user's password hash", async () => {
+    const userId = await createUser("pwUser", "pw@example.com", simpleHash("old"));
+
+    const success = await updatePasswordHash(userId, simpleHash("new"));
+    expect(success).toBe(true);
+    const foundUser = await findUserById(userId);
+    expect(foundUser.password_hash).toBe(simpleHash("new"));
+
+    expect(await updatePasswordHash(99999, simpleHash("new"))).toBe(false);
+  });
+
+  test("should mark an email as verified once", async () => {
+    const userId = await createUser("verifyUser", "verify@example.com", simpleHash("pw"));
+    expect((await findUserById(userId)).email_verified_at).toBeNull();
+
+    expect(await markEmailVerified(userId)).toBe(true);
+    const firstVerifiedAt = (await findUserById(userId)).email_verified_at;
+    expect(firstVerifiedAt).toEqual(expect.any(String));
+
+    // Verifying again keeps the original timestamp
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await markEmailVerified(userId);
+    expect((await findUserById(userId)).email_verified_at).toBe(firstVerifiedAt);
+  });
+
+  test("should update existing settings without touching other columns", async () => {
+    const userId = await createUserWithSettings(
+      "settingsUser",
+      "settings@example.com",
+      simpleHash("pw"),
+      { default_currency: "EUR", theme: "light" },
+    );
+
+    const success = await updateSettings(userId, { theme: "dark", timezone: "Europe/Berlin" });
+    expect(success).toBe(true);
+
+    const settings = await findSettingsByUserId(userId);
+    expect(settings.theme).toBe("dark");
+    expect(settings.timezone).toBe("Europe/Berlin");
+    expect(settings.default_currency).toBe("EUR");
+  });
+
+  test("should create settings for a user that has none", async () => {
+    const userId = await createUser("noSettings", "nosettings@example.com", simpleHash("pw"));
+    expect(await findSettingsByUserId(userId)).toBeNull();
+
+    await updateSettings(userId, { default_currency: "JPY" });
+    const settings = await findSettingsByUserId(userId);
+    expect(settings.default_currency).toBe("JPY");
+    expect(settings.theme).toBe("light"); // column default
+  });
+
+  test("should ignore unknown columns and return false when nothing is updatable", async () => {
+    const userId = await createUser("ignoreUser", "ignore@example.com", simpleHash("pw"));
+    expect(await updateSettings(userId, { user_id: 12345, password_hash: "x" })).toBe(false);
+    expect(await findSettingsByUserId(userId)).toBeNull();
+  });
 });
@@ -0,0 +1,82 @@
+// Every query runs against the active database context (see src/db/connection.js)
+import { run, get } from "./src/db/query.js";
+
+/**
+ * Creates a single-use account token (password reset or email verification).
+ * IMPORTANT: The token must be hashed before being passed to this function.
+ *
+ * @param {object} tokenData - Object containing token details.
+ * @param {number} tokenData.userId - The ID of the user the token belongs to.
+ * @param {string} tokenData.purpose - Either 'password_reset' or 'email_verification'.
+ * @param {string} tokenData.tokenHash - Hash of the token sent to the user.
+ * @param {string} tokenData.expiresAt - Timestamp (ISO 8601 format) after which the token is rejected.
+ * @returns {Promise<number>} A promise that resolves with the ID of the newly created token.
+ * @throws {Error} Throws an error if the token could not be created.
+ */
+async function createAccountToken(tokenData) {
+  const sql = `
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const params = [
+    tokenData.userId,
+    tokenData.purpose,
+    tokenData.tokenHash,
+    tokenData.expiresAt,
+    new Date().toISOString(),
+  ];
+  const { lastID } = await run(sql, params);
+  return lastID;
+}
+
+/**
+ * Finds an account token by its hash and purpose (including used and expired tokens).
+ *
+ * @param {string} tokenHash - Hash of the token presented by the user.
+ * @param {string} purpose - Either 'password_reset' or 'email_verification'.
+ * @returns {Promise<object|null>} A promise that resolves with the token object if found, or null otherwise.
+ * @throws {Error} Throws an error if the database query fails.
+ */
+async function findAccountTokenByHash(tokenHash, purpose) {
+  const sql = "SELECT * FROM account_tokens WHERE token_hash = ? AND purpose = ?";
+  const row = await get(sql, [tokenHash, purpose]);
+  return row || null;
+}
+
+/**
+ * Consumes an account token. Only succeeds once per token, so two concurrent
+ * requests with the same token cannot both use it.
+ *
+ * @param {number} id - The ID of the token to consume.
+ * @returns {Promise<boolean>} A promise that resolves with true if the token was consumed, or false if it was already used.
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function markAccountTokenUsed(id) {
+  const sql = "UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL";
+  const { changes } = await run(sql, [new Date().toISOString(), id]);
+  return changes > 0;
+}
+
+/**
+ * Invalidates every unused token of a purpose for a user (e.g. when a newer one is issued).
+ *
+ * @param {number} userId - The ID of the user whose tokens are to be invalidated.
+ * @param {string} purpose - Either 'password_reset' or 'email_verification'.
+ * @returns {Promise<number>} A promise that resolves with the number of tokens invalidated.
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function invalidateAccountTokens(userId, purpose) {
+  const sql = `
+    UPDATE account_tokens SET used_at = ?
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+  `;
+  const { changes } = await run(sql, [new Date().toISOString(), userId, purpose]);
+  return changes;
+}
+
+export {
+  createAccountToken,
+  findAccountTokenByHash,
+  markAccountTokenUsed,
+  invalidateAccountTokens,
+};
@@ -0,0 +1,140 @@
+// Every query runs against the active database context (see src/db/connection.js)
+import { run, get, all } from "./src/db/query.js";
+
+/**
+ * Creates a new session for a user.
+ * IMPORTANT: The refresh token must be hashed before being passed to this function.
+ *
+ * @param {object} sessionData - Object containing session details.
+ * @param {number} sessionData.userId - The ID of the user the session belongs to.
+ * @param {string} sessionData.refreshTokenHash - Hash of the session's current refresh token.
+ * @param {string} sessionData.expiresAt - Timestamp (ISO 8601 format) when the refresh token expires.
+ * @param {string} [sessionData.userAgent] - The client's User-Agent header.
+ * @param {string} [sessionData.ipAddress] - The client's IP address.
+ * @returns {Promise<number>} A promise that resolves with the ID of the newly created session.
+ * @throws {Error} Throws an error if the session could not be created.
+ */
+async function createSession(sessionData) {
+  const now = new Date().toISOString();
+  const sql = `
+    INSERT INTO sessions (
+      user_id,
+      refresh_token_hash,
+      user_agent,
+      ip_address,
+      created_at,
+      last_used_at,
+      expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  const params = [
+    sessionData.userId,
+    sessionData.refreshTokenHash,
+    sessionData.userAgent || null,
+    sessionData.ipAddress || null,
+    now,
+    now,
+    sessionData.expiresAt,
+  ];
+  const { lastID } = await run(sql, params);
+  return lastID;
+}
+
+/**
+ * Finds a single session by its unique ID (including revoked and expired sessions).
+ *
+ * @param {number} id - The ID of the session to find.
+ * @returns {Promise<object|null>} A promise that resolves with the session object if found, or null otherwise.
+ * @throws {Error} Throws an error if the database query fails.
+ */
+async function findSessionById(id) {
+  const row = await get("SELECT * FROM sessions WHERE id = ?", [id]);
+  return row || null;
+}
+
+/**
+ * Finds all active (not revoked, not expired) sessions for a user, most recently used first.
+ *
+ * @param {number} userId - The ID of the user whose sessions are to be retrieved.
+ * @returns {Promise<Array>} A promise that resolves with an array of session objects (empty array if none found).
+ * @throws {Error} Throws an error if the database query fails.
+ */
+function findActiveSessionsByUserId(userId) {
+  const sql = `
+    SELECT * FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `;
+  return all(sql, [userId, new Date().toISOString()]);
+}
+
+/**
+ * Replaces a session's refresh token hash, but only if the presented hash is still the current one.
+ * This compare-and-swap makes rotation atomic: of two concurrent refreshes with the same token,
+ * only one can win. The replaced hash is kept as `previous_refresh_token_hash` to detect reuse.
+ *
+ * @param {number} id - The ID of the session to rotate.
+ * @param {string} currentHash - Hash of the refresh token the client presented.
+ * @param {string} newHash - Hash of the newly issued refresh token.
+ * @param {string} expiresAt - New expiry timestamp (ISO 8601 format).
+ * @returns {Promise<boolean>} A promise that resolves with true if the token was rotated, or false otherwise.
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function rotateRefreshToken(id, currentHash, newHash, expiresAt) {
+  const now = new Date().toISOString();
+  const sql = `
+    UPDATE sessions
+    SET previous_refresh_token_hash = refresh_token_hash,
+      refresh_token_hash = ?,
+      last_used_at = ?,
+      expires_at = ?
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+  `;
+  const { changes } = await run(sql, [newHash, now, expiresAt, id, currentHash]);
+  return changes > 0;
+}
+
+/**
+ * Revokes a single session belonging to a user.
+ *
+ * @param {number} id - The ID of the session to revoke.
+ * @param {number} userId - The ID of the user who owns the session.
+ * @returns {Promise<boolean>} A promise that resolves with true if a session was revoked, or false otherwise. (e.g., not found or already revoked)
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function revokeSession(id, userId) {
+  const sql = `
+    UPDATE sessions
+    SET revoked_at = ?
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `;
+  const { changes } = await run(sql, [new Date().toISOString(), id, userId]);
+  return changes > 0;
+}
+
+/**
+ * Revokes every active session belonging to a user ("log out everywhere").
+ *
+ * @param {number} userId - The ID of the user whose sessions are to be revoked.
+ * @returns {Promise<number>} A promise that resolves with the number of sessions revoked.
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function revokeAllSessionsByUserId(userId) {
+  const sql = `
+    UPDATE sessions
+    SET revoked_at = ?
+    WHERE user_id = ? AND revoked_at IS NULL
+  `;
+  const { changes } = await run(sql, [new Date().toISOString(), userId]);
+  return changes;
+}
+
+export {
+  createSession,
+  findSessionById,
+  findActiveSessionsByUserId,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessionsByUserId,
+};
@@ -0,0 +1,54 @@
+import express from "express";
+import cors from "cors";
+import morgan from "morgan";
+import process from "process";
+
+import tradeRoutes from "./routes/trade_routes.js";
+import subAccountRoutes from "./routes/sub_account_routes.js";
+import authRoutes from "./routes/auth_routes.js";
+import sessionRoutes from "./routes/session_routes.js";
+import meRoutes from "./routes/me_routes.js";
+import analyticsRoutes from "./routes/analytics_routes.js";
+import toolsRoutes from "./routes/tools_routes.js";
+import tagRoutes from "./routes/tag_routes.js";
+import { authenticate } from "./middleware/authenticate.js";
+import { notFoundHandler, errorHandler } from "./middleware/error_handler.js";
+
+/**
+ * Builds the Express application with all middleware and routes mounted.
+ * The app is returned without listening so tests can drive it through supertest.
+ *
+ * @returns {import("express").Express} The configured Express application.
+ */
+function createApp() {
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json());
+
+  // Keep test output readable - request logging is only useful when serving
+  if (process.env.NODE_ENV !== "test") {
+    app.use(morgan("dev"));
+  }
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  app.use("/auth", authRoutes);
+  app.use("/sessions", authenticate, sessionRoutes);
+  app.use("/me", authenticate, meRoutes);
+  app.use("/trades", authenticate, tradeRoutes);
+  app.use("/sub-accounts", authenticate, subAccountRoutes);
+  app.use("/tags", authenticate, tagRoutes);
+  app.use("/analytics", authenticate, analyticsRoutes);
+  app.use("/tools", authenticate, toolsRoutes);
+
+  // Unknown routes, then the central error handler that shapes every error response
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+export { createApp };
@@ -0,0 +1,128 @@
+import sqlite3 from "sqlite3";
+import path from "path";
+import { fileURLToPath } from "url";
+import process from "process";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const IN_MEMORY = ":memory:";
+const BUSY_TIMEOUT_MS = 5000;
+
+// The context every repository reads its connection from (see useDatabaseContext).
+// Repositories are plain modules rather than objects built per context, so there is one
+// active context per process: switching it affects all of them at once.
+let activeContext = null;
+
+/**
+ * Reads the database settings from the environment.
+ *
+ * - `DATABASE_PATH`: file to open, or `:memory:`. Relative paths are resolved against the
+ *   current directory. Defaults to src/db/trading_app.db (trading_app_test.db when
+ *   NODE_ENV is "test"), independent of the current directory.
+ * - `DATABASE_READONLY`: "true" or "1" opens the database read-only.
+ *
+ * @param {object} [env=process.env]
+ * @returns {{ filename: string, readOnly: boolean }}
+ */
+function getDatabaseConfig(env = process.env) {
+  const defaultFile = env.NODE_ENV === "test" ? "trading_app_test.db" : "trading_app.db";
+  const filename = env.DATABASE_PATH || path.join(__dirname, defaultFile);
+  return {
+    filename: filename === IN_MEMORY ? IN_MEMORY : path.resolve(filename),
+    readOnly: ["true", "1"].includes(String(env.DATABASE_READONLY).toLowerCase()),
+  };
+}
+
+/**
+ * Opens a sqlite3 connection with foreign keys enforced.
+ *
+ * @param {{ filename: string, readOnly?: boolean }} config
+ * @returns {Promise<import("sqlite3").Database>}
+ */
+function openDatabase({ filename, readOnly = false }) {
+  const mode = readOnly
+    ? sqlite3.OPEN_READONLY
+    : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, mode, (err) => {
+      if (err) {
+        console.error(`Error opening database at ${filename}:`, err.message);
+        return reject(err);
+      }
+      // Wait for other writers (e.g. the migrate CLI) instead of failing with SQLITE_BUSY
+      db.configure("busyTimeout", BUSY_TIMEOUT_MS);
+      db.run("PRAGMA foreign_keys = ON;", (fkErr) => {
+        if (fkErr) {
+          console.error("Error enabling foreign keys:", fkErr.message);
+          db.close(() => reject(fkErr));
+        } else {
+          resolve(db);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Opens a database and wraps it in a context object.
+ * Pass the context to `useDatabaseContext` and every repository will run its queries
+ * against `context.db`.
+ *
+ * @param {object} [overrides] - Settings that take precedence over the environment,
+ *   e.g. `{ filename: ":memory:" }` for tests.
+ * @returns {Promise<{ db: import("sqlite3").Database, config: object, close: Function }>}
+ */
+async function createDatabaseContext(overrides = {}) {
+  const config = { ...getDatabaseConfig(), ...overrides };
+  const db = await openDatabase(config);
+
+  let closed = false;
+  const context = {
+    db,
+    config,
+    close() {
+      if (closed) {
+        return Promise.resolve();
+      }
+      closed = true;
+      if (activeContext === context) {
+        activeContext = null;
+      }
+      return new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+      });
+    },
+  };
+  return context;
+}
+
+/**
+ * Makes a context the one all repositories use, replacing the previous one.
+ * Only one context is active at a time; two databases cannot be used side by side.
+ * @param {object} context - Result of createDatabaseContext().
+ */
+function useDatabaseContext(context) {
+  activeContext = context;
+}
+
+/**
+ * Returns the connection of the active context. Used by the repositories.
+ * @returns {import("sqlite3").Database}
+ * @throws {Error} If no context has been activated yet.
+ */
+function getDatabase() {
+  if (!activeContext) {
+    throw new Error("No database context - call useDatabaseContext() first");
+  }
+  return activeContext.db;
+}
+
+export {
+  getDatabaseConfig,
+  openDatabase,
+  createDatabaseContext,
+  useDatabaseContext,
+  getDatabase,
+};
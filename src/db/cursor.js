@@ -0,0 +1,44 @@
+import { Buffer } from "buffer";
+
+import { ValidationError } from "../errors/app_errors.js";
+
+/**
+ * Encodes a keyset position as an opaque, URL-safe cursor string.
+ * @param {object} position - JSON-serializable values identifying the last row of a page.
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Whether a decoded sort key can be bound as a query parameter.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isKeyValue(value) {
+  return value === null || typeof value === "string" || Number.isFinite(value);
+}
+
+/**
+ * Decodes a cursor produced by `encodeCursor`.
+ * @param {string} cursor
+ * @returns {object} The encoded position; its `value` is a string, a number or null.
+ * @throws {ValidationError} Throws if the cursor was not produced by `encodeCursor`.
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (
+      position && typeof position === "object" && !Array.isArray(position) &&
+      isKeyValue(position.value)
+    ) {
+      return position;
+    }
+  } catch {
+    // Reported below like any other malformed cursor
+  }
+  throw new ValidationError("Invalid cursor", { cursor: "is malformed" });
+}
+
+export { encodeCursor, decodeCursor };
@@ -0,0 +1,64 @@
+// Command-line entry point for schema migrations:
+//   npm run migrate               apply every pending migration
+//   npm run migrate -- up 3       apply pending migrations up to version 3
+//   npm run migrate -- down       revert the latest migration
+//   npm run migrate -- down 2     revert the latest two migrations
+//   npm run migrate -- status     list migrations and when they were applied
+// The database is chosen the same way as for the server (DATABASE_PATH, NODE_ENV=test).
+import "dotenv/config";
+import process from "process";
+
+import { createDatabaseContext } from "./connection.js";
+import { migrate, rollback, getMigrationStatus } from "./migrator.js";
+
+/**
+ * Parses an optional positive integer argument.
+ * @param {string|undefined} value
+ * @param {string} label - Used in the error message.
+ * @returns {number|undefined}
+ */
+function parseCount(value, label) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${label} must be a non-negative integer`);
+  }
+  return number;
+}
+
+async function main([command = "up", arg]) {
+  const context = await createDatabaseContext();
+  const { db } = context;
+  try {
+    if (command === "up") {
+      const applied = await migrate(db, { to: parseCount(arg, "version") });
+      for (const m of applied) {
+        console.log(`Applied ${m.version}_${m.name}`);
+      }
+      console.log(applied.length ? "Migrations complete." : "Already up to date.");
+    } else if (command === "down") {
+      const reverted = await rollback(db, { steps: parseCount(arg, "steps") ?? 1 });
+      for (const m of reverted) {
+        console.log(`Reverted ${m.version}_${m.name}`);
+      }
+      console.log(reverted.length ? "Rollback complete." : "Nothing to revert.");
+    } else if (command === "status") {
+      console.log(`Database: ${context.config.filename}`);
+      for (const m of await getMigrationStatus(db)) {
+        console.log(`${m.appliedAt ? "applied " : "pending "} ${m.version}_${m.name}` +
+          (m.appliedAt ? ` (${m.appliedAt})` : ""));
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await context.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
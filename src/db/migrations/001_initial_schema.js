@@ -0,0 +1,179 @@
+/**
+ * Baseline schema: users, settings, sub-accounts, trades, sessions and account tokens.
+ *
+ * Uses IF NOT EXISTS so databases created by the old `initDB` functions can adopt the
+ * migration table without losing data, then backfills what those older schemas lacked.
+ */
+
+const TIMESTAMP_DEFAULT = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+const TABLES = `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    email_verified_at TEXT,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    updated_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT}
+  );
+  CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+  CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+  CREATE TABLE IF NOT EXISTS sub_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    broker TEXT,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    updated_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_sub_accounts_user_id ON sub_accounts(user_id);
+
+  CREATE TABLE IF NOT EXISTS user_settings (
+    user_id INTEGER PRIMARY KEY NOT NULL,
+    default_currency TEXT NOT NULL DEFAULT 'USD',
+    theme TEXT NOT NULL DEFAULT 'light',
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    default_sub_account_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    updated_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (default_sub_account_id) REFERENCES sub_accounts(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    sub_account_id INTEGER,
+    ticker TEXT NOT NULL,
+    quantity REAL NOT NULL CHECK(quantity > 0),
+    entry_price REAL NOT NULL,
+    exit_price REAL,
+    direction TEXT NOT NULL CHECK(direction IN ('long', 'short')),
+    status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'closed')),
+    entry_date TEXT NOT NULL,
+    exit_date TEXT,
+    notes TEXT,
+    commission REAL DEFAULT 0.0,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    updated_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (sub_account_id) REFERENCES sub_accounts(id) ON DELETE SET NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_trades_user_id ON trades(user_id);
+  CREATE INDEX IF NOT EXISTS idx_trades_sub_account_id ON trades(sub_account_id);
+  CREATE INDEX IF NOT EXISTS idx_trades_ticker ON trades(ticker);
+  CREATE INDEX IF NOT EXISTS idx_trades_entry_date ON trades(entry_date);
+  CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status);
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    last_used_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+  CREATE TABLE IF NOT EXISTS account_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL CHECK(purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TEXT NOT NULL,
+    used_at TEXT,
+    created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id);
+`;
+
+// Columns missing from tables created by older initDB versions: [table, column, definition]
+const BACKFILLED_COLUMNS = [
+  ["users", "email_verified_at", "TEXT"],
+  ["sub_accounts", "broker", "TEXT"],
+  ["user_settings", "timezone", "TEXT NOT NULL DEFAULT 'UTC'"],
+  [
+    "user_settings",
+    "default_sub_account_id",
+    "INTEGER REFERENCES sub_accounts(id) ON DELETE SET NULL",
+  ],
+];
+
+// Columns the old production schema forgot to make unique
+const BACKFILLED_UNIQUE_COLUMNS = [
+  ["users", "username"],
+  ["users", "email"],
+];
+
+/**
+ * Checks whether a column is covered by a single-column unique index (including UNIQUE constraints).
+ * @param {object} db - Migration database helper.
+ * @param {string} table
+ * @param {string} column
+ * @returns {Promise<boolean>}
+ */
+async function hasUniqueIndex(db, table, column) {
+  const indexes = await db.all(`PRAGMA index_list(${table})`);
+  for (const index of indexes.filter((i) => i.unique)) {
+    const columns = await db.all(`PRAGMA index_info(${index.name})`);
+    if (columns.length === 1 && columns[0].name === column) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(TABLES);
+
+  for (const [table, column, definition] of BACKFILLED_COLUMNS) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some((c) => c.name === column)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  for (const [table, column] of BACKFILLED_UNIQUE_COLUMNS) {
+    if (await hasUniqueIndex(db, table, column)) {
+      continue;
+    }
+    const duplicates = await db.all(
+      `SELECT ${column} FROM ${table} GROUP BY ${column} HAVING COUNT(*) > 1 LIMIT 1`,
+    );
+    if (duplicates.length > 0) {
+      // Don't fail the upgrade over old data; the services still check before inserting
+      console.warn(`Skipping unique index on ${table}.${column}: duplicate values exist`);
+      continue;
+    }
+    await db.exec(`CREATE UNIQUE INDEX idx_${table}_${column}_unique ON ${table}(${column})`);
+  }
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  // Children first so no foreign key points at a dropped table
+  await db.exec(`
+    DROP TABLE IF EXISTS account_tokens;
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS trades;
+    DROP TABLE IF EXISTS user_settings;
+    DROP TABLE IF EXISTS sub_accounts;
+    DROP TABLE IF EXISTS users;
+  `);
+}
+
+export { up, down };
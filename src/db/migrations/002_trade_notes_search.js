@@ -0,0 +1,50 @@
+/**
+ * Full-text index over trades.notes (FTS5).
+ *
+ * `trades_fts` is an external-content table: it stores only the index and reads the text
+ * from `trades`, so the triggers below must mirror every change to a note.
+ */
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE trades_fts USING fts5(
+      notes,
+      content = 'trades',
+      content_rowid = 'id',
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER trades_fts_insert AFTER INSERT ON trades BEGIN
+      INSERT INTO trades_fts (rowid, notes) VALUES (new.id, new.notes);
+    END;
+
+    CREATE TRIGGER trades_fts_delete AFTER DELETE ON trades BEGIN
+      INSERT INTO trades_fts (trades_fts, rowid, notes) VALUES ('delete', old.id, old.notes);
+    END;
+
+    CREATE TRIGGER trades_fts_update AFTER UPDATE OF notes ON trades BEGIN
+      INSERT INTO trades_fts (trades_fts, rowid, notes) VALUES ('delete', old.id, old.notes);
+      INSERT INTO trades_fts (rowid, notes) VALUES (new.id, new.notes);
+    END;
+
+    -- Index the notes of existing trades
+    INSERT INTO trades_fts (trades_fts) VALUES ('rebuild');
+  `);
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec(`
+    DROP TRIGGER IF EXISTS trades_fts_update;
+    DROP TRIGGER IF EXISTS trades_fts_delete;
+    DROP TRIGGER IF EXISTS trades_fts_insert;
+    DROP TABLE IF EXISTS trades_fts;
+  `);
+}
+
+export { up, down };
@@ -0,0 +1,57 @@
+/**
+ * Fills (executions) under each trade, so positions can be scaled into and closed in parts.
+ *
+ * The trade's quantity, average entry/exit, remaining quantity and status are derived from
+ * its fills by the repository; existing trades get one opening fill and, if closed, one
+ * closing fill matching what they already record.
+ */
+
+const TIMESTAMP_DEFAULT = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE trade_executions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id INTEGER NOT NULL,
+      side TEXT NOT NULL CHECK(side IN ('buy', 'sell')),
+      quantity REAL NOT NULL CHECK(quantity > 0),
+      price REAL NOT NULL CHECK(price > 0),
+      fees REAL NOT NULL DEFAULT 0 CHECK(fees >= 0),
+      executed_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+      FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE
+    );
+    CREATE INDEX idx_trade_executions_trade_id ON trade_executions(trade_id, executed_at);
+
+    ALTER TABLE trades ADD COLUMN remaining_quantity REAL;
+    UPDATE trades SET remaining_quantity = CASE status WHEN 'closed' THEN 0 ELSE quantity END;
+
+    -- Rows the old schema let through without valid prices get no fills
+    INSERT INTO trade_executions (trade_id, side, quantity, price, executed_at)
+    SELECT id, CASE direction WHEN 'short' THEN 'sell' ELSE 'buy' END,
+      quantity, entry_price, entry_date
+    FROM trades
+    WHERE entry_price > 0;
+
+    INSERT INTO trade_executions (trade_id, side, quantity, price, executed_at)
+    SELECT id, CASE direction WHEN 'short' THEN 'buy' ELSE 'sell' END,
+      quantity, exit_price, exit_date
+    FROM trades
+    WHERE status = 'closed' AND exit_price > 0 AND exit_date IS NOT NULL;
+  `);
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS trade_executions;
+    ALTER TABLE trades DROP COLUMN remaining_quantity;
+  `);
+}
+
+export { up, down };
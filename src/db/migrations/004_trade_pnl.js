@@ -0,0 +1,55 @@
+/**
+ * Realized P&L of closed trades as generated columns, so every query sees the same figures
+ * and they stay current when the prices, quantity or commission change.
+ *
+ * - gross_pnl: price move in the trade's favour times quantity (shorts profit when it falls)
+ * - net_pnl: gross_pnl minus commission
+ * - pnl_percent: net_pnl as a percentage of the cost basis (entry price times quantity)
+ * - holding_seconds: time from entry to exit
+ *
+ * All four are NULL while the trade is open. The columns are VIRTUAL (computed on read);
+ * the indexes below store them for sorting and filtering.
+ */
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(`
+    ALTER TABLE trades ADD COLUMN gross_pnl REAL GENERATED ALWAYS AS (
+      CASE WHEN status = 'closed' THEN
+        (exit_price - entry_price) * quantity * (CASE direction WHEN 'short' THEN -1 ELSE 1 END)
+      END
+    ) VIRTUAL;
+    ALTER TABLE trades ADD COLUMN net_pnl REAL GENERATED ALWAYS AS (
+      gross_pnl - COALESCE(commission, 0)
+    ) VIRTUAL;
+    ALTER TABLE trades ADD COLUMN pnl_percent REAL GENERATED ALWAYS AS (
+      net_pnl * 100.0 / (entry_price * quantity)
+    ) VIRTUAL;
+    ALTER TABLE trades ADD COLUMN holding_seconds INTEGER GENERATED ALWAYS AS (
+      CASE WHEN status = 'closed' THEN
+        CAST(ROUND((julianday(exit_date) - julianday(entry_date)) * 86400) AS INTEGER)
+      END
+    ) VIRTUAL;
+
+    CREATE INDEX idx_trades_user_net_pnl ON trades(user_id, net_pnl);
+    CREATE INDEX idx_trades_user_pnl_percent ON trades(user_id, pnl_percent);
+  `);
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_trades_user_pnl_percent;
+    DROP INDEX IF EXISTS idx_trades_user_net_pnl;
+    ALTER TABLE trades DROP COLUMN holding_seconds;
+    ALTER TABLE trades DROP COLUMN pnl_percent;
+    ALTER TABLE trades DROP COLUMN net_pnl;
+    ALTER TABLE trades DROP COLUMN gross_pnl;
+  `);
+}
+
+export { up, down };
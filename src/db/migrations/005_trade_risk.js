@@ -0,0 +1,47 @@
+/**
+ * Planned risk on trades: an optional initial stop, profit target and risk amount.
+ *
+ * Derived like the P&L columns (see 004_trade_pnl.js), as VIRTUAL generated columns:
+ * - initial_risk: the risk amount if given, else the stop distance times quantity
+ * - planned_rr: target distance over stop distance (planned reward:risk)
+ * - realized_r: net_pnl in multiples of initial_risk (R-multiple; closed trades only)
+ *
+ * Each is NULL when the prices it needs are missing.
+ */
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(`
+    ALTER TABLE trades ADD COLUMN stop_price REAL CHECK(stop_price > 0);
+    ALTER TABLE trades ADD COLUMN target_price REAL CHECK(target_price > 0);
+    ALTER TABLE trades ADD COLUMN risk_amount REAL CHECK(risk_amount > 0);
+
+    ALTER TABLE trades ADD COLUMN initial_risk REAL GENERATED ALWAYS AS (
+      COALESCE(risk_amount, NULLIF(ABS(entry_price - stop_price) * quantity, 0))
+    ) VIRTUAL;
+    ALTER TABLE trades ADD COLUMN planned_rr REAL GENERATED ALWAYS AS (
+      ABS(target_price - entry_price) / NULLIF(ABS(entry_price - stop_price), 0)
+    ) VIRTUAL;
+    ALTER TABLE trades ADD COLUMN realized_r REAL GENERATED ALWAYS AS (
+      net_pnl / initial_risk
+    ) VIRTUAL;
+  `);
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec(`
+    ALTER TABLE trades DROP COLUMN realized_r;
+    ALTER TABLE trades DROP COLUMN planned_rr;
+    ALTER TABLE trades DROP COLUMN initial_risk;
+    ALTER TABLE trades DROP COLUMN risk_amount;
+    ALTER TABLE trades DROP COLUMN target_price;
+    ALTER TABLE trades DROP COLUMN stop_price;
+  `);
+}
+
+export { up, down };
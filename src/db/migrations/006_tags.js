@@ -0,0 +1,47 @@
+/**
+ * User-owned tags (setups like "breakout", mistakes like "FOMO") and the trades they label.
+ *
+ * Tag names are unique per user regardless of case. Deleting a tag or a trade removes
+ * its links.
+ */
+
+const TIMESTAMP_DEFAULT = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec(`
+    CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL COLLATE NOCASE,
+      category TEXT CHECK(category IN ('setup', 'mistake')),
+      created_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+      updated_at TEXT NOT NULL DEFAULT ${TIMESTAMP_DEFAULT},
+      UNIQUE (user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE trade_tags (
+      trade_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (trade_id, tag_id),
+      FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    ) WITHOUT ROWID;
+    CREATE INDEX idx_trade_tags_tag_id ON trade_tags(tag_id, trade_id);
+  `);
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec(`
+    DROP TABLE trade_tags;
+    DROP TABLE tags;
+  `);
+}
+
+export { up, down };
@@ -0,0 +1,20 @@
+/**
+ * Remembers the hash of the refresh token each session last rotated out, so presenting it
+ * again can be told apart from presenting a token that was never issued (see refreshSession).
+ */
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function up(db) {
+  await db.exec("ALTER TABLE sessions ADD COLUMN previous_refresh_token_hash TEXT;");
+}
+
+/**
+ * @param {object} db - Migration database helper (`exec`, `all`).
+ */
+async function down(db) {
+  await db.exec("ALTER TABLE sessions DROP COLUMN previous_refresh_token_hash;");
+}
+
+export { up, down };
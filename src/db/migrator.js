@@ -0,0 +1,174 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+import { createQueryRunner } from "./query.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Loads the migration modules from a directory, ordered by version.
+ * Files are named `<version>_<name>.js` and export async `up(db)` and `down(db)`.
+ *
+ * @param {string} [directory] - Defaults to src/db/migrations.
+ * @returns {Promise<Array<{version: number, name: string, up: Function, down: Function}>>}
+ */
+async function loadMigrations(directory = MIGRATIONS_DIR) {
+  const files = await fs.readdir(directory);
+  const migrations = [];
+  for (const file of files) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+    const module = await import(pathToFileURL(path.join(directory, file)).href);
+    const { up, down } = module;
+    if (typeof up !== "function" || typeof down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version: Number(match[1]), name: match[2], up, down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Creates the table recording applied versions and returns them, oldest first.
+ * @param {object} helper - Query runner for the connection (see query.js).
+ * @returns {Promise<Array<{version: number, name: string, applied_at: string}>>}
+ */
+async function getAppliedVersions(helper) {
+  await helper.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+  `);
+  return helper.all("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+}
+
+/**
+ * Runs one migration step and its bookkeeping in a single transaction.
+ * @param {object} helper
+ * @param {Function} step - `up` or `down` of a migration.
+ * @param {string} bookkeepingSql
+ * @param {Array} bookkeepingParams
+ */
+async function runInTransaction(helper, step, bookkeepingSql, bookkeepingParams) {
+  // IMMEDIATE takes the write lock up front so two processes can't migrate at once
+  await helper.withTransaction(async (tx) => {
+    await step(tx);
+    await tx.run(bookkeepingSql, bookkeepingParams);
+  }, { immediate: true });
+}
+
+/**
+ * Applies pending migrations in version order.
+ *
+ * @param {import("sqlite3").Database} db - An open connection.
+ * @param {object} [options]
+ * @param {number} [options.to] - Stop after this version (default: the latest).
+ * @param {Array} [options.migrations] - Migrations to use instead of loading src/db/migrations.
+ * @returns {Promise<Array<{version: number, name: string}>>} The migrations that were applied.
+ */
+async function migrate(db, { to = Infinity, migrations } = {}) {
+  const helper = createQueryRunner(db);
+  const available = migrations || (await loadMigrations());
+  const applied = new Set((await getAppliedVersions(helper)).map((row) => row.version));
+
+  const done = [];
+  for (const migration of available) {
+    if (migration.version > to || applied.has(migration.version)) {
+      continue;
+    }
+    try {
+      await runInTransaction(
+        helper,
+        migration.up,
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name],
+      );
+    } catch (err) {
+      err.message = `Migration ${migration.version}_${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+    done.push({ version: migration.version, name: migration.name });
+  }
+  return done;
+}
+
+/**
+ * Reverts applied migrations, newest first.
+ *
+ * @param {import("sqlite3").Database} db - An open connection.
+ * @param {object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert.
+ * @param {number} [options.to] - Revert everything above this version instead (0 reverts all).
+ * @param {Array} [options.migrations] - Migrations to use instead of loading src/db/migrations.
+ * @returns {Promise<Array<{version: number, name: string}>>} The migrations that were reverted.
+ */
+async function rollback(db, { steps = 1, to, migrations } = {}) {
+  const helper = createQueryRunner(db);
+  const available = migrations || (await loadMigrations());
+  const byVersion = new Map(available.map((m) => [m.version, m]));
+  const applied = (await getAppliedVersions(helper)).reverse();
+
+  const targets = to === undefined
+    ? applied.slice(0, steps)
+    : applied.filter((row) => row.version > to);
+
+  const done = [];
+  for (const row of targets) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot revert ${row.version}_${row.name}: migration file not found`);
+    }
+    try {
+      await runInTransaction(
+        helper,
+        migration.down,
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [migration.version],
+      );
+    } catch (err) {
+      err.message = `Reverting ${migration.version}_${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+    done.push({ version: migration.version, name: migration.name });
+  }
+  return done;
+}
+
+/**
+ * Lists every known migration and whether it has been applied.
+ *
+ * @param {import("sqlite3").Database} db - An open connection.
+ * @param {object} [options]
+ * @param {Array} [options.migrations] - Migrations to use instead of loading src/db/migrations.
+ * @returns {Promise<Array<{version: number, name: string, appliedAt: string|null}>>}
+ */
+async function getMigrationStatus(db, { migrations } = {}) {
+  const helper = createQueryRunner(db);
+  const available = migrations || (await loadMigrations());
+  const applied = new Map(
+    (await getAppliedVersions(helper)).map((row) => [row.version, row.applied_at]),
+  );
+  return available.map((m) => ({
+    version: m.version,
+    name: m.name,
+    appliedAt: applied.get(m.version) || null,
+  }));
+}
+
+export { migrate, rollback, getMigrationStatus, loadMigrations };
@@ -0,0 +1,173 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+import { getDatabase } from "./connection.js";
+import { fromSqliteError } from "../errors/sqlite_errors.js";
+
+// The transaction (if any) the current async call chain is running in: { db, depth }
+const transactionScope = new AsyncLocalStorage();
+
+// db -> promise of the top-level transaction currently holding that connection
+const activeTransactions = new WeakMap();
+
+/**
+ * Returns the transaction another call chain is running on `db`, if any.
+ * All requests share one connection, so queries from outside a transaction have to wait
+ * for it; otherwise they would be executed (and possibly rolled back) as part of it.
+ *
+ * @param {import("sqlite3").Database} db
+ * @returns {Promise|undefined}
+ */
+function blockingTransaction(db) {
+  const scope = transactionScope.getStore();
+  if (scope && scope.db === db) {
+    return undefined;
+  }
+  return activeTransactions.get(db);
+}
+
+/**
+ * Calls a sqlite3 method and settles with its result, mapping failures to domain errors.
+ *
+ * @param {import("sqlite3").Database} db
+ * @param {"run"|"get"|"all"|"exec"} method
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<*>}
+ */
+function call(db, method, sql, params) {
+  return new Promise((resolve, reject) => {
+    const callback = function (err, result) {
+      if (err) {
+        console.error("Database query failed:", err.message);
+        reject(fromSqliteError(err));
+      } else if (method === "run") {
+        // `this` is the statement, which carries the insert ID and affected row count
+        resolve({ lastID: this.lastID, changes: this.changes });
+      } else {
+        resolve(result);
+      }
+    };
+    if (method === "exec") {
+      db.exec(sql, callback);
+    } else {
+      db[method](sql, params, callback);
+    }
+  });
+}
+
+/**
+ * Builds the async query API for one connection.
+ * Errors are rejected as domain errors (see src/errors/sqlite_errors.js).
+ *
+ * @param {import("sqlite3").Database} db
+ * @returns {{ run: Function, get: Function, all: Function, exec: Function,
+ *   withTransaction: Function }}
+ */
+function createQueryRunner(db) {
+  const query = async (method, sql, params = []) => {
+    // Re-checked after every wait: the statement must be queued in the same tick as the check
+    while (blockingTransaction(db)) {
+      await blockingTransaction(db).catch(() => {});
+    }
+    return call(db, method, sql, params);
+  };
+
+  const runner = {
+    /**
+     * Runs a statement that returns no rows.
+     * @param {string} sql
+     * @param {Array} [params]
+     * @returns {Promise<{ lastID: number, changes: number }>}
+     */
+    run: (sql, params) => query("run", sql, params),
+
+    /**
+     * @param {string} sql
+     * @param {Array} [params]
+     * @returns {Promise<object|undefined>} The first row, or undefined if there is none.
+     */
+    get: (sql, params) => query("get", sql, params),
+
+    /**
+     * @param {string} sql
+     * @param {Array} [params]
+     * @returns {Promise<Array<object>>}
+     */
+    all: (sql, params) => query("all", sql, params),
+
+    /**
+     * Runs one or more statements without parameters.
+     * @param {string} sql
+     * @returns {Promise<void>}
+     */
+    exec: (sql) => query("exec", sql),
+
+    /**
+     * Runs `fn` atomically: commits when it resolves and rolls back when it throws.
+     * Calls nested inside another transaction use a savepoint, so an inner failure
+     * can be caught without losing the outer work.
+     *
+     * @template T
+     * @param {(runner: object) => Promise<T>} fn - Receives this query runner.
+     * @param {object} [options]
+     * @param {boolean} [options.immediate=false] - Take the write lock up front (BEGIN IMMEDIATE).
+     * @returns {Promise<T>} What `fn` resolved with.
+     */
+    async withTransaction(fn, { immediate = false } = {}) {
+      const scope = transactionScope.getStore();
+      if (scope && scope.db === db) {
+        const savepoint = `sp_${scope.depth + 1}`;
+        await call(db, "exec", `SAVEPOINT ${savepoint}`);
+        try {
+          const result = await transactionScope.run(
+            { db, depth: scope.depth + 1 },
+            () => fn(runner),
+          );
+          await call(db, "exec", `RELEASE ${savepoint}`);
+          return result;
+        } catch (err) {
+          await call(db, "exec", `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}`);
+          throw err;
+        }
+      }
+
+      while (blockingTransaction(db)) {
+        await blockingTransaction(db).catch(() => {});
+      }
+      const transaction = transactionScope.run({ db, depth: 0 }, async () => {
+        await call(db, "exec", immediate ? "BEGIN IMMEDIATE" : "BEGIN");
+        try {
+          const result = await fn(runner);
+          await call(db, "exec", "COMMIT");
+          return result;
+        } catch (err) {
+          await call(db, "exec", "ROLLBACK");
+          throw err;
+        }
+      });
+      activeTransactions.set(db, transaction);
+      try {
+        return await transaction;
+      } finally {
+        if (activeTransactions.get(db) === transaction) {
+          activeTransactions.delete(db);
+        }
+      }
+    },
+  };
+  return runner;
+}
+
+// Shortcuts against the active database context, used by the repositories
+
+/** @see createQueryRunner */
+const run = (sql, params) => createQueryRunner(getDatabase()).run(sql, params);
+/** @see createQueryRunner */
+const get = (sql, params) => createQueryRunner(getDatabase()).get(sql, params);
+/** @see createQueryRunner */
+const all = (sql, params) => createQueryRunner(getDatabase()).all(sql, params);
+/** @see createQueryRunner */
+const withTransaction = (fn, options) =>
+  createQueryRunner(getDatabase()).withTransaction(fn, options);
+
+export { createQueryRunner, run, get, all, withTransaction };
@@ -0,0 +1,96 @@
+/**
+ * Domain errors shared by repositories, services and routes.
+ *
+ * Each error carries the HTTP `status` the API answers with and a stable machine-readable
+ * `code`; clients should branch on `code` rather than on `message`, which may be reworded.
+ * The error handler (middleware/error_handler.js) turns these into
+ * `{ error: message, code, details? }` responses.
+ */
+
+/**
+ * Base class for every error the API is allowed to describe to clients.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Client-facing message.
+   * @param {object} [options]
+   * @param {number} [options.status=500] - HTTP status code.
+   * @param {string} [options.code="INTERNAL_ERROR"] - Stable error code.
+   * @param {object} [options.details] - Extra data, e.g. per-field messages.
+   * @param {Error} [options.cause] - The underlying error (e.g. from sqlite3), never sent to clients.
+   */
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+/**
+ * Invalid input. `details` maps field names to messages when the problem is field-specific.
+ */
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", details, options = {}) {
+    super(message, { status: 400, code: "VALIDATION_ERROR", details, ...options });
+  }
+}
+
+/**
+ * Missing, invalid or expired credentials.
+ */
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required") {
+    super(message, { status: 401, code: "UNAUTHORIZED" });
+  }
+}
+
+/**
+ * The resource doesn't exist (or belongs to someone else, which is reported the same way).
+ */
+class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(message, { status: 404, code: "NOT_FOUND" });
+  }
+}
+
+/**
+ * The request clashes with existing data, e.g. a duplicate name or an already-closed trade.
+ */
+class ConflictError extends AppError {
+  constructor(message = "Conflict", options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+/**
+ * The request references a row that doesn't exist (a failed FOREIGN KEY constraint).
+ */
+class ForeignKeyError extends AppError {
+  constructor(message = "A referenced record does not exist", options = {}) {
+    super(message, { status: 400, code: "FOREIGN_KEY_VIOLATION", ...options });
+  }
+}
+
+/**
+ * An unexpected database failure (I/O error, locked database, bad SQL...).
+ * The message is logged but never sent to clients.
+ */
+class DatabaseError extends AppError {
+  constructor(message = "Database error", options = {}) {
+    super(message, { status: 500, code: "DATABASE_ERROR", ...options });
+  }
+}
+
+export {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  ForeignKeyError,
+  DatabaseError,
+};
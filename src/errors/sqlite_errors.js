@@ -0,0 +1,55 @@
+import {
+  AppError,
+  ValidationError,
+  ConflictError,
+  ForeignKeyError,
+  DatabaseError,
+} from "./app_errors.js";
+
+/**
+ * Turns "table.a, table.b" from a constraint message into ["a", "b"].
+ * @param {string} list
+ * @returns {string[]}
+ */
+function columnNames(list) {
+  return list.split(",").map((column) => column.trim().split(".").pop());
+}
+
+/**
+ * Converts an error from sqlite3 into a domain error (see app_errors.js).
+ * The original error is kept as `cause`. Errors that are already domain errors pass through.
+ *
+ * @param {Error} err - The error passed to a sqlite3 callback.
+ * @returns {AppError} The matching domain error.
+ */
+function fromSqliteError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.code !== "SQLITE_CONSTRAINT") {
+    return new DatabaseError(err.message, { cause: err });
+  }
+
+  const unique = /UNIQUE constraint failed: (.+)$/.exec(err.message);
+  if (unique) {
+    return new ConflictError("A record with these values already exists", {
+      details: { fields: columnNames(unique[1]) },
+      cause: err,
+    });
+  }
+  if (/FOREIGN KEY constraint failed/.test(err.message)) {
+    return new ForeignKeyError(undefined, { cause: err });
+  }
+  const notNull = /NOT NULL constraint failed: (.+)$/.exec(err.message);
+  if (notNull) {
+    const details = Object.fromEntries(columnNames(notNull[1]).map((c) => [c, "is required"]));
+    return new ValidationError("Missing required value", details, { cause: err });
+  }
+  const check = /CHECK constraint failed: (.+)$/.exec(err.message);
+  if (check) {
+    return new ValidationError(`Value violates constraint: ${check[1]}`, undefined, { cause: err });
+  }
+  return new ValidationError("Value violates a database constraint", undefined, { cause: err });
+}
+
+export { fromSqliteError };
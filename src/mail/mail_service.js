@@ -0,0 +1,42 @@
+import path from "path";
+import process from "process";
+import { fileURLToPath } from "url";
+
+import { createOutboxTransport } from "./outbox_transport.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Messages land in <repo>/outbox unless MAIL_OUTBOX_DIR says otherwise
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, "..", "..", "outbox");
+
+let transport = createOutboxTransport(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+
+/**
+ * Replaces the transport used to deliver mail. A transport is any object with an
+ * async `send({ to, subject, text })` method (SMTP client, provider API, test double...).
+ * @param {{ send: Function }} newTransport
+ */
+function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Sends an email through the configured transport.
+ *
+ * @param {object} message
+ * @param {string} message.to - Recipient address.
+ * @param {string} message.subject - Subject line.
+ * @param {string} message.text - Plain-text body.
+ * @returns {Promise<*>} Whatever the transport resolves with.
+ */
+function sendMail({ to, subject, text }) {
+  return transport.send({
+    from: process.env.MAIL_FROM || "TradeLab <no-reply@tradelab.local>",
+    to,
+    subject,
+    text,
+  });
+}
+
+export { sendMail, setMailTransport };
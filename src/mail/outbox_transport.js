@@ -0,0 +1,28 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Creates a mail transport that writes each message as a JSON file into a local
+ * directory instead of sending it. Useful for development and offline tests.
+ *
+ * @param {string} outboxDir - Directory to write messages into (created if missing).
+ * @returns {{ send: (message: object) => Promise<string> }} A transport whose `send`
+ * resolves with the path of the written file.
+ */
+function createOutboxTransport(outboxDir) {
+  return {
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const sentAt = new Date().toISOString();
+      // Timestamp first so a directory listing is in send order
+      const suffix = crypto.randomBytes(4).toString("hex");
+      const fileName = `${sentAt.replace(/[:.]/g, "-")}-${suffix}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt }, null, 2));
+      return filePath;
+    },
+  };
+}
+
+export { createOutboxTransport };
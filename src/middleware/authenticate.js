@@ -0,0 +1,44 @@
+import { verifyAccessToken } from "../services/token_service.js";
+import { toPublicUser } from "../services/auth_service.js";
+import { isSessionActive } from "../services/session_service.js";
+import { findUserById } from "../../user_repository.js";
+import { UnauthorizedError } from "../errors/app_errors.js";
+
+/**
+ * Requires a valid `Authorization: Bearer <access token>` header.
+ * On success the user is attached as `req.user` (without password hash) and
+ * its ID as `req.userId`; routes must use these rather than any client-supplied id.
+ * Tokens issued for a session also set `req.sessionId` and stop working once that session is revoked.
+ * Responds with 401 when the token is missing, invalid, expired or names a deleted user.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+async function authenticate(req, res, next) {
+  try {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      throw new UnauthorizedError("Authentication required");
+    }
+
+    const payload = verifyAccessToken(token);
+    if (payload.sid !== undefined && !(await isSessionActive(payload.sid, payload.sub))) {
+      throw new UnauthorizedError("Session has been revoked");
+    }
+
+    const user = await findUserById(payload.sub);
+    if (!user) {
+      throw new UnauthorizedError("Invalid access token");
+    }
+
+    req.user = toPublicUser(user);
+    req.userId = user.id;
+    req.sessionId = payload.sid;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+export { authenticate };
@@ -0,0 +1,59 @@
+import { AppError, NotFoundError } from "../errors/app_errors.js";
+import { fromSqliteError } from "../errors/sqlite_errors.js";
+
+/**
+ * Fallback for requests no route matched.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError("Not found"));
+}
+
+/**
+ * Central error handler - anything passed to next(err) ends up here.
+ * Every error response has the same shape: `{ error: message, code, details? }`.
+ * Server-side failures are logged and answered with a generic message so internals don't leak.
+ *
+ * @param {Error} err
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ */
+// eslint-disable-next-line no-unused-vars
+function errorHandler(err, req, res, next) {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Malformed JSON body", code: "INVALID_JSON" });
+  }
+  // Other client errors from express.json(), e.g. 413 for an oversized body; their messages
+  // are meant for clients (`expose`), and their type names the problem
+  if (!(err instanceof AppError) && err.expose && err.status >= 400 && err.status < 500) {
+    const code = err.type ? err.type.replace(/\./g, "_").toUpperCase() : "INVALID_REQUEST";
+    return res.status(err.status).json({ error: err.message, code });
+  }
+
+  let appError = err;
+  if (!(err instanceof AppError)) {
+    // Raw sqlite3 errors that weren't mapped by a repository
+    appError = typeof err.code === "string" && err.code.startsWith("SQLITE_")
+      ? fromSqliteError(err)
+      : new AppError("Internal server error", { cause: err });
+  }
+
+  if (appError.status >= 500) {
+    console.error("Unhandled error:", (appError.cause || appError).message);
+    return res
+      .status(appError.status)
+      .json({ error: "Internal server error", code: appError.code });
+  }
+
+  const body = { error: appError.message, code: appError.code };
+  if (appError.details) {
+    body.details = appError.details;
+  }
+  res.status(appError.status).json(body);
+}
+
+export { notFoundHandler, errorHandler };
@@ -0,0 +1,94 @@
+import express from "express";
+
+import {
+  getPerformanceStats,
+  getEquityCurve,
+  getPnlCalendar,
+  getBreakdown,
+  getTimingAnalytics,
+} from "../services/analytics_service.js";
+
+const router = express.Router();
+
+// Trade filters that arrive as strings in the query but are numbers in the repository
+const NUMERIC_FILTER_PARAMS = ["subAccountId", "pnlMin", "pnlMax"];
+
+/**
+ * Turns analytics query parameters into trade filters (validated by the repository).
+ *
+ * @param {object} query - `req.query`.
+ * @returns {object} Filters for `findAllClosedTrades`.
+ */
+function toTradeFilters(query) {
+  const filters = { ...query };
+  for (const param of NUMERIC_FILTER_PARAMS) {
+    if (typeof filters[param] === "string") {
+      filters[param] = Number(filters[param]);
+    }
+  }
+  // A comma-separated list, e.g. tagIds=1,2
+  if (typeof filters.tagIds === "string") {
+    filters.tagIds = filters.tagIds.split(",").map(Number);
+  }
+  return filters;
+}
+
+// GET /analytics/stats?exitFrom=&exitTo=&subAccountId=&ticker=&direction=... - performance
+//   statistics over the acting user's trades closed in that range
+router.get("/stats", async (req, res, next) => {
+  try {
+    res.json(await getPerformanceStats(req.userId, toTradeFilters(req.query)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /analytics/equity-curve?bucket=day|week|month&timezone=&exitFrom=&exitTo=&subAccountId=...
+//   - cumulative P&L with running peak and drawdown per period
+router.get("/equity-curve", async (req, res, next) => {
+  try {
+    const { bucket, timezone, ...filters } = req.query;
+    res.json(await getEquityCurve(req.userId, toTradeFilters(filters), { bucket, timezone }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /analytics/calendar?month=YYYY-MM|year=YYYY&timezone=&subAccountId=... - net P&L,
+//   trade and win counts per local day, with weekly and monthly totals
+router.get("/calendar", async (req, res, next) => {
+  try {
+    const { month, year, timezone, ...filters } = req.query;
+    res.json(await getPnlCalendar(req.userId, toTradeFilters(filters), { month, year, timezone }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /analytics/breakdown?groupBy=ticker|direction|subAccount|tag&sort=&order=&exitFrom=...
+//   - count, win rate, net and average P&L and commission per group of closed trades
+router.get("/breakdown", async (req, res, next) => {
+  try {
+    const { groupBy, sort, order, ...filters } = req.query;
+    res.json(await getBreakdown(req.userId, toTradeFilters(filters), { groupBy, sort, order }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /analytics/timing?bucketMinutes=&timezone=&exitFrom=&exitTo=... - P&L and win rate by
+//   local entry time of day, entry weekday and holding time
+router.get("/timing", async (req, res, next) => {
+  try {
+    const { bucketMinutes, timezone, ...filters } = req.query;
+    const options = {
+      bucketMinutes: typeof bucketMinutes === "string" ? Number(bucketMinutes) : bucketMinutes,
+      timezone,
+    };
+    res.json(await getTimingAnalytics(req.userId, toTradeFilters(filters), options));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,97 @@
+import express from "express";
+
+import { registerUser, authenticateUser } from "../services/auth_service.js";
+import { startSession, refreshSession } from "../services/session_service.js";
+import {
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  verifyEmail,
+} from "../services/account_service.js";
+import { authenticate } from "../middleware/authenticate.js";
+
+const router = express.Router();
+
+// POST /auth/register - create an account with default settings and send a verification email
+router.post("/register", async (req, res, next) => {
+  try {
+    const { username, email, password } = req.body;
+    const user = await registerUser({ username, email, password });
+    try {
+      await sendVerificationEmail(user.id);
+    } catch (mailErr) {
+      // The account exists either way - the user can ask for another email later
+      console.error("Error sending verification email:", mailErr.message);
+    }
+    res.status(201).json({ user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/login - verify credentials by email or username and start a session
+router.post("/login", async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+    const user = await authenticateUser({ email, username, password });
+    const tokens = await startSession(user.id, {
+      userAgent: req.get("User-Agent"),
+      ipAddress: req.ip,
+    });
+    res.json({ user, ...tokens });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/refresh - trade a refresh token for a new token pair
+router.post("/refresh", async (req, res, next) => {
+  try {
+    res.json(await refreshSession(req.body.refreshToken));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/password-reset/request - email a reset link (always 202, even for unknown emails)
+router.post("/password-reset/request", async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.status(202).json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/password-reset/confirm - set a new password with a reset token
+router.post("/password-reset/confirm", async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    await resetPassword(token, password);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/verify-email/request - resend the verification email to the logged-in user
+router.post("/verify-email/request", authenticate, async (req, res, next) => {
+  try {
+    await sendVerificationEmail(req.userId);
+    res.status(202).json({ message: "Verification email sent" });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /auth/verify-email/confirm - verify an email address with a verification token
+router.post("/verify-email/confirm", async (req, res, next) => {
+  try {
+    await verifyEmail(req.body.token);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
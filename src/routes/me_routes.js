@@ -0,0 +1,30 @@
+import express from "express";
+
+import { getSettings, changeSettings } from "../services/settings_service.js";
+
+const router = express.Router();
+
+// GET /me - the authenticated user's profile
+router.get("/", (req, res) => {
+  res.json(req.user);
+});
+
+// GET /me/settings - the authenticated user's settings
+router.get("/settings", async (req, res, next) => {
+  try {
+    res.json(await getSettings(req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /me/settings - change one or more settings
+router.patch("/settings", async (req, res, next) => {
+  try {
+    res.json(await changeSettings(req.userId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
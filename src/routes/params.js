@@ -0,0 +1,13 @@
+/**
+ * Helpers for reading route parameters, shared by the routers.
+ */
+
+/**
+ * Parses a route id parameter into a positive integer.
+ * @param {string} value - The raw parameter value.
+ * @returns {number|null} The parsed id, or null if it is not a valid id.
+ */
+export function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
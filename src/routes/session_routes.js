@@ -0,0 +1,46 @@
+import express from "express";
+
+import { listSessions } from "../services/session_service.js";
+import { revokeSession, revokeAllSessionsByUserId } from "../../session_repository.js";
+import { ValidationError, NotFoundError } from "../errors/app_errors.js";
+import { parseId } from "./params.js";
+
+const router = express.Router();
+
+// GET /sessions - list the acting user's active sessions
+router.get("/", async (req, res, next) => {
+  try {
+    res.json(await listSessions(req.userId, req.sessionId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /sessions - revoke every session ("log out everywhere")
+router.delete("/", async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessionsByUserId(req.userId);
+    res.json({ revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /sessions/:id - revoke a single session
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid session id");
+    }
+    const revoked = await revokeSession(id, req.userId);
+    if (!revoked) {
+      throw new NotFoundError("Session not found");
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
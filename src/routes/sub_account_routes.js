@@ -0,0 +1,151 @@
+import express from "express";
+
+import {
+  createSubAccount,
+  findSubAccountsByUserId,
+  findSubAccountById,
+  updateSubAccount,
+  deleteSubAccount,
+} from "../../sub_account_repository.js";
+import { findTradesBySubAccountId } from "../../trade_repository.js";
+import { ValidationError, NotFoundError } from "../errors/app_errors.js";
+import { parseId } from "./params.js";
+
+const router = express.Router();
+
+/**
+ * Loads a sub-account and makes sure it belongs to the acting user.
+ * Sub-accounts owned by someone else are treated as not found so ids don't leak.
+ *
+ * @param {number} id - The sub-account ID.
+ * @param {number} userId - The acting user's ID.
+ * @returns {Promise<object|null>} The sub-account if it exists and is owned by the user, null otherwise.
+ */
+async function findOwnedSubAccount(id, userId) {
+  const subAccount = await findSubAccountById(id);
+  if (!subAccount || subAccount.user_id !== userId) {
+    return null;
+  }
+  return subAccount;
+}
+
+// POST /sub-accounts - create a sub-account for the acting user
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, description = null } = req.body;
+    if (typeof name !== "string" || !name.trim()) {
+      throw new ValidationError("name is required");
+    }
+    const id = await createSubAccount(req.userId, name.trim(), description);
+    res.status(201).json(await findSubAccountById(id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /sub-accounts - list the acting user's sub-accounts
+router.get("/", async (req, res, next) => {
+  try {
+    res.json(await findSubAccountsByUserId(req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /sub-accounts/:id - fetch a single sub-account
+router.get("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid sub-account id");
+    }
+    const subAccount = await findOwnedSubAccount(id, req.userId);
+    if (!subAccount) {
+      throw new NotFoundError("Sub-account not found");
+    }
+    res.json(subAccount);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /sub-accounts/:id - update name, description and/or broker
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid sub-account id");
+    }
+    const { name, description, broker } = req.body;
+    if (name === undefined && description === undefined && broker === undefined) {
+      throw new ValidationError("Nothing to update");
+    }
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      throw new ValidationError("name must be a non-empty string");
+    }
+
+    const subAccount = await findOwnedSubAccount(id, req.userId);
+    if (!subAccount) {
+      throw new NotFoundError("Sub-account not found");
+    }
+
+    // updateSubAccount overwrites every column, so fill in what wasn't sent
+    await updateSubAccount(
+      id,
+      req.userId,
+      name === undefined ? subAccount.name : name.trim(),
+      description === undefined ? subAccount.description : description,
+      broker === undefined ? subAccount.broker : broker,
+    );
+    res.json(await findSubAccountById(id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /sub-accounts/:id - delete a sub-account (its trades keep existing, unlinked)
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid sub-account id");
+    }
+    const subAccount = await findOwnedSubAccount(id, req.userId);
+    if (!subAccount) {
+      throw new NotFoundError("Sub-account not found");
+    }
+    await deleteSubAccount(id, req.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /sub-accounts/:id/trades?limit=&offset=&tagIds=1,2 - list trades in a sub-account
+//   (tagIds: trades with all of these tags)
+router.get("/:id/trades", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid sub-account id");
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit <= 0 || !Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError("limit and offset must be non-negative integers");
+    }
+
+    const subAccount = await findOwnedSubAccount(id, req.userId);
+    if (!subAccount) {
+      throw new NotFoundError("Sub-account not found");
+    }
+    const tagIds = typeof req.query.tagIds === "string"
+      ? req.query.tagIds.split(",").map(Number)
+      : req.query.tagIds;
+    res.json(await findTradesBySubAccountId(id, limit, offset, tagIds));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
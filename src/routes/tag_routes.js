@@ -0,0 +1,104 @@
+import express from "express";
+
+import {
+  createTag,
+  findTagsByUserId,
+  findTagById,
+  updateTag,
+  deleteTag,
+} from "../../tag_repository.js";
+import { ValidationError, NotFoundError } from "../errors/app_errors.js";
+import { parseId } from "./params.js";
+import { assertValid } from "../validation/schema.js";
+import { validateUpdateTag } from "../validation/tag_validator.js";
+
+const router = express.Router();
+
+/**
+ * Trims a tag name sent by a client; anything else is left for validation to report.
+ * @param {object} body - The request body.
+ * @returns {object} A copy of the body with its name trimmed.
+ */
+function withTrimmedName(body) {
+  const tagData = { ...body };
+  if (typeof tagData.name === "string") {
+    tagData.name = tagData.name.trim();
+  }
+  return tagData;
+}
+
+// POST /tags - create a tag (a setup, a mistake or any other label) for the acting user
+router.post("/", async (req, res, next) => {
+  try {
+    const id = await createTag(req.userId, withTrimmedName(req.body));
+    res.status(201).json(await findTagById(id, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /tags - list the acting user's tags with how many trades each labels
+router.get("/", async (req, res, next) => {
+  try {
+    res.json(await findTagsByUserId(req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /tags/:id - fetch a single tag
+router.get("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid tag id");
+    }
+    // Scoped to the acting user: someone else's tag is reported as not found
+    const tag = await findTagById(id, req.userId);
+    if (!tag) {
+      throw new NotFoundError("Tag not found");
+    }
+    res.json(tag);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /tags/:id - rename and/or recategorize a tag
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid tag id");
+    }
+    const updates = withTrimmedName(req.body);
+    assertValid(validateUpdateTag(updates), "Invalid tag update");
+    if (updates.name === undefined && updates.category === undefined) {
+      throw new ValidationError("Nothing to update");
+    }
+    if (!(await updateTag(id, req.userId, updates))) {
+      throw new NotFoundError("Tag not found");
+    }
+    res.json(await findTagById(id, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /tags/:id - delete a tag (the trades it labelled keep existing, untagged by it)
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid tag id");
+    }
+    if (!(await deleteTag(id, req.userId))) {
+      throw new NotFoundError("Tag not found");
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+
+import { calculatePositionSize } from "../services/position_sizing_service.js";
+
+const router = express.Router();
+
+// POST /tools/position-size - quantity, dollar risk and notional for risking a percent of
+//   the account between entry and stop, rounded down to whole lots
+router.post("/position-size", async (req, res, next) => {
+  try {
+    res.json(await calculatePositionSize(req.userId, req.body));
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,258 @@
+import express from "express";
+
+import {
+  createTrade,
+  searchTrades,
+  searchTradeNotes,
+  findTradeById,
+  closeTrade,
+  updateTradeDetails,
+  deleteTrade,
+} from "../../trade_repository.js";
+import { addExecution, findExecutionsByTradeId } from "../../trade_execution_repository.js";
+import { assertValid } from "../validation/schema.js";
+import {
+  validateCreateTrade,
+  validateCloseTrade,
+  validateUpdateTrade,
+} from "../validation/trade_validator.js";
+import { ValidationError, NotFoundError, ConflictError } from "../errors/app_errors.js";
+import { parseId } from "./params.js";
+
+const router = express.Router();
+
+// POST /trades - create a trade for the acting user
+router.post("/", async (req, res, next) => {
+  try {
+    const {
+      subAccountId = null,
+      ticker,
+      quantity,
+      entryPrice,
+      direction,
+      entryDate,
+      exitDate = null,
+      exitPrice = null,
+      notes = null,
+      commission = 0,
+      status,
+      stopPrice = null,
+      targetPrice = null,
+      riskAmount = null,
+      tagIds = [],
+    } = req.body;
+
+    const tradeData = {
+      userId: req.userId,
+      subAccountId,
+      ticker,
+      quantity,
+      entryPrice,
+      direction,
+      entryDate,
+      exitDate,
+      exitPrice,
+      notes,
+      commission,
+      status,
+      stopPrice,
+      targetPrice,
+      riskAmount,
+      tagIds,
+    };
+    assertValid(validateCreateTrade(tradeData), "Invalid trade");
+
+    const tradeId = await createTrade(tradeData);
+    const trade = await findTradeById(tradeId, req.userId);
+    res.status(201).json(trade);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Search criteria that arrive as strings in the query but are numbers in searchTrades
+const NUMERIC_SEARCH_PARAMS = ["subAccountId", "pnlMin", "pnlMax", "limit"];
+
+// GET /trades?ticker=&direction=&status=&subAccountId=&entryFrom=&entryTo=&exitFrom=&exitTo=
+//   &pnl=positive|negative|zero&pnlMin=&pnlMax=&tagIds=1,2&sort=&order=asc|desc&limit=&cursor=
+//   - search the acting user's trades (tagIds: trades with all of these tags)
+router.get("/", async (req, res, next) => {
+  try {
+    const criteria = { ...req.query };
+    for (const param of NUMERIC_SEARCH_PARAMS) {
+      if (typeof criteria[param] === "string") {
+        criteria[param] = Number(criteria[param]);
+      }
+    }
+    if (typeof criteria.tagIds === "string") {
+      criteria.tagIds = criteria.tagIds.split(",").map(Number);
+    }
+    res.json(await searchTrades(req.userId, criteria));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /trades/search?query=&limit= - full-text search over the acting user's trade notes
+router.get("/search", async (req, res, next) => {
+  try {
+    const criteria = { ...req.query };
+    if (typeof criteria.limit === "string") {
+      criteria.limit = Number(criteria.limit);
+    }
+    res.json({ trades: await searchTradeNotes(req.userId, criteria) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /trades/:id - fetch a single trade
+router.get("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    const trade = await findTradeById(id, req.userId);
+    if (!trade) {
+      throw new NotFoundError("Trade not found");
+    }
+    res.json(trade);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /trades/:id/close - close an open trade
+router.post("/:id/close", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    const { exitPrice, exitDate, notes, commission } = req.body;
+    // Checked against the entry date by closeTrade once the trade is loaded
+    assertValid(
+      validateCloseTrade({ exitPrice, exitDate, notes, commission }),
+      "Invalid trade close",
+    );
+
+    const trade = await findTradeById(id, req.userId);
+    if (!trade) {
+      throw new NotFoundError("Trade not found");
+    }
+
+    const closed = await closeTrade({
+      id,
+      userId: req.userId,
+      exitPrice,
+      exitDate,
+      notes,
+      commission,
+    });
+    if (!closed) {
+      throw new ConflictError("Trade is already closed");
+    }
+    res.json(await findTradeById(id, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /trades/:id/executions - list a trade's fills, oldest first
+router.get("/:id/executions", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    if (!(await findTradeById(id, req.userId))) {
+      throw new NotFoundError("Trade not found");
+    }
+    res.json({ executions: await findExecutionsByTradeId(id, req.userId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /trades/:id/executions - scale into or partially exit an open trade
+router.post("/:id/executions", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    const { side, quantity, price, executedAt, fees } = req.body;
+    // Throws ConflictError if the trade is already closed
+    const executionId = await addExecution(id, req.userId, {
+      side,
+      quantity,
+      price,
+      executedAt,
+      fees,
+    });
+    if (executionId === null) {
+      throw new NotFoundError("Trade not found");
+    }
+    res.status(201).json({
+      executionId,
+      trade: await findTradeById(id, req.userId),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /trades/:id - update notes, commission, the planned stop, target and risk, and/or
+//   attach (addTagIds) and detach (removeTagIds) tags
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    assertValid(validateUpdateTrade(req.body), "Invalid trade update");
+    const { notes, commission, stopPrice, targetPrice, riskAmount, addTagIds, removeTagIds } =
+      req.body;
+    const updates = {
+      notes,
+      commission,
+      stopPrice,
+      targetPrice,
+      riskAmount,
+      addTagIds,
+      removeTagIds,
+    };
+    // Empty tag lists change nothing either
+    const isEmpty = (value) => value === undefined || (Array.isArray(value) && value.length === 0);
+    if (Object.values(updates).every(isEmpty)) {
+      throw new ValidationError("Nothing to update");
+    }
+
+    // Scoped to the acting user: someone else's trade is reported as not found
+    if (!(await updateTradeDetails(id, req.userId, updates))) {
+      throw new NotFoundError("Trade not found");
+    }
+    res.json(await findTradeById(id, req.userId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /trades/:id - delete a trade
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError("Invalid trade id");
+    }
+    if (!(await deleteTrade(id, req.userId))) {
+      throw new NotFoundError("Trade not found");
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+// Load .env before anything reads process.env
+import "dotenv/config";
+import process from "process";
+
+import { createApp } from "./app.js";
+import { createDatabaseContext, useDatabaseContext } from "./db/connection.js";
+import { migrate } from "./db/migrator.js";
+
+const PORT = process.env.PORT || 3000;
+
+async function start() {
+  // Open the configured database and apply pending migrations before serving requests
+  const context = await createDatabaseContext();
+  if (!context.config.readOnly) {
+    await migrate(context.db);
+  }
+  useDatabaseContext(context);
+
+  const app = createApp();
+  app.listen(PORT, () => {
+    console.log(`TradeLab API listening on port ${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  console.error("Failed to start server:", err.message);
+  process.exit(1);
+});
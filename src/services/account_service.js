@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import process from "process";
+
+import {
+  createAccountToken,
+  findAccountTokenByHash,
+  markAccountTokenUsed,
+  invalidateAccountTokens,
+} from "../../account_token_repository.js";
+import {
+  findUserByEmail,
+  findUserById,
+  updatePasswordHash,
+  markEmailVerified,
+} from "../../user_repository.js";
+import { revokeAllSessionsByUserId } from "../../session_repository.js";
+import { hashPassword, assertValidPassword } from "./auth_service.js";
+import { sendMail } from "../mail/mail_service.js";
+import { ValidationError, NotFoundError, ConflictError } from "../errors/app_errors.js";
+
+const PASSWORD_RESET = "password_reset";
+const EMAIL_VERIFICATION = "email_verification";
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Hashes an account token for storage/lookup. Tokens are 256 random bits, so SHA-256 is enough.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Base URL used to build links in emails.
+ * @returns {string}
+ */
+function getAppBaseUrl() {
+  return (process.env.APP_BASE_URL || "http://localhost:3000").replace(/\/$/, "");
+}
+
+/**
+ * Issues a new token of a purpose for a user, invalidating any earlier unused ones.
+ * @param {number} userId
+ * @param {string} purpose
+ * @param {number} ttlMs
+ * @returns {Promise<string>} The raw token (only ever sent to the user, never stored).
+ */
+async function issueToken(userId, purpose, ttlMs) {
+  await invalidateAccountTokens(userId, purpose);
+  const token = crypto.randomBytes(32).toString("base64url");
+  await createAccountToken({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+  });
+  return token;
+}
+
+/**
+ * Consumes a token: it must exist for the purpose, be unexpired and unused.
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<object>} The consumed token row.
+ * @throws {ValidationError} Throws if the token cannot be used.
+ */
+async function consumeToken(token, purpose) {
+  if (typeof token !== "string" || !token) {
+    throw new ValidationError("token is required");
+  }
+  const record = await findAccountTokenByHash(hashToken(token), purpose);
+  if (!record || record.used_at || record.expires_at <= new Date().toISOString()) {
+    throw new ValidationError("Invalid or expired token");
+  }
+  if (!(await markAccountTokenUsed(record.id))) {
+    throw new ValidationError("Invalid or expired token");
+  }
+  return record;
+}
+
+/**
+ * Emails a password reset link if an account exists for the address.
+ * Resolves the same way whether or not it does, so callers can't probe for accounts.
+ *
+ * @param {string} email - The address the user typed in.
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  if (typeof email !== "string" || !email.trim()) {
+    throw new ValidationError("email is required");
+  }
+  const user = await findUserByEmail(email.trim().toLowerCase());
+  if (!user) {
+    return;
+  }
+
+  const token = await issueToken(user.id, PASSWORD_RESET, PASSWORD_RESET_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: "Reset your TradeLab password",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Use the link below to choose a new password.",
+      "It expires in 1 hour and can only be used once.",
+      `${getAppBaseUrl()}/reset-password?token=${token}`,
+      "",
+      "If you didn't ask for this, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+/**
+ * Sets a new password using a reset token. Every existing session is revoked afterwards.
+ *
+ * @param {string} token - The token from the reset email.
+ * @param {string} newPassword - The new plain-text password.
+ * @returns {Promise<void>}
+ * @throws {ValidationError} Throws for an invalid/expired/used token or a weak password.
+ */
+async function resetPassword(token, newPassword) {
+  assertValidPassword(newPassword);
+  const record = await consumeToken(token, PASSWORD_RESET);
+
+  await updatePasswordHash(record.user_id, await hashPassword(newPassword));
+  await invalidateAccountTokens(record.user_id, PASSWORD_RESET);
+  await revokeAllSessionsByUserId(record.user_id);
+}
+
+/**
+ * Emails an address verification link to a user.
+ *
+ * @param {number} userId - The user to verify.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError} Throws for an unknown user, or if already verified.
+ */
+async function sendVerificationEmail(userId) {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  if (user.email_verified_at) {
+    throw new ConflictError("Email is already verified");
+  }
+
+  const token = await issueToken(user.id, EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MS);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your TradeLab email address",
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Confirm your email address with the link below. It expires in 24 hours.",
+      `${getAppBaseUrl()}/verify-email?token=${token}`,
+    ].join("\n"),
+  });
+}
+
+/**
+ * Marks a user's email as verified using a verification token.
+ *
+ * @param {string} token - The token from the verification email.
+ * @returns {Promise<number>} A promise that resolves with the verified user's ID.
+ * @throws {ValidationError} Throws for an invalid/expired/used token.
+ */
+async function verifyEmail(token) {
+  const record = await consumeToken(token, EMAIL_VERIFICATION);
+  await markEmailVerified(record.user_id);
+  return record.user_id;
+}
+
+export { requestPasswordReset, resetPassword, sendVerificationEmail, verifyEmail };
@@ -0,0 +1,572 @@
+import { findAllClosedTrades } from "../../trade_repository.js";
+import { findSubAccountById, findSubAccountsByUserId } from "../../sub_account_repository.js";
+import { findTagsByUserId } from "../../tag_repository.js";
+import { NotFoundError } from "../errors/app_errors.js";
+import { assertValid } from "../validation/schema.js";
+import {
+  validateEquityCurveOptions,
+  validateCalendarOptions,
+  validateBreakdownOptions,
+  validateTimingOptions,
+} from "../validation/analytics_validator.js";
+import { getSettings } from "./settings_service.js";
+import { toLocalDateTime, addDays, daysBetween, startOfPeriod } from "./local_time.js";
+
+/**
+ * Loads the closed trades analytics are computed from.
+ * A sub-account filter must name one of the user's own sub-accounts.
+ *
+ * @param {number} userId
+ * @param {object} filters - Trade filters (see `findAllClosedTrades`).
+ * @returns {Promise<Array<object>>} Closed trades in the order they were closed.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter is invalid.
+ */
+async function loadClosedTrades(userId, filters) {
+  if (Number.isInteger(filters.subAccountId)) {
+    const subAccount = await findSubAccountById(filters.subAccountId);
+    if (!subAccount || subAccount.user_id !== userId) {
+      throw new NotFoundError("Sub-account not found");
+    }
+  }
+  return findAllClosedTrades(userId, filters);
+}
+
+// Breakdown groups: the group keys of a closed trade (tickers are grouped case-insensitively).
+// A trade counts towards each of its tags; untagged trades share the null group.
+const BREAKDOWN_KEYS = {
+  ticker: (trade) => [trade.ticker.toUpperCase()],
+  direction: (trade) => [trade.direction],
+  subAccount: (trade) => [trade.sub_account_id],
+  tag: (trade) => (trade.tags.length ? trade.tags.map((tag) => tag.id) : [null]),
+};
+
+const WEEKDAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Holding time ranges, each up to (excluding) maxSeconds; the last one is open-ended
+const HOLDING_TIME_RANGES = [
+  { label: "under 5m", maxSeconds: 5 * 60 },
+  { label: "5m-15m", maxSeconds: 15 * 60 },
+  { label: "15m-1h", maxSeconds: 60 * 60 },
+  { label: "1h-4h", maxSeconds: 4 * 60 * 60 },
+  { label: "4h-1d", maxSeconds: 24 * 60 * 60 },
+  { label: "1d-1w", maxSeconds: 7 * 24 * 60 * 60 },
+  { label: "over 1w", maxSeconds: null },
+];
+
+// Realized R ranges, each up to (excluding) maxR; the last one is open-ended
+const R_MULTIPLE_RANGES = [
+  { label: "below -2R", maxR: -2 },
+  { label: "-2R to -1R", maxR: -1 },
+  { label: "-1R to 0R", maxR: 0 },
+  { label: "0R to 1R", maxR: 1 },
+  { label: "1R to 2R", maxR: 2 },
+  { label: "2R to 3R", maxR: 3 },
+  { label: "3R and above", maxR: null },
+];
+
+/**
+ * The time zone to bucket a user's trades in: the requested one or their settings' default.
+ *
+ * @param {number} userId
+ * @param {string} [timezone] - Validated IANA time zone.
+ * @returns {Promise<string>}
+ */
+async function resolveTimeZone(userId, timezone) {
+  return timezone ?? (await getSettings(userId)).timezone;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Longest runs of consecutive wins and losses, and the run the trades end on.
+ * A breakeven trade ends both kinds of run.
+ *
+ * @param {number[]} results - Net P&L per trade, in the order the trades were closed.
+ * @returns {{ maxWinStreak: number, maxLossStreak: number,
+ *   currentStreak: { type: "win"|"loss"|null, length: number } }}
+ */
+function computeStreaks(results) {
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  let type = null;
+  let length = 0;
+  for (const pnl of results) {
+    const outcome = pnl > 0 ? "win" : pnl < 0 ? "loss" : null;
+    if (outcome === null) {
+      length = 0;
+    } else {
+      length = outcome === type ? length + 1 : 1;
+    }
+    type = outcome;
+    if (type === "win") {
+      maxWinStreak = Math.max(maxWinStreak, length);
+    } else if (type === "loss") {
+      maxLossStreak = Math.max(maxLossStreak, length);
+    }
+  }
+  return { maxWinStreak, maxLossStreak, currentStreak: { type, length } };
+}
+
+/**
+ * R-multiple statistics over the trades that had a planned risk (see 005_trade_risk.js).
+ *
+ * @param {Array<object>} trades - Closed trade rows.
+ * @returns {{ rTradeCount: number, averageR: number|null, averagePlannedRR: number|null,
+ *   rDistribution: Array<{ label: string, tradeCount: number }> }}
+ */
+function computeRMultiples(trades) {
+  const multiples = trades.map((trade) => trade.realized_r).filter((r) => r !== null);
+  const plannedRatios = trades.map((trade) => trade.planned_rr).filter((rr) => rr !== null);
+  const rDistribution = R_MULTIPLE_RANGES.map(({ label }) => ({ label, tradeCount: 0 }));
+  for (const r of multiples) {
+    const index = R_MULTIPLE_RANGES.findIndex(({ maxR }) => maxR === null || r < maxR);
+    rDistribution[index].tradeCount += 1;
+  }
+  return {
+    rTradeCount: multiples.length,
+    averageR: multiples.length ? sum(multiples) / multiples.length : null,
+    averagePlannedRR: plannedRatios.length ? sum(plannedRatios) / plannedRatios.length : null,
+    rDistribution,
+  };
+}
+
+/**
+ * Computes performance statistics over closed trades, based on net P&L (after commission).
+ * Ratios and averages that have nothing to divide by are null.
+ *
+ * @param {Array<object>} trades - Closed trade rows, in the order they were closed.
+ * @returns {object} `{ tradeCount, winCount, lossCount, breakevenCount, winRate (percent),
+ *   netPnl, grossProfit, grossLoss, averageWin, averageLoss, profitFactor, expectancy,
+ *   largestWin, largestLoss, maxWinStreak, maxLossStreak, currentStreak,
+ *   averageHoldingSeconds, rTradeCount, averageR, averagePlannedRR, rDistribution }`.
+ *   Losses are negative numbers; grossLoss is their total. R figures only cover trades with a
+ *   planned risk (see `computeRMultiples`).
+ */
+function computePerformanceStats(trades) {
+  const results = trades.map((trade) => trade.net_pnl);
+  const wins = results.filter((pnl) => pnl > 0);
+  const losses = results.filter((pnl) => pnl < 0);
+  const grossProfit = sum(wins);
+  const grossLoss = sum(losses);
+  const holdingTimes = trades
+    .map((trade) => trade.holding_seconds)
+    .filter((seconds) => seconds !== null);
+
+  return {
+    tradeCount: trades.length,
+    winCount: wins.length,
+    lossCount: losses.length,
+    breakevenCount: trades.length - wins.length - losses.length,
+    winRate: trades.length ? (wins.length / trades.length) * 100 : null,
+    netPnl: sum(results),
+    grossProfit,
+    grossLoss,
+    averageWin: wins.length ? grossProfit / wins.length : null,
+    averageLoss: losses.length ? grossLoss / losses.length : null,
+    profitFactor: grossLoss ? grossProfit / -grossLoss : null,
+    // Average net P&L per trade (= winRate * averageWin + lossRate * averageLoss)
+    expectancy: trades.length ? sum(results) / trades.length : null,
+    largestWin: wins.length ? Math.max(...wins) : null,
+    largestLoss: losses.length ? Math.min(...losses) : null,
+    ...computeStreaks(results),
+    averageHoldingSeconds: holdingTimes.length ? sum(holdingTimes) / holdingTimes.length : null,
+    ...computeRMultiples(trades),
+  };
+}
+
+/**
+ * Performance statistics over a user's closed trades, optionally narrowed to a sub-account,
+ * a date range (`exitFrom`/`exitTo`, when the trades were closed) or any other trade filter.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} [filters] - Trade filters (see `findAllClosedTrades`).
+ * @returns {Promise<object>} See `computePerformanceStats`.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter is invalid.
+ */
+async function getPerformanceStats(userId, filters = {}) {
+  return computePerformanceStats(await loadClosedTrades(userId, filters));
+}
+
+/**
+ * Builds the cumulative P&L curve from closed trades, one point per period with trades.
+ *
+ * Each point carries the running peak of cumulative P&L (starting from 0) and the drawdown
+ * below it. `maxDrawdown` describes the deepest drawdown: the period of the peak it fell
+ * from (null when that is the starting 0), its trough, the first period back at the peak
+ * (null if not recovered yet) and the days from peak to recovery, or to the last period.
+ *
+ * @param {Array<object>} trades - Closed trade rows.
+ * @param {object} options
+ * @param {"day"|"week"|"month"} options.bucket
+ * @param {string} options.timeZone - Periods follow the trades' exit dates in this zone.
+ * @returns {{ points: Array<{ period: string, pnl: number, tradeCount: number,
+ *   cumulativePnl: number, peak: number, drawdown: number }>, maxDrawdown: object|null,
+ *   currentDrawdown: number }} Periods are given by their first day (YYYY-MM-DD).
+ */
+function computeEquityCurve(trades, { bucket, timeZone }) {
+  const periods = new Map();
+  for (const trade of trades) {
+    const period = startOfPeriod(toLocalDateTime(trade.exit_date, timeZone).date, bucket);
+    const totals = periods.get(period) || { pnl: 0, tradeCount: 0 };
+    totals.pnl += trade.net_pnl;
+    totals.tradeCount += 1;
+    periods.set(period, totals);
+  }
+
+  const points = [];
+  let cumulativePnl = 0;
+  let peak = 0;
+  let peakPeriod = null;
+  let maxDrawdown = null;
+  for (const [period, totals] of [...periods].sort(([a], [b]) => a.localeCompare(b))) {
+    cumulativePnl += totals.pnl;
+    if (cumulativePnl >= peak) {
+      peak = cumulativePnl;
+      peakPeriod = period;
+    }
+    const drawdown = peak - cumulativePnl;
+    points.push({ period, ...totals, cumulativePnl, peak, drawdown });
+
+    if (drawdown > 0 && drawdown > (maxDrawdown?.amount ?? 0)) {
+      maxDrawdown = {
+        amount: drawdown,
+        peak,
+        peakPeriod,
+        troughPeriod: period,
+        recoveryPeriod: null,
+      };
+    } else if (maxDrawdown && maxDrawdown.recoveryPeriod === null
+      && cumulativePnl >= maxDrawdown.peak) {
+      maxDrawdown.recoveryPeriod = period;
+    }
+  }
+
+  if (maxDrawdown) {
+    const start = maxDrawdown.peakPeriod ?? points[0].period;
+    const end = maxDrawdown.recoveryPeriod ?? points[points.length - 1].period;
+    maxDrawdown.durationDays = daysBetween(start, end);
+  }
+  const last = points[points.length - 1];
+  return { points, maxDrawdown, currentDrawdown: last ? last.drawdown : 0 };
+}
+
+/**
+ * Equity curve and drawdowns of a user's closed trades (see `computeEquityCurve`),
+ * optionally narrowed to a sub-account, a closing date range or any other trade filter.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} [filters] - Trade filters (see `findAllClosedTrades`).
+ * @param {object} [options]
+ * @param {"day"|"week"|"month"} [options.bucket='day']
+ * @param {string} [options.timezone] - IANA time zone; defaults to the user's setting.
+ * @returns {Promise<object>} `{ bucket, timezone, points, maxDrawdown, currentDrawdown }`.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter or option is invalid.
+ */
+async function getEquityCurve(userId, filters = {}, options = {}) {
+  assertValid(validateEquityCurveOptions(options), "Invalid equity curve options");
+  const { bucket = "day" } = options;
+  const timezone = await resolveTimeZone(userId, options.timezone);
+  const trades = await loadClosedTrades(userId, filters);
+  return { bucket, timezone, ...computeEquityCurve(trades, { bucket, timeZone: timezone }) };
+}
+
+/**
+ * Sums closed trades per local calendar day, week (starting Monday) and month.
+ * Only trades closed between `from` and `to` (local dates, inclusive) are counted, and only
+ * days with trades are listed; weeks are cut off at the range's ends.
+ *
+ * @param {Array<object>} trades - Closed trade rows.
+ * @param {object} range
+ * @param {string} range.from - First day (YYYY-MM-DD).
+ * @param {string} range.to - Last day (YYYY-MM-DD).
+ * @param {string} range.timeZone - Days follow the trades' exit dates in this zone.
+ * @returns {{ days: Array, weeks: Array, months: Array, total: object }} Each entry has
+ *   `netPnl`, `tradeCount` and `winCount`, plus its `date`, `weekStart` or `month` (YYYY-MM).
+ */
+function computePnlCalendar(trades, { from, to, timeZone }) {
+  const groups = { days: new Map(), weeks: new Map(), months: new Map() };
+  const total = { netPnl: 0, tradeCount: 0, winCount: 0 };
+  const add = (map, key) => {
+    if (!map.has(key)) {
+      map.set(key, { netPnl: 0, tradeCount: 0, winCount: 0 });
+    }
+    return map.get(key);
+  };
+
+  for (const trade of trades) {
+    const { date } = toLocalDateTime(trade.exit_date, timeZone);
+    if (date < from || date > to) {
+      continue;
+    }
+    for (const totals of [
+      add(groups.days, date),
+      add(groups.weeks, startOfPeriod(date, "week")),
+      add(groups.months, date.slice(0, 7)),
+      total,
+    ]) {
+      totals.netPnl += trade.net_pnl;
+      totals.tradeCount += 1;
+      totals.winCount += trade.net_pnl > 0 ? 1 : 0;
+    }
+  }
+
+  const list = (map, key) => [...map]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, totals]) => ({ [key]: value, ...totals }));
+  return {
+    days: list(groups.days, "date"),
+    weeks: list(groups.weeks, "weekStart"),
+    months: list(groups.months, "month"),
+    total,
+  };
+}
+
+/**
+ * Daily P&L calendar of a user's closed trades for a month or a year, in their time zone
+ * (see `computePnlCalendar`), optionally narrowed to a sub-account or other trade filter.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} [filters] - Trade filters (see `findAllClosedTrades`) except the exit
+ *   date range, which the month or year sets.
+ * @param {object} options
+ * @param {string} [options.month] - YYYY-MM; either this or `year` is required.
+ * @param {string} [options.year] - YYYY.
+ * @param {string} [options.timezone] - IANA time zone; defaults to the user's setting.
+ * @returns {Promise<object>} `{ timezone, from, to, days, weeks, months, total }`.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter or option is invalid.
+ */
+async function getPnlCalendar(userId, filters = {}, options = {}) {
+  const errors = validateCalendarOptions(options);
+  for (const field of ["exitFrom", "exitTo"]) {
+    if (filters[field] !== undefined) {
+      errors[field] = "cannot be combined with month or year";
+    }
+  }
+  assertValid(errors, "Invalid calendar options");
+
+  let from;
+  let to;
+  if (options.month !== undefined) {
+    from = `${options.month}-01`;
+    // The day before the first of the next month
+    to = addDays(startOfPeriod(addDays(from, 31), "month"), -1);
+  } else {
+    from = `${options.year}-01-01`;
+    to = `${options.year}-12-31`;
+  }
+  const timezone = await resolveTimeZone(userId, options.timezone);
+  // Local days can start up to a day before or after the UTC ones
+  const trades = await loadClosedTrades(userId, {
+    ...filters,
+    exitFrom: addDays(from, -1),
+    exitTo: addDays(to, 1),
+  });
+  return { timezone, from, to, ...computePnlCalendar(trades, { from, to, timeZone: timezone }) };
+}
+
+/**
+ * Totals closed trades per group. A trade is counted in every group `keysOf` returns.
+ *
+ * @param {Array<object>} trades - Closed trade rows.
+ * @param {(trade: object) => Array} keysOf - The group keys of a trade.
+ * @returns {Map<*, { tradeCount: number, winCount: number, winRate: number, netPnl: number,
+ *   averagePnl: number, totalCommission: number }>} Groups in the order first seen;
+ *   winRate is a percentage.
+ */
+function totalByGroup(trades, keysOf) {
+  const groups = new Map();
+  for (const trade of trades) {
+    for (const key of keysOf(trade)) {
+      const group = groups.get(key) || { tradeCount: 0, winCount: 0, netPnl: 0, commission: 0 };
+      group.tradeCount += 1;
+      group.winCount += trade.net_pnl > 0 ? 1 : 0;
+      group.netPnl += trade.net_pnl;
+      group.commission += trade.commission ?? 0;
+      groups.set(key, group);
+    }
+  }
+  return new Map([...groups].map(([key, group]) => [key, {
+    tradeCount: group.tradeCount,
+    winCount: group.winCount,
+    winRate: (group.winCount / group.tradeCount) * 100,
+    netPnl: group.netPnl,
+    averagePnl: group.netPnl / group.tradeCount,
+    totalCommission: group.commission,
+  }]));
+}
+
+/**
+ * Groups closed trades and totals each group.
+ * Groups are sorted by the given field, then by key; a null key (e.g. trades without a
+ * sub-account) sorts last. By tag, a trade with several tags is in each of their groups.
+ *
+ * @param {Array<object>} trades - Closed trade rows (with their `tags` to group by tag).
+ * @param {object} options
+ * @param {"ticker"|"direction"|"subAccount"|"tag"} options.groupBy
+ * @param {string} [options.sort='netPnl'] - 'key', 'tradeCount', 'winRate', 'netPnl',
+ *   'averagePnl' or 'totalCommission'.
+ * @param {"asc"|"desc"} [options.order='desc']
+ * @returns {Array<{ key: string|number|null, tradeCount: number, winCount: number,
+ *   winRate: number, netPnl: number, averagePnl: number, totalCommission: number }>}
+ *   winRate is a percentage.
+ */
+function computeBreakdown(trades, { groupBy, sort = "netPnl", order = "desc" }) {
+  const rows = [...totalByGroup(trades, BREAKDOWN_KEYS[groupBy])]
+    .map(([key, totals]) => ({ key, ...totals }));
+  const sign = order === "asc" ? 1 : -1;
+  const compareKeys = (a, b) => {
+    if (a === b) {
+      return 0;
+    }
+    return a < b ? -1 : 1;
+  };
+  return rows.sort((a, b) => {
+    if ((a.key === null) !== (b.key === null)) {
+      return a.key === null ? 1 : -1;
+    }
+    const bySort = sort === "key" ? compareKeys(a.key, b.key) : a[sort] - b[sort];
+    return bySort * sign || compareKeys(a.key, b.key);
+  });
+}
+
+/**
+ * Breakdown of a user's closed trades by ticker, direction, sub-account or tag
+ * (see `computeBreakdown`), optionally narrowed to a date range (`exitFrom`/`exitTo`)
+ * or any other trade filter. Sub-account and tag groups also carry their `name`.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} [filters] - Trade filters (see `findAllClosedTrades`).
+ * @param {object} options - `{ groupBy, sort?, order? }` (see `computeBreakdown`).
+ * @returns {Promise<{ groupBy: string, groups: Array<object> }>}
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter or option is invalid.
+ */
+async function getBreakdown(userId, filters = {}, options = {}) {
+  assertValid(validateBreakdownOptions(options), "Invalid breakdown options");
+  const groups = computeBreakdown(await loadClosedTrades(userId, filters), options);
+  if (options.groupBy === "subAccount" || options.groupBy === "tag") {
+    const named = options.groupBy === "tag"
+      ? await findTagsByUserId(userId)
+      : await findSubAccountsByUserId(userId);
+    const names = new Map(named.map(({ id, name }) => [id, name]));
+    for (const group of groups) {
+      group.name = names.get(group.key) ?? null;
+    }
+  }
+  return { groupBy: options.groupBy, groups };
+}
+
+/**
+ * @param {number} minutes - Minutes since midnight.
+ * @returns {string} HH:MM (24:00 for the end of the day).
+ */
+function formatTimeOfDay(minutes) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Totals closed trades by the local time of day and weekday they were entered, and by how
+ * long they were held. Only buckets with trades are listed, in chronological order.
+ *
+ * @param {Array<object>} trades - Closed trade rows.
+ * @param {object} options
+ * @param {number} options.bucketMinutes - Size of the time-of-day buckets (divides a day).
+ * @param {string} options.timeZone - Entry times are read in this zone.
+ * @returns {{ timeOfDay: Array, weekdays: Array, holdingTimes: Array }} Each bucket has the
+ *   totals of `totalByGroup` plus `start`/`end` (HH:MM), `weekday` (1 = Monday) and `name`,
+ *   or `label`, `minSeconds` and `maxSeconds` (null for the last, open-ended range).
+ */
+function computeTimingAnalytics(trades, { bucketMinutes, timeZone }) {
+  const entryBucket = (trade) => {
+    const { hour, minute } = toLocalDateTime(trade.entry_date, timeZone);
+    return Math.floor((hour * 60 + minute) / bucketMinutes);
+  };
+  const timeOfDay = [...totalByGroup(trades, (trade) => [entryBucket(trade)])]
+    .sort(([a], [b]) => a - b)
+    .map(([bucket, totals]) => ({
+      start: formatTimeOfDay(bucket * bucketMinutes),
+      end: formatTimeOfDay((bucket + 1) * bucketMinutes),
+      ...totals,
+    }));
+
+  const weekdayOf = (trade) => [toLocalDateTime(trade.entry_date, timeZone).weekday];
+  const weekdays = [...totalByGroup(trades, weekdayOf)]
+    .sort(([a], [b]) => a - b)
+    .map(([weekday, totals]) => ({ weekday, name: WEEKDAY_NAMES[weekday - 1], ...totals }));
+
+  const rangeOf = (trade) => {
+    if (trade.holding_seconds === null) {
+      return [];
+    }
+    return [HOLDING_TIME_RANGES.findIndex(
+      ({ maxSeconds }) => maxSeconds === null || trade.holding_seconds < maxSeconds,
+    )];
+  };
+  const holdingTimes = [...totalByGroup(trades, rangeOf)]
+    .sort(([a], [b]) => a - b)
+    .map(([index, totals]) => ({
+      label: HOLDING_TIME_RANGES[index].label,
+      minSeconds: index === 0 ? 0 : HOLDING_TIME_RANGES[index - 1].maxSeconds,
+      maxSeconds: HOLDING_TIME_RANGES[index].maxSeconds,
+      ...totals,
+    }));
+
+  return { timeOfDay, weekdays, holdingTimes };
+}
+
+/**
+ * Performance by entry time of day, entry weekday and holding time of a user's closed
+ * trades (see `computeTimingAnalytics`), optionally narrowed by any trade filter.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} [filters] - Trade filters (see `findAllClosedTrades`).
+ * @param {object} [options]
+ * @param {number} [options.bucketMinutes=60] - Size of the time-of-day buckets.
+ * @param {string} [options.timezone] - IANA time zone; defaults to the user's setting.
+ * @returns {Promise<object>} `{ timezone, bucketMinutes, timeOfDay, weekdays, holdingTimes }`.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ * @throws {ValidationError} Throws if a filter or option is invalid.
+ */
+async function getTimingAnalytics(userId, filters = {}, options = {}) {
+  assertValid(validateTimingOptions(options), "Invalid timing options");
+  const { bucketMinutes = 60 } = options;
+  const timezone = await resolveTimeZone(userId, options.timezone);
+  const trades = await loadClosedTrades(userId, filters);
+  return {
+    timezone,
+    bucketMinutes,
+    ...computeTimingAnalytics(trades, { bucketMinutes, timeZone: timezone }),
+  };
+}
+
+export {
+  computePerformanceStats,
+  getPerformanceStats,
+  computeEquityCurve,
+  getEquityCurve,
+  computePnlCalendar,
+  getPnlCalendar,
+  computeBreakdown,
+  getBreakdown,
+  computeTimingAnalytics,
+  getTimingAnalytics,
+};
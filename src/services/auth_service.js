@@ -0,0 +1,177 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import { promisify } from "util";
+
+import {
+  createUserWithSettings,
+  findUserByEmail,
+  findUserByUsername,
+  findUserById,
+} from "../../user_repository.js";
+import { ValidationError, UnauthorizedError, ConflictError } from "../errors/app_errors.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters - stored alongside each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_SETTINGS = { default_currency: "USD", theme: "light" };
+
+/**
+ * Hashes a password with scrypt and a random per-user salt.
+ * The result is self-describing: `scrypt$N$r$p$salt$hash` (salt and hash base64 encoded).
+ *
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} A promise that resolves with the encoded hash to store in `password_hash`.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+  });
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    derived.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Checks a plain-text password against a hash produced by hashPassword.
+ * Uses a constant-time comparison. Malformed or unknown hashes never match.
+ *
+ * @param {string} password - The plain-text password to check.
+ * @param {string} storedHash - The encoded hash from `password_hash`.
+ * @returns {Promise<boolean>} A promise that resolves with true if the password matches.
+ */
+async function verifyPassword(password, storedHash) {
+  const parts = typeof storedHash === "string" ? storedHash.split("$") : [];
+  if (parts.length !== 6 || parts[0] !== "scrypt") {
+    return false;
+  }
+  const [, n, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, "base64");
+  const derived = await scrypt(password, Buffer.from(saltB64, "base64"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+  return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+}
+
+// Hash used to burn the same amount of time when a login names an unknown user
+const dummyHashPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+/**
+ * Enforces the password policy.
+ * @param {string} password - The plain-text password.
+ * @throws {ValidationError} Throws if the password is too short.
+ */
+function assertValidPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+/**
+ * Strips secrets from a user row so it can be returned to clients.
+ * @param {object} user - A row from the `users` table.
+ * @returns {object} The user without `password_hash`.
+ */
+function toPublicUser(user) {
+  // eslint-disable-next-line no-unused-vars
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Registers a new user with a hashed password and default settings.
+ *
+ * @param {object} registration - Registration details.
+ * @param {string} registration.username - The desired username.
+ * @param {string} registration.email - The user's email address.
+ * @param {string} registration.password - The plain-text password.
+ * @returns {Promise<object>} A promise that resolves with the created user (without password hash).
+ * @throws {ValidationError|ConflictError} Throws for invalid input, or if the username/email is taken.
+ */
+async function registerUser({ username, email, password }) {
+  if (typeof username !== "string" || !username.trim()) {
+    throw new ValidationError("username is required");
+  }
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+    throw new ValidationError("A valid email is required");
+  }
+  assertValidPassword(password);
+
+  const normalizedUsername = username.trim();
+  const normalizedEmail = email.trim().toLowerCase();
+
+  // Checked first to say which one is taken; the unique indexes on both columns still turn a
+  // concurrent duplicate into a ConflictError
+  if (await findUserByUsername(normalizedUsername)) {
+    throw new ConflictError("Username is already taken");
+  }
+  if (await findUserByEmail(normalizedEmail)) {
+    throw new ConflictError("Email is already registered");
+  }
+
+  const passwordHash = await hashPassword(password);
+  const userId = await createUserWithSettings(
+    normalizedUsername,
+    normalizedEmail,
+    passwordHash,
+    DEFAULT_SETTINGS,
+  );
+  return toPublicUser(await findUserById(userId));
+}
+
+/**
+ * Verifies login credentials. The same error is used for an unknown user and a
+ * wrong password so the response does not reveal which accounts exist.
+ *
+ * @param {object} credentials - Login credentials.
+ * @param {string} [credentials.email] - The user's email (either email or username is required).
+ * @param {string} [credentials.username] - The user's username.
+ * @param {string} credentials.password - The plain-text password.
+ * @returns {Promise<object>} A promise that resolves with the authenticated user (without password hash).
+ * @throws {ValidationError|UnauthorizedError} Throws for missing input or bad credentials.
+ */
+async function authenticateUser({ email, username, password }) {
+  if ((!email && !username) || typeof password !== "string" || !password) {
+    throw new ValidationError("email or username, and password are required");
+  }
+
+  const user = email
+    ? await findUserByEmail(String(email).trim().toLowerCase())
+    : await findUserByUsername(String(username).trim());
+
+  if (!user) {
+    await verifyPassword(password, await dummyHashPromise);
+    throw new UnauthorizedError("Invalid credentials");
+  }
+  if (!(await verifyPassword(password, user.password_hash))) {
+    throw new UnauthorizedError("Invalid credentials");
+  }
+  return toPublicUser(user);
+}
+
+export {
+  hashPassword,
+  verifyPassword,
+  assertValidPassword,
+  registerUser,
+  authenticateUser,
+  toPublicUser,
+};
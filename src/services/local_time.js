@@ -0,0 +1,120 @@
+import { parseISODate } from "../validation/schema.js";
+
+// Stored dates are ISO 8601 strings, either timestamps or plain dates (YYYY-MM-DD)
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// One formatter per time zone; constructing them is comparatively slow
+const formatters = new Map();
+
+/**
+ * Checks that a string is an IANA time zone name the runtime understands.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Weekday of a calendar date, ISO style.
+ * @param {string} date - YYYY-MM-DD.
+ * @returns {number} 1 (Monday) to 7 (Sunday).
+ */
+function isoWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+}
+
+/**
+ * The wall-clock date and time of a stored timestamp in a time zone.
+ * Plain dates have no time of day; they are kept as they are and read as midnight.
+ * Timestamps without an offset are UTC (see `parseISODate`).
+ *
+ * @param {string} value - ISO 8601 timestamp or date.
+ * @param {string} timeZone - IANA time zone, e.g. 'America/New_York'.
+ * @returns {{ date: string, hour: number, minute: number, weekday: number }} `date` as
+ *   YYYY-MM-DD, `hour` 0-23, `minute` 0-59 and `weekday` 1 (Monday) to 7 (Sunday).
+ */
+function toLocalDateTime(value, timeZone) {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    return { date: value, hour: 0, minute: 0, weekday: isoWeekday(value) };
+  }
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(parseISODate(value)))
+      .map(({ type, value: part }) => [type, part]),
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: isoWeekday(date),
+  };
+}
+
+/**
+ * Adds days to a calendar date.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {number} days - May be negative.
+ * @returns {string} YYYY-MM-DD.
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one calendar date to another.
+ * @param {string} from - YYYY-MM-DD.
+ * @param {string} to - YYYY-MM-DD.
+ * @returns {number} Negative when `to` is earlier.
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * The first day of the day, week (starting Monday) or month a date falls in.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {"day"|"week"|"month"} bucket
+ * @returns {string} YYYY-MM-DD.
+ */
+function startOfPeriod(date, bucket) {
+  switch (bucket) {
+  case "week":
+    return addDays(date, 1 - isoWeekday(date));
+  case "month":
+    return `${date.slice(0, 7)}-01`;
+  default:
+    return date;
+  }
+}
+
+export { isValidTimeZone, toLocalDateTime, addDays, daysBetween, startOfPeriod };
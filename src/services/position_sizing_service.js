@@ -0,0 +1,74 @@
+import { findSubAccountById } from "../../sub_account_repository.js";
+import { NotFoundError } from "../errors/app_errors.js";
+import { assertValid } from "../validation/schema.js";
+import { validatePositionSize } from "../validation/position_size_validator.js";
+
+// Slack for floating point error when counting whole lots (e.g. 0.3 / 0.1)
+const LOT_EPSILON = 1e-9;
+
+/**
+ * Sizes a position so that being stopped out loses at most the given share of the account.
+ * The quantity is rounded down to whole lots, so the actual risk never exceeds the budget;
+ * it is 0 when the budget doesn't cover a single lot.
+ *
+ * @param {object} input - Validated request.
+ * @param {number} input.accountSize - Account equity to risk a share of.
+ * @param {number} input.riskPercent - Percent of the account to risk, e.g. 1.
+ * @param {number} input.entryPrice
+ * @param {number} input.stopPrice - Below the entry for a long, above it for a short.
+ * @param {"long"|"short"} [input.direction] - Inferred from the stop when omitted.
+ * @param {number} [input.lotSize=1] - Quantity step, e.g. 100 for round lots.
+ * @returns {{ direction: string, quantity: number, lots: number, riskPerShare: number,
+ *   riskBudget: number, dollarRisk: number, notional: number, riskPercentOfAccount: number }}
+ *   `dollarRisk` and `riskPercentOfAccount` are what the rounded quantity actually risks.
+ */
+function computePositionSize({
+  accountSize,
+  riskPercent,
+  entryPrice,
+  stopPrice,
+  direction = stopPrice < entryPrice ? "long" : "short",
+  lotSize = 1,
+}) {
+  const riskPerShare = Math.abs(entryPrice - stopPrice);
+  const riskBudget = (accountSize * riskPercent) / 100;
+  const lots = Math.floor(riskBudget / riskPerShare / lotSize + LOT_EPSILON);
+  // Multiplying back can leave float noise (3 * 0.1); trim it to a sensible precision
+  const quantity = Number((lots * lotSize).toPrecision(12));
+  const dollarRisk = quantity * riskPerShare;
+  return {
+    direction,
+    quantity,
+    lots,
+    riskPerShare,
+    riskBudget,
+    dollarRisk,
+    notional: quantity * entryPrice,
+    riskPercentOfAccount: (dollarRisk / accountSize) * 100,
+  };
+}
+
+/**
+ * Position size calculator for the acting user.
+ * Sub-accounts don't track a balance, so the account size is always supplied; a given
+ * sub-account must be the user's and is echoed back with the result.
+ *
+ * @param {number} userId - The acting user's ID.
+ * @param {object} input - See `validatePositionSize` and `computePositionSize`.
+ * @returns {Promise<object>} `{ subAccountId, accountSize, ...computePositionSize(input) }`.
+ * @throws {ValidationError} Throws with per-field details if the input is invalid.
+ * @throws {NotFoundError} Throws if the sub-account is missing or belongs to another user.
+ */
+async function calculatePositionSize(userId, input) {
+  assertValid(validatePositionSize(input), "Invalid position size request");
+  const subAccountId = input.subAccountId ?? null;
+  if (subAccountId !== null) {
+    const subAccount = await findSubAccountById(subAccountId);
+    if (!subAccount || subAccount.user_id !== userId) {
+      throw new NotFoundError("Sub-account not found");
+    }
+  }
+  return { subAccountId, accountSize: input.accountSize, ...computePositionSize(input) };
+}
+
+export { computePositionSize, calculatePositionSize };
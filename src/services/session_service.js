@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import process from "process";
+
+import {
+  createSession,
+  findSessionById,
+  findActiveSessionsByUserId,
+  rotateRefreshToken,
+  revokeSession,
+} from "../../session_repository.js";
+import { signAccessToken, getAccessTokenTtl } from "./token_service.js";
+import { UnauthorizedError } from "../errors/app_errors.js";
+
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const REFRESH_SECRET_BYTES = 32;
+
+/**
+ * Returns the refresh token lifetime in milliseconds.
+ * @returns {number}
+ */
+function getRefreshTokenTtlMs() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  const ttlDays = Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return ttlDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hashes a refresh token secret for storage. Secrets are 256 random bits, so a
+ * fast hash is enough - there is nothing to brute-force.
+ * @param {string} secret
+ * @returns {string} Hex encoded SHA-256 digest.
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Splits a refresh token of the form `<sessionId>.<secret>`.
+ * @param {string} refreshToken
+ * @returns {{sessionId: number, secret: string}|null} The parts, or null if the token is malformed.
+ */
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") {
+    return null;
+  }
+  const [idPart, secret, ...rest] = refreshToken.split(".");
+  const sessionId = Number(idPart);
+  if (rest.length || !secret || !Number.isInteger(sessionId) || sessionId <= 0) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+/**
+ * Compares two hex encoded hashes in constant time.
+ * @param {string} a
+ * @param {string|null} b
+ * @returns {boolean}
+ */
+function hashesEqual(a, b) {
+  return typeof b === "string" && b.length === a.length
+    && crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+/**
+ * Rejects a refresh secret that isn't the session's current one. If it is the secret the
+ * session last rotated out, the token was reused and the session is revoked as well.
+ *
+ * @param {object} session - The session row.
+ * @param {string} presentedHash - Hash of the presented secret.
+ * @throws {UnauthorizedError} Always.
+ */
+async function rejectStaleSecret(session, presentedHash) {
+  if (hashesEqual(presentedHash, session.previous_refresh_token_hash)) {
+    await revokeSession(session.id, session.user_id);
+    throw new UnauthorizedError("Refresh token reuse detected - session revoked");
+  }
+  throw new UnauthorizedError("Invalid refresh token");
+}
+
+/**
+ * Builds the token response for a session and its current refresh secret.
+ * @param {number} userId
+ * @param {number} sessionId
+ * @param {string} secret
+ * @returns {object}
+ */
+function buildTokens(userId, sessionId, secret) {
+  return {
+    accessToken: signAccessToken(userId, { sessionId }),
+    refreshToken: `${sessionId}.${secret}`,
+    tokenType: "Bearer",
+    expiresIn: getAccessTokenTtl(),
+    sessionId,
+  };
+}
+
+/**
+ * Starts a new session for a user after a successful login.
+ *
+ * @param {number} userId - The ID of the authenticated user.
+ * @param {object} [client] - Information about the device logging in.
+ * @param {string} [client.userAgent] - The client's User-Agent header.
+ * @param {string} [client.ipAddress] - The client's IP address.
+ * @returns {Promise<object>} A promise that resolves with `{ accessToken, refreshToken, tokenType, expiresIn, sessionId }`.
+ */
+async function startSession(userId, { userAgent, ipAddress } = {}) {
+  const secret = crypto.randomBytes(REFRESH_SECRET_BYTES).toString("base64url");
+  const sessionId = await createSession({
+    userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent,
+    ipAddress,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()).toISOString(),
+  });
+  return buildTokens(userId, sessionId, secret);
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token (rotate on use).
+ * Presenting the refresh token that was last rotated out means it was copied or stolen, so
+ * the whole session is revoked. Any other wrong secret is just rejected: session ids are
+ * guessable, so a made-up token must not be able to end someone's session.
+ *
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @returns {Promise<object>} A promise that resolves with `{ accessToken, refreshToken, tokenType, expiresIn, sessionId }`.
+ * @throws {UnauthorizedError} Throws if the token is invalid, expired, revoked or reused.
+ */
+async function refreshSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const session = await findSessionById(parsed.sessionId);
+  if (!session || session.revoked_at) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+  if (session.expires_at <= new Date().toISOString()) {
+    throw new UnauthorizedError("Refresh token expired");
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (!hashesEqual(presentedHash, session.refresh_token_hash)) {
+    await rejectStaleSecret(session, presentedHash);
+  }
+
+  const secret = crypto.randomBytes(REFRESH_SECRET_BYTES).toString("base64url");
+  const expiresAt = new Date(Date.now() + getRefreshTokenTtlMs()).toISOString();
+  if (!(await rotateRefreshToken(session.id, presentedHash, hashSecret(secret), expiresAt))) {
+    // A concurrent refresh rotated this token first, so it has just become the previous one
+    await rejectStaleSecret(await findSessionById(session.id), presentedHash);
+  }
+  return buildTokens(session.user_id, session.id, secret);
+}
+
+/**
+ * Checks whether a session can still be used (exists, belongs to the user, not revoked or expired).
+ *
+ * @param {number} sessionId - The session ID.
+ * @param {number} userId - The user the session should belong to.
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId, userId) {
+  const session = await findSessionById(sessionId);
+  return Boolean(
+    session &&
+      session.user_id === userId &&
+      !session.revoked_at &&
+      session.expires_at > new Date().toISOString(),
+  );
+}
+
+/**
+ * Lists a user's active sessions without their token hashes.
+ *
+ * @param {number} userId - The user whose sessions to list.
+ * @param {number} [currentSessionId] - The session making the request, flagged with `current: true`.
+ * @returns {Promise<Array>}
+ */
+async function listSessions(userId, currentSessionId) {
+  const sessions = await findActiveSessionsByUserId(userId);
+  return sessions.map((session) => ({
+    id: session.id,
+    user_agent: session.user_agent,
+    ip_address: session.ip_address,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: session.id === currentSessionId,
+  }));
+}
+
+export {
+  startSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+};
@@ -0,0 +1,116 @@
+import { findSettingsByUserId, updateSettings } from "../../user_repository.js";
+import { findSubAccountById } from "../../sub_account_repository.js";
+import { ValidationError } from "../errors/app_errors.js";
+import { isValidTimeZone } from "./local_time.js";
+
+// ISO 4217 codes known to the runtime's ICU data
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf("currency"));
+
+const THEMES = ["light", "dark", "system"];
+
+// Values used when a user has no settings row yet (mirrors the column defaults)
+const DEFAULT_SETTINGS = {
+  default_currency: "USD",
+  theme: "light",
+  timezone: "UTC",
+  default_sub_account_id: null,
+};
+
+/**
+ * Validators for each editable setting, keyed by the request field name.
+ * Each returns `{ value }` with the normalized value to store, or `{ error }`.
+ * Adding a setting means adding a column, listing it in user_repository's
+ * UPDATABLE_SETTINGS_COLUMNS and adding its validator here.
+ */
+const SETTING_VALIDATORS = {
+  defaultCurrency: {
+    column: "default_currency",
+    validate(value) {
+      const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+      return CURRENCY_CODES.has(code)
+        ? { value: code }
+        : { error: "must be an ISO 4217 currency code (e.g. USD)" };
+    },
+  },
+  theme: {
+    column: "theme",
+    validate(value) {
+      return THEMES.includes(value)
+        ? { value }
+        : { error: `must be one of: ${THEMES.join(", ")}` };
+    },
+  },
+  timezone: {
+    column: "timezone",
+    validate(value) {
+      return typeof value === "string" && isValidTimeZone(value)
+        ? { value }
+        : { error: "must be an IANA time zone (e.g. America/New_York)" };
+    },
+  },
+  defaultSubAccountId: {
+    column: "default_sub_account_id",
+    async validate(value, userId) {
+      if (value === null) {
+        return { value: null };
+      }
+      const subAccount = Number.isInteger(value) ? await findSubAccountById(value) : null;
+      return subAccount && subAccount.user_id === userId
+        ? { value }
+        : { error: "must be the id of one of your sub-accounts, or null" };
+    },
+  },
+};
+
+/**
+ * Fetches a user's settings row, falling back to the column defaults if none was ever saved.
+ *
+ * @param {number} userId
+ * @returns {Promise<object>} The `user_settings` row (timestamps are null for defaults).
+ */
+async function getSettings(userId) {
+  const row = await findSettingsByUserId(userId);
+  return row || { user_id: userId, ...DEFAULT_SETTINGS, created_at: null, updated_at: null };
+}
+
+/**
+ * Validates and applies a partial settings update.
+ *
+ * @param {number} userId
+ * @param {object} changes - Fields to change (e.g. `{ theme: "dark", defaultCurrency: "EUR" }`).
+ * @returns {Promise<object>} The settings row after the update.
+ * @throws {ValidationError} Throws listing every invalid or unknown field.
+ */
+async function changeSettings(userId, changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new ValidationError("Settings must be an object");
+  }
+
+  const errors = {};
+  const updates = {};
+  for (const [field, value] of Object.entries(changes)) {
+    const validator = SETTING_VALIDATORS[field];
+    if (!validator) {
+      errors[field] = "is not a known setting";
+      continue;
+    }
+    const result = await validator.validate(value, userId);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      updates[validator.column] = result.value;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError("Invalid settings", errors);
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new ValidationError("Nothing to update");
+  }
+
+  await updateSettings(userId, updates);
+  return getSettings(userId);
+}
+
+export { getSettings, changeSettings };
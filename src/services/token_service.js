@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { Buffer } from "buffer";
+import process from "process";
+
+import { UnauthorizedError } from "../errors/app_errors.js";
+
+// Access tokens are short-lived; the client logs in again (or refreshes) when they expire
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+let accessTokenSecret = process.env.ACCESS_TOKEN_SECRET;
+if (!accessTokenSecret) {
+  // Without a configured secret, tokens only survive until the process restarts
+  if (process.env.NODE_ENV !== "test") {
+    console.warn("ACCESS_TOKEN_SECRET is not set - using a random secret for this process");
+  }
+  accessTokenSecret = crypto.randomBytes(32).toString("hex");
+}
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+/**
+ * Encodes a value as unpadded base64url JSON.
+ * @param {object} value
+ * @returns {string}
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+/**
+ * Computes the HMAC-SHA256 signature for the signed part of a token.
+ * @param {string} signingInput - `header.payload`
+ * @returns {Buffer}
+ */
+function sign(signingInput) {
+  return crypto.createHmac("sha256", accessTokenSecret).update(signingInput).digest();
+}
+
+/**
+ * Returns the configured access token lifetime in seconds.
+ * @returns {number}
+ */
+function getAccessTokenTtl() {
+  const ttl = Number(process.env.ACCESS_TOKEN_TTL_SECONDS);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+}
+
+/**
+ * Issues a signed access token (JWT, HS256) for a user.
+ *
+ * @param {number} userId - The ID of the user the token identifies.
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds (defaults to ACCESS_TOKEN_TTL_SECONDS or 15 minutes).
+ * @param {number} [options.sessionId] - The session the token was issued for, so revoking it also revokes the token.
+ * @returns {string} The encoded token.
+ */
+function signAccessToken(userId, { expiresIn = getAccessTokenTtl(), sessionId } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: userId, typ: "access", iat: now, exp: now + expiresIn };
+  if (sessionId !== undefined) {
+    payload.sid = sessionId;
+  }
+  const signingInput = `${encodeSegment(HEADER)}.${encodeSegment(payload)}`;
+  return `${signingInput}.${sign(signingInput).toString("base64url")}`;
+}
+
+/**
+ * Verifies an access token's signature and expiry.
+ *
+ * @param {string} token - The encoded token.
+ * @returns {object} The token payload (`sub` holds the user ID, `sid` the session ID if any).
+ * @throws {UnauthorizedError} Throws if the token is malformed, tampered with or expired.
+ */
+function verifyAccessToken(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw new UnauthorizedError("Invalid access token");
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  const expected = sign(`${headerSegment}.${payloadSegment}`);
+  const actual = Buffer.from(signatureSegment, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new UnauthorizedError("Invalid access token");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(headerSegment, "base64url").toString());
+    payload = JSON.parse(Buffer.from(payloadSegment, "base64url").toString());
+  } catch {
+    throw new UnauthorizedError("Invalid access token");
+  }
+  if (header.alg !== HEADER.alg || payload.typ !== "access" || !Number.isInteger(payload.sub)) {
+    throw new UnauthorizedError("Invalid access token");
+  }
+  if (payload.sid !== undefined && !Number.isInteger(payload.sid)) {
+    throw new UnauthorizedError("Invalid access token");
+  }
+  if (!Number.isInteger(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new UnauthorizedError("Access token expired");
+  }
+  return payload;
+}
+
+export { signAccessToken, verifyAccessToken, getAccessTokenTtl };
@@ -0,0 +1,114 @@
+import { validate } from "./schema.js";
+import { isValidTimeZone } from "../services/local_time.js";
+
+const TIMEZONE_RULE = { type: "string", maxLength: 100 };
+
+const EQUITY_CURVE_SCHEMA = {
+  bucket: { type: "enum", values: ["day", "week", "month"] },
+  timezone: TIMEZONE_RULE,
+};
+
+const CALENDAR_SCHEMA = {
+  month: {
+    type: "string",
+    pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+    patternMessage: "must be a month (YYYY-MM)",
+  },
+  year: { type: "string", pattern: /^\d{4}$/, patternMessage: "must be a year (YYYY)" },
+  timezone: TIMEZONE_RULE,
+};
+
+const BREAKDOWN_SCHEMA = {
+  groupBy: { type: "enum", required: true, values: ["ticker", "direction", "subAccount", "tag"] },
+  sort: {
+    type: "enum",
+    values: ["key", "tradeCount", "winRate", "netPnl", "averagePnl", "totalCommission"],
+  },
+  order: { type: "enum", values: ["asc", "desc"] },
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIMING_SCHEMA = {
+  bucketMinutes: { type: "id" },
+  timezone: TIMEZONE_RULE,
+};
+
+/**
+ * Validates analytics options against a schema; a given time zone must be a known one.
+ * Unknown options are rejected.
+ *
+ * @param {object} schema
+ * @param {object} options
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateOptions(schema, options) {
+  const errors = validate(schema, options, { allowUnknown: false });
+  if (!errors.body && !errors.timezone && options.timezone !== undefined
+    && !isValidTimeZone(options.timezone)) {
+    errors.timezone = "must be an IANA time zone (e.g. America/New_York)";
+  }
+  return errors;
+}
+
+/**
+ * Validates equity curve options (see `getEquityCurve`).
+ *
+ * @param {object} options - `{ bucket?, timezone? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateEquityCurveOptions(options) {
+  return validateOptions(EQUITY_CURVE_SCHEMA, options);
+}
+
+/**
+ * Validates P&L calendar options (see `getPnlCalendar`): exactly one of month or year.
+ *
+ * @param {object} options - `{ month?, year?, timezone? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateCalendarOptions(options) {
+  const errors = validateOptions(CALENDAR_SCHEMA, options);
+  if (errors.body) {
+    return errors;
+  }
+  if (options.month === undefined && options.year === undefined) {
+    errors.month = "is required unless year is given";
+  } else if (options.month !== undefined && options.year !== undefined && !errors.year) {
+    errors.year = "cannot be combined with month";
+  }
+  return errors;
+}
+
+/**
+ * Validates breakdown report options (see `getBreakdown`).
+ *
+ * @param {object} options - `{ groupBy, sort?, order? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateBreakdownOptions(options) {
+  return validateOptions(BREAKDOWN_SCHEMA, options);
+}
+
+/**
+ * Validates timing analytics options (see `getTimingAnalytics`).
+ * The bucket size must split the day evenly (e.g. 15, 30 or 60 minutes).
+ *
+ * @param {object} options - `{ bucketMinutes?, timezone? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateTimingOptions(options) {
+  const errors = validateOptions(TIMING_SCHEMA, options);
+  if (!errors.body && !errors.bucketMinutes && options.bucketMinutes !== undefined
+    && MINUTES_PER_DAY % options.bucketMinutes !== 0) {
+    errors.bucketMinutes = `must divide a day (${MINUTES_PER_DAY} minutes) evenly`;
+  }
+  return errors;
+}
+
+export {
+  validateEquityCurveOptions,
+  validateCalendarOptions,
+  validateBreakdownOptions,
+  validateTimingOptions,
+};
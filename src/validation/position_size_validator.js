@@ -0,0 +1,45 @@
+import { validate } from "./schema.js";
+
+const POSITIVE_RULE = { type: "number", required: true, min: 0, exclusiveMin: true };
+
+const POSITION_SIZE_SCHEMA = {
+  subAccountId: { type: "id", nullable: true },
+  accountSize: POSITIVE_RULE,
+  riskPercent: POSITIVE_RULE,
+  entryPrice: POSITIVE_RULE,
+  stopPrice: POSITIVE_RULE,
+  direction: { type: "enum", values: ["long", "short"] },
+  lotSize: { type: "number", min: 0, exclusiveMin: true },
+};
+
+/**
+ * Validates a position size request (see `calculatePositionSize`).
+ * The risk is a percentage of the account, and the stop must be on the losing side of the
+ * entry: below it for a long, above it for a short. Unknown fields are rejected.
+ *
+ * @param {object} input - `{ subAccountId?, accountSize, riskPercent, entryPrice, stopPrice,
+ *   direction?, lotSize? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validatePositionSize(input) {
+  const errors = validate(POSITION_SIZE_SCHEMA, input, { allowUnknown: false });
+  if (errors.body) {
+    return errors;
+  }
+  if (!errors.riskPercent && input.riskPercent > 100) {
+    errors.riskPercent = "must be at most 100";
+  }
+  if (errors.entryPrice || errors.stopPrice || errors.direction) {
+    return errors;
+  }
+  if (input.stopPrice === input.entryPrice) {
+    errors.stopPrice = "must differ from entryPrice";
+  } else if (input.direction === "long" && input.stopPrice > input.entryPrice) {
+    errors.stopPrice = "must be below the entry price for a long trade";
+  } else if (input.direction === "short" && input.stopPrice < input.entryPrice) {
+    errors.stopPrice = "must be above the entry price for a short trade";
+  }
+  return errors;
+}
+
+export { validatePositionSize };
@@ -0,0 +1,161 @@
+/**
+ * A tiny declarative validator for request/repository payloads.
+ *
+ * A schema maps field names to rules:
+ *   { quantity: { type: "number", required: true, min: 0, exclusiveMin: true } }
+ *
+ * Supported rule keys:
+ *   type      - "id" | "ids" | "number" | "string" | "date" | "enum"
+ *   required  - the field must be present (ignored for partial validation)
+ *   nullable  - null is accepted as "no value"
+ *   min, exclusiveMin - lower bound for numbers
+ *   maxLength - upper bound for strings
+ *   pattern, patternMessage - regular expression a string must match
+ *   values    - allowed values for "enum"
+ *
+ * "ids" is a list of distinct positive integers, e.g. [1, 4].
+ */
+
+import { ValidationError } from "../errors/app_errors.js";
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+// A timestamp without "Z" or an offset, e.g. 2024-01-05T14:30
+const LOCAL_TIMESTAMP_PATTERN = /T[\d:.]+$/;
+
+/**
+ * Parses an ISO 8601 date/timestamp string.
+ * Timestamps without an offset are read as UTC, like SQLite does, rather than in the
+ * server's time zone.
+ * @param {*} value
+ * @returns {number} Milliseconds since the epoch, or NaN if the value is not an ISO date.
+ */
+function parseISODate(value) {
+  if (typeof value !== "string" || !ISO_DATE_PATTERN.test(value)) {
+    return NaN;
+  }
+  return Date.parse(LOCAL_TIMESTAMP_PATTERN.test(value) ? `${value}Z` : value);
+}
+
+/**
+ * Puts a valid ISO 8601 date/timestamp in the form it is stored and compared in.
+ * Timestamps become UTC ("...Z") so they sort and compare correctly as text; plain dates
+ * (YYYY-MM-DD) have no time zone and are kept as they are.
+ * @param {string} value - A value that passed the "date" rule.
+ * @returns {string}
+ */
+function toStoredDate(value) {
+  return value.includes("T") ? new Date(parseISODate(value)).toISOString() : value;
+}
+
+/**
+ * Checks a single present, non-null value against its rule.
+ * @param {*} value
+ * @param {object} rule
+ * @returns {string|null} An error message, or null if the value is valid.
+ */
+function checkValue(value, rule) {
+  switch (rule.type) {
+  case "id":
+    return Number.isInteger(value) && value > 0 ? null : "must be a positive integer";
+  case "ids":
+    if (!Array.isArray(value) || !value.every((id) => Number.isInteger(id) && id > 0)) {
+      return "must be a list of positive integers";
+    }
+    return new Set(value).size === value.length ? null : "must not repeat an id";
+  case "number": {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return "must be a number";
+    }
+    if (rule.min !== undefined) {
+      if (rule.exclusiveMin && value <= rule.min) {
+        return `must be greater than ${rule.min}`;
+      }
+      if (!rule.exclusiveMin && value < rule.min) {
+        return `must be at least ${rule.min}`;
+      }
+    }
+    return null;
+  }
+  case "string":
+    if (typeof value !== "string") {
+      return "must be a string";
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return rule.patternMessage || "has an invalid format";
+    }
+    return null;
+  case "date":
+    return Number.isNaN(parseISODate(value)) ? "must be an ISO 8601 date" : null;
+  case "enum":
+    return rule.values.includes(value) ? null : `must be one of: ${rule.values.join(", ")}`;
+  default:
+    throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+}
+
+/**
+ * Validates an input object against a schema.
+ *
+ * @param {object} schema - Field rules (see the top of this file).
+ * @param {object} input - The payload to check.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Skip `required` checks (for updates).
+ * @param {boolean} [options.allowUnknown=true] - Accept fields the schema doesn't list.
+ * @returns {object} Field name to error message; empty when the input is valid.
+ */
+function validate(schema, input, { partial = false, allowUnknown = true } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { body: "must be an object" };
+  }
+
+  const errors = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = input[field];
+    if (value === undefined) {
+      if (rule.required && !partial) {
+        errors[field] = "is required";
+      }
+      continue;
+    }
+    if (value === null) {
+      if (!rule.nullable) {
+        errors[field] = rule.required ? "is required" : "cannot be null";
+      }
+      continue;
+    }
+    if (rule.required && typeof value === "string" && !value.trim()) {
+      errors[field] = "cannot be empty";
+      continue;
+    }
+    const message = checkValue(value, rule);
+    if (message) {
+      errors[field] = message;
+    }
+  }
+
+  if (!allowUnknown) {
+    for (const field of Object.keys(input)) {
+      if (!(field in schema)) {
+        errors[field] = "is not an allowed field";
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Throws a ValidationError if `errors` has any entries.
+ * @param {object} errors - Result of `validate` (or a validator built on it).
+ * @param {string} message - Summary for the error.
+ * @throws {ValidationError}
+ */
+function assertValid(errors, message) {
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError(message, errors);
+  }
+}
+
+export { validate, assertValid, parseISODate, toStoredDate };
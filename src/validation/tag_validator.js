@@ -0,0 +1,37 @@
+import { validate } from "./schema.js";
+
+const MAX_NAME_LENGTH = 50;
+
+const TAG_SCHEMA = {
+  name: {
+    type: "string",
+    required: true,
+    maxLength: MAX_NAME_LENGTH,
+    pattern: /^\S(.*\S)?$/,
+    patternMessage: "must not start or end with whitespace",
+  },
+  // A setup/strategy label or a mistake; null for anything else
+  category: { type: "enum", values: ["setup", "mistake"], nullable: true },
+};
+
+/**
+ * Validates the data for a new tag. Unknown fields are rejected.
+ *
+ * @param {object} tagData - `{ name, category? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateCreateTag(tagData) {
+  return validate(TAG_SCHEMA, tagData, { allowUnknown: false });
+}
+
+/**
+ * Validates a partial update of a tag. Unknown fields are rejected.
+ *
+ * @param {object} updates - e.g. `{ name: "Breakout" }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateUpdateTag(updates) {
+  return validate(TAG_SCHEMA, updates, { partial: true, allowUnknown: false });
+}
+
+export { validateCreateTag, validateUpdateTag };
@@ -0,0 +1,322 @@
+import { validate, parseISODate } from "./schema.js";
+
+const DIRECTIONS = ["long", "short"];
+const STATUSES = ["open", "closed"];
+
+// Letters, digits and the separators brokers use (BRK.B, BTC-USD, ES=F, ^SPX, EUR/USD)
+const TICKER_RULE = {
+  type: "string",
+  required: true,
+  maxLength: 20,
+  pattern: /^[A-Za-z0-9.\-_/:=^]+$/,
+  patternMessage: "may only contain letters, digits and . - _ / : = ^",
+};
+const NOTES_RULE = { type: "string", nullable: true, maxLength: 10000 };
+const COMMISSION_RULE = { type: "number", nullable: true, min: 0 };
+const PRICE_RULE = { type: "number", min: 0, exclusiveMin: true };
+const RISK_RULES = {
+  stopPrice: { ...PRICE_RULE, nullable: true },
+  targetPrice: { ...PRICE_RULE, nullable: true },
+  riskAmount: { type: "number", nullable: true, min: 0, exclusiveMin: true },
+};
+
+const CREATE_TRADE_SCHEMA = {
+  userId: { type: "id", required: true },
+  subAccountId: { type: "id", nullable: true },
+  ticker: TICKER_RULE,
+  quantity: { type: "number", required: true, min: 0, exclusiveMin: true },
+  entryPrice: { ...PRICE_RULE, required: true },
+  direction: { type: "enum", required: true, values: DIRECTIONS },
+  entryDate: { type: "date", required: true },
+  exitDate: { type: "date", nullable: true },
+  exitPrice: { ...PRICE_RULE, nullable: true },
+  notes: NOTES_RULE,
+  commission: COMMISSION_RULE,
+  status: { type: "enum", values: STATUSES },
+  ...RISK_RULES,
+  tagIds: { type: "ids" },
+};
+
+const CLOSE_TRADE_SCHEMA = {
+  exitPrice: { ...PRICE_RULE, required: true },
+  exitDate: { type: "date", required: true },
+  notes: NOTES_RULE,
+  commission: COMMISSION_RULE,
+};
+
+const EXECUTION_SCHEMA = {
+  side: { type: "enum", required: true, values: ["buy", "sell"] },
+  quantity: { type: "number", required: true, min: 0, exclusiveMin: true },
+  price: { ...PRICE_RULE, required: true },
+  executedAt: { type: "date", required: true },
+  fees: { type: "number", nullable: true, min: 0 },
+};
+
+const UPDATE_TRADE_SCHEMA = {
+  notes: NOTES_RULE,
+  commission: COMMISSION_RULE,
+  ...RISK_RULES,
+  addTagIds: { type: "ids" },
+  removeTagIds: { type: "ids" },
+};
+
+// Fields searchTrades can sort by (see SORT_COLUMNS in trade_repository.js)
+const TRADE_SORT_FIELDS = [
+  "id",
+  "ticker",
+  "direction",
+  "status",
+  "subAccountId",
+  "quantity",
+  "remainingQuantity",
+  "entryPrice",
+  "exitPrice",
+  "entryDate",
+  "exitDate",
+  "commission",
+  "realizedR",
+  "plannedRR",
+  "pnl",
+  "grossPnl",
+  "pnlPercent",
+  "holdingSeconds",
+  "createdAt",
+  "updatedAt",
+];
+const MAX_SEARCH_LIMIT = 200;
+
+// Filters shared by trade search and the analytics over closed trades
+const TRADE_FILTER_SCHEMA = {
+  ticker: { ...TICKER_RULE, required: false },
+  direction: { type: "enum", values: DIRECTIONS },
+  subAccountId: { type: "id" },
+  entryFrom: { type: "date" },
+  entryTo: { type: "date" },
+  exitFrom: { type: "date" },
+  exitTo: { type: "date" },
+  pnl: { type: "enum", values: ["positive", "negative", "zero"] },
+  pnlMin: { type: "number" },
+  pnlMax: { type: "number" },
+  // Trades with all of these tags
+  tagIds: { type: "ids" },
+};
+
+const SEARCH_TRADES_SCHEMA = {
+  ...TRADE_FILTER_SCHEMA,
+  status: { type: "enum", values: STATUSES },
+  sort: { type: "enum", values: TRADE_SORT_FIELDS },
+  order: { type: "enum", values: ["asc", "desc"] },
+  limit: { type: "id" },
+  cursor: { type: "string", maxLength: 1000 },
+};
+
+const MAX_NOTES_SEARCH_LIMIT = 100;
+
+const SEARCH_NOTES_SCHEMA = {
+  query: { type: "string", required: true, maxLength: 200 },
+  limit: { type: "id" },
+};
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for undefined or null.
+ */
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Adds an exitDate error if both dates are valid and the exit is before the entry.
+ * @param {string} entryDate
+ * @param {string} exitDate
+ * @param {object} errors - Errors collected so far (mutated).
+ */
+function checkExitAfterEntry(entryDate, exitDate, errors) {
+  if (errors.entryDate || errors.exitDate || isMissing(entryDate) || isMissing(exitDate)) {
+    return;
+  }
+  if (parseISODate(exitDate) < parseISODate(entryDate)) {
+    errors.exitDate = "must not be before entryDate";
+  }
+}
+
+/**
+ * Adds stopPrice/targetPrice errors if they are on the wrong side of the entry:
+ * a long's stop must be below it and its target above, and the other way round for a short.
+ *
+ * @param {string} direction - 'long' or 'short'.
+ * @param {number} entryPrice
+ * @param {object} levels - `{ stopPrice?, targetPrice? }`; missing levels are skipped.
+ * @param {object} errors - Per-field errors so far (mutated).
+ */
+function checkRiskLevels(direction, entryPrice, levels, errors) {
+  if (!DIRECTIONS.includes(direction) || typeof entryPrice !== "number") {
+    return;
+  }
+  const below = direction === "long" ? "stopPrice" : "targetPrice";
+  const above = direction === "long" ? "targetPrice" : "stopPrice";
+  if (!errors[below] && !isMissing(levels[below]) && levels[below] >= entryPrice) {
+    errors[below] = `must be below the entry price for a ${direction} trade`;
+  }
+  if (!errors[above] && !isMissing(levels[above]) && levels[above] <= entryPrice) {
+    errors[above] = `must be above the entry price for a ${direction} trade`;
+  }
+}
+
+/**
+ * Validates the data for a new trade.
+ * Besides per-field rules, a closed trade needs exit details, an open one must not have them,
+ * the exit cannot precede the entry, and a stop or target must sit on the right side of the entry.
+ *
+ * @param {object} tradeData - Same shape as `createTrade`'s argument.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateCreateTrade(tradeData) {
+  const errors = validate(CREATE_TRADE_SCHEMA, tradeData);
+  if (errors.body) {
+    return errors;
+  }
+
+  if (!errors.status) {
+    const closed = tradeData.status === "closed";
+    for (const field of ["exitPrice", "exitDate"]) {
+      const present = !isMissing(tradeData[field]);
+      if (closed && !present && !errors[field]) {
+        errors[field] = "is required when status is 'closed'";
+      } else if (!closed && present) {
+        errors[field] = "is only allowed when status is 'closed'";
+      }
+    }
+  }
+  checkExitAfterEntry(tradeData.entryDate, tradeData.exitDate, errors);
+  if (!errors.direction && !errors.entryPrice) {
+    checkRiskLevels(tradeData.direction, tradeData.entryPrice, tradeData, errors);
+  }
+  return errors;
+}
+
+/**
+ * Validates the data for closing a trade.
+ *
+ * @param {object} closeData - `{ exitPrice, exitDate, notes?, commission? }`.
+ * @param {string} [entryDate] - The trade's entry date; when given, the exit must not precede it.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateCloseTrade(closeData, entryDate) {
+  const errors = validate(CLOSE_TRADE_SCHEMA, closeData);
+  if (!errors.body) {
+    checkExitAfterEntry(entryDate, closeData.exitDate, errors);
+  }
+  return errors;
+}
+
+/**
+ * Validates a partial update of a trade's editable details.
+ * Fields that can't be edited are reported as errors rather than silently ignored.
+ *
+ * @param {object} updates - e.g. `{ notes: "...", commission: 2, stopPrice: 95, addTagIds: [3] }`.
+ * @param {object} [trade] - The stored trade (`direction`, `entry_price`); when given, a new
+ *   stop or target must sit on the right side of its entry.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateUpdateTrade(updates, trade) {
+  const errors = validate(UPDATE_TRADE_SCHEMA, updates, { partial: true, allowUnknown: false });
+  if (errors.body) {
+    return errors;
+  }
+  if (trade) {
+    checkRiskLevels(trade.direction, trade.entry_price, updates, errors);
+  }
+  if (!errors.addTagIds && !errors.removeTagIds
+    && updates.removeTagIds?.some((id) => updates.addTagIds?.includes(id))) {
+    errors.removeTagIds = "cannot remove a tag that is being added";
+  }
+  return errors;
+}
+
+/**
+ * Validates a fill to add to a trade (see `addExecution`).
+ * Unknown fields are rejected.
+ *
+ * @param {object} execution - `{ side, quantity, price, executedAt, fees? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateExecution(execution) {
+  return validate(EXECUTION_SCHEMA, execution, { allowUnknown: false });
+}
+
+/**
+ * Adds the checks that span several filters: ranges must not end before they start.
+ *
+ * @param {object} filters
+ * @param {object} errors - Per-field errors so far (mutated).
+ * @returns {object} `errors`.
+ */
+function checkFilterRanges(filters, errors) {
+  for (const [from, to] of [["entryFrom", "entryTo"], ["exitFrom", "exitTo"]]) {
+    if (errors[from] || errors[to] || isMissing(filters[from]) || isMissing(filters[to])) {
+      continue;
+    }
+    if (parseISODate(filters[to]) < parseISODate(filters[from])) {
+      errors[to] = `must not be before ${from}`;
+    }
+  }
+  if (!errors.pnlMin && !errors.pnlMax && filters.pnlMax < filters.pnlMin) {
+    errors.pnlMax = "must not be less than pnlMin";
+  }
+  return errors;
+}
+
+/**
+ * Validates trade search criteria (see `searchTrades`).
+ * Unknown criteria are rejected so a typo doesn't silently widen the search.
+ *
+ * @param {object} criteria - Filters, sort and paging options.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateSearchTrades(criteria) {
+  const errors = validate(SEARCH_TRADES_SCHEMA, criteria, { allowUnknown: false });
+  if (errors.body) {
+    return errors;
+  }
+  if (!errors.limit && criteria.limit > MAX_SEARCH_LIMIT) {
+    errors.limit = `must be at most ${MAX_SEARCH_LIMIT}`;
+  }
+  return checkFilterRanges(criteria, errors);
+}
+
+/**
+ * Validates filters over a user's closed trades (see `findAllClosedTrades`).
+ * Unknown filters are rejected.
+ *
+ * @param {object} filters - The filters of `searchTrades`, without status, sort or paging.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateTradeFilters(filters) {
+  const errors = validate(TRADE_FILTER_SCHEMA, filters, { allowUnknown: false });
+  return errors.body ? errors : checkFilterRanges(filters, errors);
+}
+
+/**
+ * Validates a full-text search over trade notes (see `searchTradeNotes`).
+ *
+ * @param {object} criteria - `{ query, limit? }`.
+ * @returns {object} Field name to error message; empty when valid.
+ */
+function validateSearchNotes(criteria) {
+  const errors = validate(SEARCH_NOTES_SCHEMA, criteria, { allowUnknown: false });
+  if (!errors.body && !errors.limit && criteria.limit > MAX_NOTES_SEARCH_LIMIT) {
+    errors.limit = `must be at most ${MAX_NOTES_SEARCH_LIMIT}`;
+  }
+  return errors;
+}
+
+export {
+  validateCreateTrade,
+  validateCloseTrade,
+  validateUpdateTrade,
+  validateExecution,
+  validateSearchTrades,
+  validateTradeFilters,
+  validateSearchNotes,
+};
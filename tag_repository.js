@@ -0,0 +1,197 @@
+// Every query runs against the active database context (see src/db/connection.js)
+import { run, get, all } from "./src/db/query.js";
+import { ForeignKeyError } from "./src/errors/app_errors.js";
+import { assertValid } from "./src/validation/schema.js";
+import { validateCreateTag, validateUpdateTag } from "./src/validation/tag_validator.js";
+
+// updateTag fields (API name -> column)
+const UPDATABLE_COLUMNS = {
+  name: "name",
+  category: "category",
+};
+
+/**
+ * Creates a new tag for a user.
+ *
+ * @param {number} userId - The ID of the user owning the tag.
+ * @param {object} tagData
+ * @param {string} tagData.name - e.g. 'Breakout' (unique per user, ignoring case).
+ * @param {string} [tagData.category] - 'setup', 'mistake' or null.
+ * @returns {Promise<number>} A promise that resolves with the ID of the newly created tag.
+ * @throws {ValidationError} Throws with per-field details if the tag data is invalid.
+ * @throws {ConflictError} Throws if the user already has a tag with that name.
+ */
+async function createTag(userId, tagData) {
+  assertValid(validateCreateTag(tagData), "Invalid tag");
+  const now = new Date().toISOString();
+  const sql = `
+    INSERT INTO tags (user_id, name, category, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const { lastID } = await run(sql, [userId, tagData.name, tagData.category ?? null, now, now]);
+  console.log("Tag created with ID:", lastID);
+  return lastID;
+}
+
+/**
+ * Finds all tags of a user, by name, with how many trades each labels.
+ *
+ * @param {number} userId - The ID of the user whose tags are retrieved.
+ * @returns {Promise<Array>} A promise that resolves with the tags (empty array if none).
+ */
+function findTagsByUserId(userId) {
+  const sql = `
+    SELECT tags.*, COUNT(trade_tags.trade_id) AS trade_count
+    FROM tags
+    LEFT JOIN trade_tags ON trade_tags.tag_id = tags.id
+    WHERE tags.user_id = ?
+    GROUP BY tags.id
+    ORDER BY tags.name, tags.id
+  `;
+  return all(sql, [userId]);
+}
+
+/**
+ * Finds a single tag by its ID, if it belongs to the acting user.
+ *
+ * @param {number} id - The ID of the tag.
+ * @param {number} userId - The ID of the acting user.
+ * @returns {Promise<object|null>} The tag, or null if not found (including other users' tags).
+ */
+async function findTagById(id, userId) {
+  const row = await get("SELECT * FROM tags WHERE id = ? AND user_id = ?", [id, userId]);
+  return row || null;
+}
+
+/**
+ * Renames or recategorizes a tag.
+ *
+ * @param {number} id - The ID of the tag to update.
+ * @param {number} userId - The ID of the acting user (only their tags are updated).
+ * @param {object} updates - `{ name?, category? }`.
+ * @returns {Promise<boolean>} True if the tag was updated; false if there was nothing to
+ *   update or it wasn't found (or is owned by another user).
+ * @throws {ValidationError} Throws if a value is invalid.
+ * @throws {ConflictError} Throws if the user already has a tag with the new name.
+ */
+async function updateTag(id, userId, updates) {
+  assertValid(validateUpdateTag(updates), "Invalid tag update");
+  const fields = Object.keys(UPDATABLE_COLUMNS).filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    return false;
+  }
+  const sql = `
+    UPDATE tags
+    SET ${fields.map((field) => `${UPDATABLE_COLUMNS[field]} = ?`).join(", ")}, updated_at = ?
+    WHERE id = ? AND user_id = ?
+  `;
+  const params = [...fields.map((field) => updates[field]), new Date().toISOString(), id, userId];
+  const { changes } = await run(sql, params);
+  console.log(`Updated tag with ID: ${id}. Rows affected: ${changes}`);
+  return changes > 0;
+}
+
+/**
+ * Deletes a tag; the trades it labelled keep their other tags.
+ *
+ * @param {number} id - The ID of the tag to delete.
+ * @param {number} userId - The ID of the acting user (only their tags are deleted).
+ * @returns {Promise<boolean>} True if the tag was deleted, false if not found.
+ */
+async function deleteTag(id, userId) {
+  const { changes } = await run("DELETE FROM tags WHERE id = ? AND user_id = ?", [id, userId]);
+  console.log(`Deleted tag with ID: ${id}. Rows affected: ${changes}`);
+  return changes > 0;
+}
+
+/**
+ * Makes sure every tag belongs to the user, before linking them to one of their trades.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number[]} tagIds - Distinct tag IDs; nothing is checked when empty.
+ * @param {number} userId - The acting user's ID.
+ * @param {string} field - The request field the IDs came from, for the error details.
+ * @throws {ForeignKeyError} Throws if the user has no such tag.
+ */
+async function assertOwnedTags(tx, tagIds, userId, field) {
+  if (tagIds.length === 0) {
+    return;
+  }
+  const sql = `
+    SELECT COUNT(*) AS count FROM tags
+    WHERE user_id = ? AND id IN (SELECT value FROM json_each(?))
+  `;
+  const { count } = await tx.get(sql, [userId, JSON.stringify(tagIds)]);
+  if (count !== tagIds.length) {
+    throw new ForeignKeyError("Tag not found", {
+      details: { [field]: "contains a tag that does not exist" },
+    });
+  }
+}
+
+/**
+ * Links tags to a trade; tags it already has are skipped.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number} tradeId
+ * @param {number[]} tagIds - Tags checked with `assertOwnedTags`.
+ */
+async function attachTags(tx, tradeId, tagIds) {
+  for (const tagId of tagIds) {
+    await tx.run("INSERT OR IGNORE INTO trade_tags (trade_id, tag_id) VALUES (?, ?)", [
+      tradeId,
+      tagId,
+    ]);
+  }
+}
+
+/**
+ * Unlinks tags from a trade; tags it doesn't have are skipped.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number} tradeId
+ * @param {number[]} tagIds
+ */
+async function detachTags(tx, tradeId, tagIds) {
+  await tx.run(
+    "DELETE FROM trade_tags WHERE trade_id = ? AND tag_id IN (SELECT value FROM json_each(?))",
+    [tradeId, JSON.stringify(tagIds)],
+  );
+}
+
+/**
+ * Loads the tags of many trades at once.
+ *
+ * @param {number[]} tradeIds
+ * @returns {Promise<Map<number, Array<{ id: number, name: string, category: string|null }>>>}
+ *   Tags by trade ID, each list by name; trades without tags are missing.
+ */
+async function findTagsByTradeIds(tradeIds) {
+  const tagsByTrade = new Map();
+  if (tradeIds.length === 0) {
+    return tagsByTrade;
+  }
+  const sql = `
+    SELECT trade_tags.trade_id, tags.id, tags.name, tags.category
+    FROM trade_tags
+    JOIN tags ON tags.id = trade_tags.tag_id
+    WHERE trade_tags.trade_id IN (SELECT value FROM json_each(?))
+    ORDER BY tags.name, tags.id
+  `;
+  for (const { trade_id: tradeId, ...tag } of await all(sql, [JSON.stringify(tradeIds)])) {
+    tagsByTrade.set(tradeId, [...(tagsByTrade.get(tradeId) || []), tag]);
+  }
+  return tagsByTrade;
+}
+
+export {
+  createTag,
+  findTagsByUserId,
+  findTagById,
+  updateTag,
+  deleteTag,
+  assertOwnedTags,
+  attachTags,
+  detachTags,
+  findTagsByTradeIds,
+};
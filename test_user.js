@@ -1,9 +1,16 @@
 import { createUserWithSettings, findUserById, findUserByEmail } from "./user_repository.js";
+import { hashPassword } from "./src/services/auth_service.js";
+import { createDatabaseContext, useDatabaseContext } from "./src/db/connection.js";
+import { migrate } from "./src/db/migrator.js";
 
 async function main() {
+  const context = await createDatabaseContext();
+  await migrate(context.db);
+  useDatabaseContext(context);
+
   const username = "testuser";
   const email = "testuser@example.com";
-  const passwordHash = "testpasswordhash";
+  const passwordHash = await hashPassword("testpassword");
 
   const userId = await createUserWithSettings(
     username,
@@ -18,6 +25,8 @@ async function main() {
 
   const userByEmail = await findUserByEmail(email);
   console.log("User found by email:", userByEmail);
+
+  await context.close();
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,196 @@
+// Every query runs against the active database context (see src/db/connection.js)
+import { all, withTransaction } from "./src/db/query.js";
+import { ConflictError } from "./src/errors/app_errors.js";
+import { assertValid, parseISODate, toStoredDate } from "./src/validation/schema.js";
+import { validateExecution } from "./src/validation/trade_validator.js";
+
+// Remaining quantities closer to zero than this are flat (floating point leftovers of partials)
+const QUANTITY_EPSILON = 1e-9;
+
+/**
+ * The side of a fill that adds to a position: buying opens a long, selling opens a short.
+ * @param {string} direction - 'long' or 'short'.
+ * @returns {string} 'buy' or 'sell'.
+ */
+function openingSide(direction) {
+  return direction === "short" ? "sell" : "buy";
+}
+
+/**
+ * The side of a fill that reduces a position.
+ * @param {string} direction - 'long' or 'short'.
+ * @returns {string} 'buy' or 'sell'.
+ */
+function closingSide(direction) {
+  return direction === "short" ? "buy" : "sell";
+}
+
+/**
+ * Derives a trade's position from its fills.
+ *
+ * @param {string} direction - 'long' or 'short'.
+ * @param {Array<object>} executions - Fill rows, oldest first.
+ * @returns {object|null} Column values for the trade, or null if it has no opening fill.
+ */
+function summarizeExecutions(direction, executions) {
+  const side = openingSide(direction);
+  const entries = executions.filter((e) => e.side === side);
+  const exits = executions.filter((e) => e.side !== side);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const total = (fills) => fills.reduce((sum, e) => sum + e.quantity, 0);
+  const averagePrice = (fills) =>
+    fills.reduce((sum, e) => sum + e.quantity * e.price, 0) / total(fills);
+
+  const quantity = total(entries);
+  let remaining = quantity - total(exits);
+  if (Math.abs(remaining) < QUANTITY_EPSILON) {
+    remaining = 0;
+  }
+  const closed = remaining === 0;
+  return {
+    quantity,
+    entry_price: averagePrice(entries),
+    entry_date: entries[0].executed_at,
+    exit_price: exits.length ? averagePrice(exits) : null,
+    exit_date: closed ? exits[exits.length - 1].executed_at : null,
+    remaining_quantity: remaining,
+    status: closed ? "closed" : "open",
+  };
+}
+
+/**
+ * Inserts a fill without any checks. For use inside a transaction that syncs the trade after.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number} tradeId
+ * @param {object} execution - `{ side, quantity, price, executedAt, fees? }`.
+ * @returns {Promise<number>} The ID of the new fill.
+ */
+async function insertExecution(tx, tradeId, execution) {
+  const sql = `
+    INSERT INTO trade_executions (trade_id, side, quantity, price, fees, executed_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+  const { lastID } = await tx.run(sql, [
+    tradeId,
+    execution.side,
+    execution.quantity,
+    execution.price,
+    execution.fees ?? 0,
+    toStoredDate(execution.executedAt),
+    new Date().toISOString(),
+  ]);
+  return lastID;
+}
+
+/**
+ * Rewrites a trade's quantity, average entry/exit, dates, remaining quantity and status
+ * from its fills.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number} tradeId
+ */
+async function syncTradeWithExecutions(tx, tradeId) {
+  const trade = await tx.get("SELECT direction FROM trades WHERE id = ?", [tradeId]);
+  const executions = await tx.all(
+    "SELECT * FROM trade_executions WHERE trade_id = ? ORDER BY executed_at, id",
+    [tradeId],
+  );
+  const position = trade && summarizeExecutions(trade.direction, executions);
+  if (!position) {
+    return;
+  }
+  const columns = Object.keys(position);
+  const sql = `
+    UPDATE trades
+    SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = ?
+    WHERE id = ?
+  `;
+  await tx.run(sql, [...Object.values(position), new Date().toISOString(), tradeId]);
+}
+
+/**
+ * Adds a fill to one of the user's open trades and updates the trade from its fills.
+ * Fills on the trade's opening side scale in; the other side takes (partial) exits.
+ * The trade closes once exits cover its whole quantity. Fees are added to its commission.
+ *
+ * @param {number} tradeId - The ID of the trade.
+ * @param {number} userId - The ID of the acting user (only their trades are changed).
+ * @param {object} execution
+ * @param {string} execution.side - 'buy' or 'sell'.
+ * @param {number} execution.quantity - Must be > 0; exits can't exceed the remaining quantity.
+ * @param {number} execution.price - Must be > 0.
+ * @param {string} execution.executedAt - Timestamp (ISO 8601 format) of the fill.
+ * @param {number} [execution.fees=0] - Commission and fees paid for the fill.
+ * @returns {Promise<number|null>} A promise that resolves with the ID of the new fill,
+ *   or null if the trade was not found.
+ * @throws {ValidationError} Throws if the fill is invalid or exits more than is left.
+ * @throws {ConflictError} Throws if the trade is already closed.
+ */
+async function addExecution(tradeId, userId, execution) {
+  assertValid(validateExecution(execution), "Invalid execution");
+
+  return withTransaction(async (tx) => {
+    const trade = await tx.get(
+      "SELECT * FROM trades WHERE id = ? AND user_id = ?",
+      [tradeId, userId],
+    );
+    if (!trade) {
+      return null;
+    }
+    if (trade.status === "closed") {
+      throw new ConflictError("Trade is already closed");
+    }
+    if (execution.side === closingSide(trade.direction)) {
+      const errors = {};
+      if (execution.quantity > trade.remaining_quantity + QUANTITY_EPSILON) {
+        errors.quantity = `must not exceed the remaining quantity (${trade.remaining_quantity})`;
+      }
+      if (parseISODate(execution.executedAt) < parseISODate(trade.entry_date)) {
+        errors.executedAt = "must not be before the trade's entry";
+      }
+      assertValid(errors, "Invalid execution");
+    }
+
+    const executionId = await insertExecution(tx, tradeId, execution);
+    if (execution.fees) {
+      await tx.run(
+        "UPDATE trades SET commission = COALESCE(commission, 0) + ? WHERE id = ?",
+        [execution.fees, tradeId],
+      );
+    }
+    await syncTradeWithExecutions(tx, tradeId);
+    return executionId;
+  });
+}
+
+/**
+ * Finds the fills of one of the user's trades, oldest first.
+ *
+ * @param {number} tradeId - The ID of the trade.
+ * @param {number} userId - The ID of the acting user.
+ * @returns {Promise<Array>} A promise that resolves with the fills
+ *   (empty array if the trade has none or isn't the user's).
+ * @throws {Error} Throws an error if the database query fails.
+ */
+function findExecutionsByTradeId(tradeId, userId) {
+  const sql = `
+    SELECT e.* FROM trade_executions e
+    JOIN trades t ON t.id = e.trade_id
+    WHERE e.trade_id = ? AND t.user_id = ?
+    ORDER BY e.executed_at, e.id
+  `;
+  return all(sql, [tradeId, userId]);
+}
+
+export {
+  addExecution,
+  findExecutionsByTradeId,
+  insertExecution,
+  syncTradeWithExecutions,
+  openingSide,
+  closingSide,
+};
@@ -1,34 +1,113 @@
-// Import the database connection based on environment
-import process from "process";
-
-// Dynamically import the appropriate database connection based on environment
-let db;
-if (process.env.NODE_ENV === "test") {
-  // For test environment, we'll use the database connection passed to the test
-  // The actual db instance will be set during test setup
-  db = null;
-} else {
-  // For non-test environments, import the regular database
-  // Using a dynamic import would be better, but for simplicity we'll use a require-like approach
-  const dbModule = await import("./src/db/database_test_env.js");
-  db = dbModule.default;
+// Every query runs against the active database context (see src/db/connection.js)
+import { run, get, all, withTransaction } from "./src/db/query.js";
+import { encodeCursor, decodeCursor } from "./src/db/cursor.js";
+import { ForeignKeyError, ValidationError } from "./src/errors/app_errors.js";
+import { assertValid, toStoredDate } from "./src/validation/schema.js";
+import {
+  validateCreateTrade,
+  validateCloseTrade,
+  validateUpdateTrade,
+  validateSearchTrades,
+  validateTradeFilters,
+  validateSearchNotes,
+} from "./src/validation/trade_validator.js";
+import {
+  insertExecution,
+  syncTradeWithExecutions,
+  openingSide,
+  closingSide,
+} from "./trade_execution_repository.js";
+import {
+  assertOwnedTags,
+  attachTags,
+  detachTags,
+  findTagsByTradeIds,
+} from "./tag_repository.js";
+
+// searchTrades sort fields (API name -> SQL expression)
+const SORT_COLUMNS = {
+  id: "id",
+  ticker: "ticker",
+  direction: "direction",
+  status: "status",
+  subAccountId: "sub_account_id",
+  quantity: "quantity",
+  remainingQuantity: "remaining_quantity",
+  entryPrice: "entry_price",
+  exitPrice: "exit_price",
+  entryDate: "entry_date",
+  exitDate: "exit_date",
+  commission: "commission",
+  pnl: "net_pnl",
+  grossPnl: "gross_pnl",
+  pnlPercent: "pnl_percent",
+  holdingSeconds: "holding_seconds",
+  plannedRR: "planned_rr",
+  realizedR: "realized_r",
+  createdAt: "created_at",
+  updatedAt: "updated_at",
+};
+
+// updateTradeDetails fields (API name -> column)
+const UPDATABLE_COLUMNS = {
+  notes: "notes",
+  commission: "commission",
+  stopPrice: "stop_price",
+  targetPrice: "target_price",
+  riskAmount: "risk_amount",
+};
+
+// net_pnl (see src/db/migrations/004_trade_pnl.js) is NULL while open: these match closed trades
+const PNL_SIGN_SQL = {
+  positive: "net_pnl > 0",
+  negative: "net_pnl < 0",
+  zero: "net_pnl = 0",
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Makes sure a sub-account a trade links to belongs to the trade's user.
+ * Another user's sub-account is reported like a missing one so ids don't leak.
+ *
+ * @param {object} tx - Query runner of the surrounding transaction.
+ * @param {number|null|undefined} subAccountId - Nothing is checked when empty.
+ * @param {number} userId - The acting user's ID.
+ * @throws {ForeignKeyError} Throws if the user has no such sub-account.
+ */
+async function assertOwnedSubAccount(tx, subAccountId, userId) {
+  if (subAccountId === null || subAccountId === undefined) {
+    return;
+  }
+  const sql = "SELECT 1 FROM sub_accounts WHERE id = ? AND user_id = ?";
+  if (!(await tx.get(sql, [subAccountId, userId]))) {
+    throw new ForeignKeyError("Sub-account not found", {
+      details: { subAccountId: "does not exist" },
+    });
+  }
 }
 
 /**
- * Sets the database connection to use for all repository functions.
- * This is primarily used for testing to inject a test database.
- * @param {Object} database - The database connection to use
+ * Adds each trade's tags (`{ id, name, category }`, by name) as a `tags` list.
+ *
+ * @param {Array<object>} trades - Trade rows (mutated).
+ * @returns {Promise<Array<object>>} The same rows.
  */
-function setDatabaseConnection(database) {
-  db = database;
+async function withTags(trades) {
+  const tagsByTrade = await findTagsByTradeIds(trades.map((trade) => trade.id));
+  for (const trade of trades) {
+    trade.tags = tagsByTrade.get(trade.id) || [];
+  }
+  return trades;
 }
 
 /**
  * Creates a new trade record (defaults to 'open' status)
+ * The entry (and the exit of a closed trade) is recorded as the trade's first fill(s).
  * 
  * @param {object} tradeData - Object containing trade details.
  * @param {number} tradeData.userId - The ID of the user making the trade.
- * @param {number} tradeData.subAccountId - The ID of the sub-account associated with the trade.
+ * @param {number} tradeData.subAccountId - The ID of the sub-account associated with the trade (must belong to the user).
  * @param {string} tradeData.ticker - The ticker symbol traded (e.g., 'AAPL').
  * @param {number} tradeData.quantity - The number of shares (must be > 0).
  * @param {number} tradeData.entryPrice - The entry price of the trade.
@@ -39,83 +118,96 @@ function setDatabaseConnection(database) {
  * @param {string} [tradeData.notes] - Optional notes for the trade.
  * @param {number} [tradeData.commission] - Optional commission for the trade.
  * @param {string} [tradeData.status] - The status of the trade ('open' or 'closed').
+ * @param {number} [tradeData.stopPrice] - Optional initial stop price (below entry for a long).
+ * @param {number} [tradeData.targetPrice] - Optional profit target (above entry for a long).
+ * @param {number} [tradeData.riskAmount] - Optional amount risked; overrides the stop-based risk.
+ * @param {number[]} [tradeData.tagIds] - Optional IDs of the user's tags to label the trade with.
  * @returns {Promise<number>} A promise that resolves with the ID of the newly created trade.
+ * @throws {ValidationError} Throws with per-field details if the trade data is invalid.
+ * @throws {ForeignKeyError} Throws if the sub-account or a tag is missing or another user's.
  * @throws {Error} Throws an error if the trade could not be created.
  */
-function createTrade(tradeData) {
-  return new Promise((resolve, reject) => {
-    const now = new Date().toISOString();
-    const sql = `
-      INSERT INTO trades (
-        user_id,
-        sub_account_id,
-        ticker,
-        quantity,
-        entry_price,
-        direction,
-        entry_date,
-        exit_date,
-        exit_price,
-        notes,
-        commission,
-        status,
-        created_at,
-        updated_at
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    const params = [
-      tradeData.userId,
-      tradeData.subAccountId,
-      tradeData.ticker,
-      tradeData.quantity,
-      tradeData.entryPrice,
-      tradeData.direction,
-      tradeData.entryDate,
-      tradeData.exitDate,
-      tradeData.exitPrice,
-      tradeData.notes,
-      tradeData.commission,
-      tradeData.status || "open",
-      now,
-      now,
-    ];
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("Error creating trade:", err.message);
-        reject(err);
-      } else {
-        console.log("Trade created with ID:", this.lastID);
-        resolve(this.lastID);
-      }
+async function createTrade(tradeData) {
+  assertValid(validateCreateTrade(tradeData), "Invalid trade");
+  const now = new Date().toISOString();
+  const sql = `
+    INSERT INTO trades (
+      user_id,
+      sub_account_id,
+      ticker,
+      quantity,
+      entry_price,
+      direction,
+      entry_date,
+      exit_date,
+      exit_price,
+      notes,
+      commission,
+      status,
+      stop_price,
+      target_price,
+      risk_amount,
+      created_at,
+      updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  const params = [
+    tradeData.userId,
+    tradeData.subAccountId,
+    tradeData.ticker,
+    tradeData.quantity,
+    tradeData.entryPrice,
+    tradeData.direction,
+    toStoredDate(tradeData.entryDate),
+    tradeData.exitDate && toStoredDate(tradeData.exitDate),
+    tradeData.exitPrice,
+    tradeData.notes,
+    tradeData.commission,
+    tradeData.status || "open",
+    tradeData.stopPrice,
+    tradeData.targetPrice,
+    tradeData.riskAmount,
+    now,
+    now,
+  ];
+  const lastID = await withTransaction(async (tx) => {
+    await assertOwnedSubAccount(tx, tradeData.subAccountId, tradeData.userId);
+    await assertOwnedTags(tx, tradeData.tagIds ?? [], tradeData.userId, "tagIds");
+    const { lastID: id } = await tx.run(sql, params);
+    await attachTags(tx, id, tradeData.tagIds ?? []);
+    await insertExecution(tx, id, {
+      side: openingSide(tradeData.direction),
+      quantity: tradeData.quantity,
+      price: tradeData.entryPrice,
+      executedAt: tradeData.entryDate,
     });
+    if (tradeData.status === "closed") {
+      await insertExecution(tx, id, {
+        side: closingSide(tradeData.direction),
+        quantity: tradeData.quantity,
+        price: tradeData.exitPrice,
+        executedAt: tradeData.exitDate,
+      });
+    }
+    await syncTradeWithExecutions(tx, id);
+    return id;
   });
+  console.log("Trade created with ID:", lastID);
+  return lastID;
 }
 
 /**
- * Finds a single trade by its unique ID.
+ * Finds a single trade by its unique ID, if it belongs to the acting user.
  * 
  * @param {number} id - The ID of the trade to find.
- * @returns {Promise<object|null>} A promise that resolves with the trade object if found, or null otherwise.
+ * @param {number} userId - The ID of the acting user.
+ * @returns {Promise<object|null>} A promise that resolves with the trade object (with its `tags`) if found, or null otherwise (including trades of other users).
  * @throws {Error} Throws an error if the database query fails.
  */
-function findTradeById(id) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      SELECT * FROM trades WHERE id = ?
-    `;
-    const params = [id];
-
-    // Use db.get as we expect a single row
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error("Error finding trade by ID:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
-    });
-  });
+async function findTradeById(id, userId) {
+  const row = await get("SELECT * FROM trades WHERE id = ? AND user_id = ?", [id, userId]);
+  return row ? (await withTags([row]))[0] : null;
 }
 
 /**
@@ -126,22 +218,8 @@ function findTradeById(id) {
  * @throws {Error} Throws an error if the database query fails.
  */
 function findOpenTradesByUserId(userId) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      SELECT * FROM trades WHERE user_id = ? AND status = 'open' ORDER BY entry_date ASC
-    `;
-    const params = [userId];
-
-    // Use db.all as we expect multiple rows
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        console.error("Error finding open trades by user ID:", err.message);
-        reject(err);
-      } else {
-        resolve(rows || []);
-      }
-    });
-  });
+  const sql = "SELECT * FROM trades WHERE user_id = ? AND status = 'open' ORDER BY entry_date ASC";
+  return all(sql, [userId]);
 }
 
 /**
@@ -154,178 +232,426 @@ function findOpenTradesByUserId(userId) {
  * @throws {Error} Throws an error if the database query fails.
  */
 function findClosedTradesByUserId(userId, limit = 50, offset = 0) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-      SELECT * FROM trades 
-      WHERE user_id = ? AND status = 'closed' 
-      ORDER BY exit_date DESC,
-      entry_date DESC
-      LIMIT ? OFFSET ?
-    `;
-    const params = [userId, limit, offset];
-
-    // Use db.all as we expect multiple rows
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        console.error("Error finding closed trades by user ID:", err.message);
-        reject(err);
-      } else {
-        resolve(rows || []);
-      }
-    });
-  });
+  const sql = `
+    SELECT * FROM trades
+    WHERE user_id = ? AND status = 'closed'
+    ORDER BY exit_date DESC,
+    entry_date DESC
+    LIMIT ? OFFSET ?
+  `;
+  return all(sql, [userId, limit, offset]);
 }
 
 /**
- * Finds trades for a specific sub-account, with optional pagination.
+ * Finds trades for a specific sub-account, with optional pagination and tag filter.
  * 
  * @param {number} subAccountId - The ID of the sub-account whose trades are to be retrieved.
  * @param {number} [limit=50] - The maximum number of trades to retrieve (default: 50).
  * @param {number} [offset=0] - The number of trades to skip (for pagination) before starting to retrieve (default: 0).
- * @returns {Promise<Array>} A promise that resolves with an array of trade objects (empty array if none found).
+ * @param {number[]} [tagIds=[]] - Only trades that have all of these tags.
+ * @returns {Promise<Array>} A promise that resolves with an array of trade objects with their `tags` (empty array if none found).
+ * @throws {ValidationError} Throws if the tag IDs are invalid.
  * @throws {Error} Throws an error if the database query fails.
  */
-function findTradesBySubAccountId(subAccountId, limit = 50, offset = 0) {
-  return new Promise((resolve, reject) => {
-    // Get the user_id associated with this sub-account first
-    const findSubAccountSql = `
-      SELECT user_id FROM sub_accounts WHERE id = ?
-    `;
-    
-    db.get(findSubAccountSql, [subAccountId], (err, subAccount) => {
-      if (err) {
-        console.error("Error finding sub-account:", err.message);
-        reject(err);
-        return;
-      }
-      
-      if (!subAccount) {
-        // Sub-account not found, return empty array
-        resolve([]);
-        return;
-      }
-      
-      const userId = subAccount.user_id;
-      
-      const sql = `
-        SELECT * FROM trades 
-        WHERE sub_account_id = ? AND user_id = ?
-        ORDER BY exit_date DESC,
-        entry_date DESC
-        LIMIT ? OFFSET ?
-      `;
-      const params = [subAccountId, userId, limit, offset];
-
-      // Use db.all as we expect multiple rows
-      db.all(sql, params, (err, rows) => {
-        if (err) {
-          console.error("Error finding trades by sub-account ID:", err.message);
-          reject(err);
-        } else {
-          resolve(rows || []);
-        }
+async function findTradesBySubAccountId(subAccountId, limit = 50, offset = 0, tagIds = []) {
+  assertValid(validateSearchTrades({ tagIds }), "Invalid trade search");
+  // Get the user_id associated with this sub-account first
+  const subAccount = await get("SELECT user_id FROM sub_accounts WHERE id = ?", [subAccountId]);
+  if (!subAccount) {
+    // Sub-account not found, return empty array
+    return [];
+  }
+
+  const { conditions, params } = buildFilterConditions(
+    subAccount.user_id,
+    { subAccountId, tagIds },
+  );
+  const sql = `
+    SELECT * FROM trades
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY exit_date DESC,
+    entry_date DESC
+    LIMIT ? OFFSET ?
+  `;
+  return withTags(await all(sql, [...params, limit, offset]));
+}
+
+/**
+ * Adds `column >= from` / `column <= to` conditions for a date range.
+ * A date-only upper bound includes that whole day.
+ *
+ * @param {string} column
+ * @param {string} [from] - ISO 8601 date or timestamp.
+ * @param {string} [to] - ISO 8601 date or timestamp.
+ * @param {string[]} conditions - SQL conditions (mutated).
+ * @param {Array} params - Query parameters (mutated).
+ */
+function addDateRange(column, from, to, conditions, params) {
+  if (from !== undefined) {
+    conditions.push(`${column} >= ?`);
+    params.push(toStoredDate(from));
+  }
+  if (to !== undefined) {
+    if (DATE_ONLY_PATTERN.test(to)) {
+      const nextDay = new Date(`${to}T00:00:00Z`);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      conditions.push(`${column} < ?`);
+      params.push(nextDay.toISOString().slice(0, 10));
+    } else {
+      conditions.push(`${column} <= ?`);
+      params.push(toStoredDate(to));
+    }
+  }
+}
+
+/**
+ * Turns trade filters (see `searchTrades`) into SQL conditions for one user's trades.
+ *
+ * @param {number} userId
+ * @param {object} filters - Validated filter criteria; other keys are ignored.
+ * @returns {{conditions: string[], params: Array}}
+ */
+function buildFilterConditions(userId, filters) {
+  const conditions = ["user_id = ?"];
+  const params = [userId];
+  if (filters.ticker !== undefined) {
+    conditions.push("ticker = ? COLLATE NOCASE");
+    params.push(filters.ticker);
+  }
+  for (const [field, column] of [
+    ["direction", "direction"],
+    ["status", "status"],
+    ["subAccountId", "sub_account_id"],
+  ]) {
+    if (filters[field] !== undefined) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[field]);
+    }
+  }
+  addDateRange("entry_date", filters.entryFrom, filters.entryTo, conditions, params);
+  addDateRange("exit_date", filters.exitFrom, filters.exitTo, conditions, params);
+  if (filters.pnl !== undefined) {
+    conditions.push(PNL_SIGN_SQL[filters.pnl]);
+  }
+  if (filters.pnlMin !== undefined) {
+    conditions.push("net_pnl >= ?");
+    params.push(filters.pnlMin);
+  }
+  if (filters.pnlMax !== undefined) {
+    conditions.push("net_pnl <= ?");
+    params.push(filters.pnlMax);
+  }
+  if (filters.tagIds !== undefined && filters.tagIds.length > 0) {
+    conditions.push(`id IN (
+      SELECT trade_id FROM trade_tags
+      WHERE tag_id IN (SELECT value FROM json_each(?))
+      GROUP BY trade_id
+      HAVING COUNT(*) = ?
+    )`);
+    params.push(JSON.stringify(filters.tagIds), filters.tagIds.length);
+  }
+  return { conditions, params };
+}
+
+/**
+ * Searches a user's trades with filters, sorting and keyset (cursor) pagination.
+ *
+ * Rows are ordered by the sort field and then by id, so pages are stable even when many
+ * trades share a value. Trades without a value for the sort field (e.g. the exit date of
+ * an open trade) always come last. Pass `nextCursor` back as `cursor` to get the next page;
+ * a cursor only works with the sort it was issued for.
+ *
+ * @param {number} userId - The ID of the user whose trades are searched.
+ * @param {object} [criteria]
+ * @param {string} [criteria.ticker] - Exact ticker (case-insensitive).
+ * @param {string} [criteria.direction] - 'long' or 'short'.
+ * @param {string} [criteria.status] - 'open' or 'closed'.
+ * @param {number} [criteria.subAccountId]
+ * @param {string} [criteria.entryFrom] - Earliest entry date (inclusive).
+ * @param {string} [criteria.entryTo] - Latest entry date (inclusive).
+ * @param {string} [criteria.exitFrom] - Earliest exit date (inclusive).
+ * @param {string} [criteria.exitTo] - Latest exit date (inclusive).
+ * @param {string} [criteria.pnl] - 'positive', 'negative' or 'zero' (closed trades only).
+ * @param {number} [criteria.pnlMin] - Lowest net P&L (inclusive, closed trades only).
+ * @param {number} [criteria.pnlMax] - Highest net P&L (inclusive, closed trades only).
+ * @param {number[]} [criteria.tagIds] - Only trades that have all of these tags.
+ * @param {string} [criteria.sort='entryDate'] - Field to sort by, e.g. 'exitDate' or 'pnl'.
+ * @param {string} [criteria.order='desc'] - 'asc' or 'desc'.
+ * @param {number} [criteria.limit=50] - Page size (at most 200).
+ * @param {string} [criteria.cursor] - `nextCursor` of the previous page.
+ * @returns {Promise<{trades: Array, nextCursor: string|null}>} A page of trades (with their
+ *   `tags`) and the cursor of the next page (null on the last page).
+ * @throws {ValidationError} Throws if a criterion or the cursor is invalid.
+ */
+async function searchTrades(userId, criteria = {}) {
+  assertValid(validateSearchTrades(criteria), "Invalid trade search");
+  const { sort = "entryDate", order = "desc", limit = 50 } = criteria;
+
+  const { conditions, params } = buildFilterConditions(userId, criteria);
+
+  const key = `(${SORT_COLUMNS[sort]})`;
+  const [compare, direction] = order === "asc" ? [">", "ASC"] : ["<", "DESC"];
+  if (criteria.cursor !== undefined) {
+    const position = decodeCursor(criteria.cursor);
+    if (position.sort !== sort || position.order !== order || !Number.isInteger(position.id)) {
+      throw new ValidationError("Invalid trade search", {
+        cursor: "does not match the requested sort",
       });
-    });
-  });
+    }
+    // Rows after the cursor: same value with a later id, a later value, or (last) no value
+    if (position.value === null) {
+      conditions.push(`${key} IS NULL AND id ${compare} ?`);
+      params.push(position.id);
+    } else {
+      conditions.push(
+        `(${key} ${compare} ? OR (${key} = ? AND id ${compare} ?) OR ${key} IS NULL)`,
+      );
+      params.push(position.value, position.value, position.id);
+    }
+  }
+
+  const sql = `
+    SELECT *, ${key} AS sort_value FROM trades
+    WHERE ${conditions.join(" AND ")}
+    ORDER BY ${key} IS NULL, ${key} ${direction}, id ${direction}
+    LIMIT ?
+  `;
+  // One extra row tells whether there is another page
+  const rows = await all(sql, [...params, limit + 1]);
+
+  const trades = rows.slice(0, limit);
+  const last = trades[trades.length - 1];
+  const nextCursor = rows.length > limit
+    ? encodeCursor({ sort, order, value: last.sort_value, id: last.id })
+    : null;
+  for (const trade of trades) {
+    delete trade.sort_value;
+  }
+  return { trades: await withTags(trades), nextCursor };
+}
+
+/**
+ * Finds every closed trade of a user that matches the filters, in the order they were
+ * closed (by exit date, then id). Meant for analytics, which need the whole set.
+ *
+ * @param {number} userId - The ID of the user whose trades are returned.
+ * @param {object} [filters] - The filters of `searchTrades` (without status, sort or paging),
+ *   e.g. `{ subAccountId, exitFrom, exitTo }`.
+ * @returns {Promise<Array>} A promise that resolves with the closed trades, with their `tags`
+ *   (empty array if none).
+ * @throws {ValidationError} Throws if a filter is invalid.
+ */
+async function findAllClosedTrades(userId, filters = {}) {
+  assertValid(validateTradeFilters(filters), "Invalid trade filters");
+  const { conditions, params } = buildFilterConditions(userId, filters);
+  const sql = `
+    SELECT * FROM trades
+    WHERE ${conditions.join(" AND ")} AND status = 'closed'
+    ORDER BY exit_date, id
+  `;
+  return withTags(await all(sql, params));
 }
 
 /**
- * Closes an open trade by setting exit price, exit date and status.
+ * Turns what a user typed into an FTS5 query that can't be a syntax error.
+ * Words and "quoted phrases" must all match; a trailing * makes a word a prefix.
+ * Everything else (operators, parentheses, column filters) is searched as plain text.
+ *
+ * @param {string} text - e.g. `earnings gap "fomc minutes" breakout*`.
+ * @returns {string|null} The FTS5 query, or null if the text has no searchable terms.
+ */
+function toFtsQuery(text) {
+  const terms = [];
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"|([^\s"]+)/g)) {
+    const value = (phrase ?? word).trim();
+    const prefix = word !== undefined && value.length > 1 && value.endsWith("*");
+    const body = prefix ? value.slice(0, -1) : value;
+    // Only tokenizable text can match; a lone "-" or "*" would be an empty phrase
+    if (/[\p{L}\p{N}]/u.test(body)) {
+      // Terms never contain quotes (see the pattern), so wrapping them is enough
+      terms.push(`"${body}"${prefix ? "*" : ""}`);
+    }
+  }
+  return terms.length ? terms.join(" ") : null;
+}
+
+// Private-use characters snippet() wraps matches in, swapped for <mark> after HTML-escaping
+const MATCH_START = "\uE000";
+const MATCH_END = "\uE001";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+
+/**
+ * Turns a snippet with sentinel-wrapped matches into safe HTML: the note text is escaped,
+ * so only the <mark> tags are markup.
+ *
+ * @param {string|null} snippet
+ * @returns {string|null}
+ */
+function toHtmlSnippet(snippet) {
+  if (snippet === null) {
+    return null;
+  }
+  return snippet
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(MATCH_START, "<mark>")
+    .replaceAll(MATCH_END, "</mark>");
+}
+
+/**
+ * Full-text search over a user's trade notes, best matches first.
+ * Each trade gets a `snippet` of its notes as HTML: the note text is escaped and the
+ * matches are wrapped in <mark></mark>. It also gets a `rank` (lower is better).
+ *
+ * @param {number} userId - The ID of the user whose trades are searched.
+ * @param {object} criteria
+ * @param {string} criteria.query - Words and "quoted phrases" that must all appear;
+ *   `word*` matches prefixes.
+ * @param {number} [criteria.limit=20] - Maximum number of results (at most 100).
+ * @returns {Promise<Array>} A promise that resolves with the matching trades
+ *   (empty array if none found).
+ * @throws {ValidationError} Throws if the query is missing or has no searchable terms.
+ */
+async function searchTradeNotes(userId, criteria) {
+  assertValid(validateSearchNotes(criteria), "Invalid notes search");
+  const match = toFtsQuery(criteria.query);
+  if (!match) {
+    throw new ValidationError("Invalid notes search", { query: "must contain a search term" });
+  }
+
+  const sql = `
+    SELECT trades.*,
+      snippet(trades_fts, 0, ?, ?, '…', 16) AS snippet,
+      bm25(trades_fts) AS rank
+    FROM trades_fts
+    JOIN trades ON trades.id = trades_fts.rowid
+    WHERE trades_fts MATCH ? AND trades.user_id = ?
+    ORDER BY rank, trades.id
+    LIMIT ?
+  `;
+  const rows = await all(sql, [MATCH_START, MATCH_END, match, userId, criteria.limit ?? 20]);
+  for (const row of rows) {
+    row.snippet = toHtmlSnippet(row.snippet);
+  }
+  return rows;
+}
+
+/**
+ * Closes an open trade by exiting its remaining quantity at the given price and date.
+ * After partial exits (see `addExecution`), the trade's exit price is the average of all exits.
  * 
  * @param {object} closeData - Object for closing a trade.
  * @param {number} closeData.id - The ID of the trade to close.
+ * @param {number} closeData.userId - The ID of the acting user (only their trades are closed).
  * @param {number} closeData.exitPrice - The exit price of the trade.
  * @param {string} closeData.exitDate - The exit date of the trade.
- * @param {string|null} [closedData.notes=undefined] - Optional updated noted (undefined keeps existing notes)
- * @param {number|null} [closedData.commission=undefined] - Optional updated commission (undefined keeps existing commission)
- * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully closed, or false otherwise. (e.g., already closed or not found)
+ * @param {string|null} [closeData.notes=undefined] - Optional updated noted (undefined keeps existing notes)
+ * @param {number|null} [closeData.commission=undefined] - Optional fees paid on the exit; recorded on the closing fill and added to the trade's commission
+ * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully closed, or false otherwise. (e.g., already closed, not found or owned by another user)
+ * @throws {ValidationError} Throws if the exit details are invalid or the exit precedes the entry.
  * @throws {Error} Throws an error if the trade could not be closed.
  */
-function closeTrade(closeData) {
-  return new Promise((resolve, reject) => {
-    const now = new Date().toISOString();
-    // Use COALESCE to update notes/commission only if  a new value is provided
+async function closeTrade(closeData) {
+  assertValid(validateCloseTrade(closeData), "Invalid trade close");
+
+  // Load and update in one transaction so the position can't change in between
+  return withTransaction(async (tx) => {
+    // The exit can only be checked against the entry once the trade is loaded
+    const trade = await tx.get(
+      "SELECT * FROM trades WHERE id = ? AND user_id = ?",
+      [closeData.id, closeData.userId],
+    );
+    if (!trade) {
+      return false;
+    }
+    assertValid(validateCloseTrade(closeData, trade.entry_date), "Invalid trade close");
+    if (trade.status !== "open") {
+      return false;
+    }
+
+    // Like any other fill's fees (see addExecution), the exit's fees add to the commission
+    const fees = closeData.commission ?? 0;
+    await insertExecution(tx, trade.id, {
+      side: closingSide(trade.direction),
+      quantity: trade.remaining_quantity,
+      price: closeData.exitPrice,
+      executedAt: closeData.exitDate,
+      fees,
+    });
+    // Use COALESCE to update notes only if a new value is provided
     const sql = `
       UPDATE trades
-      SET exit_price = ?,
-        exit_date = ?,
-        status = 'closed',
-        updated_at = ?,
-        notes = COALESCE(?, notes),
-        commission = COALESCE(?, commission)
-      WHERE id = ? and status = 'open'
+      SET notes = COALESCE(?, notes),
+        commission = COALESCE(commission, 0) + ?
+      WHERE id = ?
     `;
-    const params = [
-      closeData.exitPrice,
-      closeData.exitDate,
-      now,
-      closeData.notes,
-      closeData.commission,
-      closeData.id,
-    ];
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("Error closing trade:", err.message);
-        reject(err);
-      } else {
-        console.log(`Attempted to close trade with ID: ${closeData.id}. 
-            Rows affected: ${this.changes}`);
-        resolve(this.changes > 0);
-      }
-    });
+    const { changes } = await tx.run(sql, [closeData.notes, fees, trade.id]);
+    await syncTradeWithExecutions(tx, trade.id);
+    console.log(`Attempted to close trade with ID: ${closeData.id}. Rows affected: ${changes}`);
+    return changes > 0;
   });
 }
 
 /**
- * Updates notes and/or commission for a specific trade.
+ * Updates the editable details of a specific trade: notes, commission, its planned risk and
+ * its tags. Passing null clears a value.
  * 
  * @param {number} id - The ID of the trade to update.
+ * @param {number} userId - The ID of the acting user (only their trades are updated).
  * @param {object} updates - Object containing fiels to update.
  * @param {string} [updates.notes] -  New notes (optional)
  * @param {number} [updates.commission] - New commission (optional)
- * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully updated, or false otherwise. (e.g., not found)
+ * @param {number} [updates.stopPrice] - New initial stop-loss price (optional)
+ * @param {number} [updates.targetPrice] - New profit target (optional)
+ * @param {number} [updates.riskAmount] - New amount risked (optional)
+ * @param {number[]} [updates.addTagIds] - IDs of the user's tags to attach (optional)
+ * @param {number[]} [updates.removeTagIds] - IDs of tags to detach (optional)
+ * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully updated, or false otherwise. (e.g., not found or owned by another user)
+ * @throws {ValidationError} Throws if a value is invalid, e.g. a stop above a long's entry price.
+ * @throws {ForeignKeyError} Throws if a tag to attach doesn't exist or belongs to another user.
  * @throws {Error} Throws an error if the trade could not be updated.
  */
-function updateTradeDetails(id, {notes=undefined, commission=undefined}) {
+async function updateTradeDetails(id, userId, updates) {
+  assertValid(validateUpdateTrade(updates), "Invalid trade update");
+  const fields = Object.keys(UPDATABLE_COLUMNS).filter((field) => updates[field] !== undefined);
+  const { addTagIds = [], removeTagIds = [] } = updates;
   //only proceed if there is something to update
-  if (notes === undefined && commission === undefined) {
-    return Promise.resolve(false); // nothing to update
+  if (fields.length === 0 && addTagIds.length === 0 && removeTagIds.length === 0) {
+    return false; // nothing to update
   }
-  return new Promise((resolve, reject) => {
-    const now = new Date().toISOString();
-    const fieldsToUpdate = [];
-    const params = [];
 
-    // Add updated_at first to ensure it's always included
-    fieldsToUpdate.push("updated_at = ?");
-    params.push(now);
-    
-    if (notes !== undefined) {
-      fieldsToUpdate.push("notes = ?");
-      params.push(notes);
+  return withTransaction(async (tx) => {
+    const trade = await tx.get(
+      "SELECT direction, entry_price FROM trades WHERE id = ? AND user_id = ?",
+      [id, userId],
+    );
+    if (!trade) {
+      return false;
     }
-    if (commission !== undefined) {
-      fieldsToUpdate.push("commission = ?");
-      params.push(commission);
+    // A stop or target only makes sense relative to the trade's direction and entry
+    assertValid(validateUpdateTrade(updates, trade), "Invalid trade update");
+    await assertOwnedTags(tx, addTagIds, userId, "addTagIds");
+
+    // Add updated_at first to ensure it's always included
+    const fieldsToUpdate = ["updated_at = ?"];
+    const params = [new Date().toISOString()];
+    for (const field of fields) {
+      fieldsToUpdate.push(`${UPDATABLE_COLUMNS[field]} = ?`);
+      params.push(updates[field]);
     }
-    
-    // Add the ID parameter last
-    params.push(id);
+
+    // Add the ID and owner parameters last
+    params.push(id, userId);
     const sql = `
       UPDATE trades
       SET ${fieldsToUpdate.join(", ")}
-      WHERE id = ?
+      WHERE id = ? AND user_id = ?
     `;
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("Error updating trade details:", err.message);
-        reject(err);
-      } else {
-        console.log(`Updated details for trade with ID: ${id}. 
-            Rows affected: ${this.changes}`);
-        resolve(this.changes > 0);
-      }
-    });
+    const { changes } = await tx.run(sql, params);
+    await attachTags(tx, id, addTagIds);
+    await detachTags(tx, id, removeTagIds);
+    console.log(`Updated details for trade with ID: ${id}. Rows affected: ${changes}`);
+    return changes > 0;
   });
 }
 
@@ -333,26 +659,14 @@ function updateTradeDetails(id, {notes=undefined, commission=undefined}) {
  * Deletes a trade by its ID. USE WITH CAUTION!
  * 
  * @param {number} id - The ID of the trade to delete.
- * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully deleted, or false otherwise. (e.g., not found)
+ * @param {number} userId - The ID of the acting user (only their trades are deleted).
+ * @returns {Promise<boolean>} A promise that resolves with true if the trade was successfully deleted, or false otherwise. (e.g., not found or owned by another user)
  * @throws {Error} Throws an error if the trade could not be deleted.
  */
-function deleteTrade(id) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-    DELETE FROM trades
-    WHERE id = ?`;
-    const params = [id];
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("Error deleting trade:", err.message);
-        reject(err);
-      } else {
-        console.log(`Deleted trade with ID: ${id}. 
-            Rows affected: ${this.changes}`);
-        resolve(this.changes > 0);
-      }
-    });
-  });
+async function deleteTrade(id, userId) {
+  const { changes } = await run("DELETE FROM trades WHERE id = ? AND user_id = ?", [id, userId]);
+  console.log(`Deleted trade with ID: ${id}. Rows affected: ${changes}`);
+  return changes > 0;
 }
 
 export {
@@ -360,9 +674,11 @@ export {
   findOpenTradesByUserId,
   findClosedTradesByUserId,
   findTradesBySubAccountId,
+  searchTrades,
+  findAllClosedTrades,
+  searchTradeNotes,
   closeTrade,
   updateTradeDetails,
   deleteTrade,
   findTradeById,
-  setDatabaseConnection,
 };
\ No newline at end of file
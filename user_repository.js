@@ -1,27 +1,5 @@
-// Import the database connection based on environment
-import process from "process";
-
-// Dynamically import the appropriate database connection based on environment
-let db;
-if (process.env.NODE_ENV === "test") {
-  // For test environment, we'll use the database connection passed to the test
-  // The actual db instance will be set during test setup
-  db = null;
-} else {
-  // For non-test environments, import the regular database
-  // Using a dynamic import would be better, but for simplicity we'll use a require-like approach
-  const dbModule = await import("./src/db/database.js");
-  db = dbModule.default;
-}
-
-/**
- * Sets the database connection to use for all repository functions.
- * This is primarily used for testing to inject a test database.
- * @param {Object} database - The database connection to use
- */
-function setDatabaseConnection(database) {
-  db = database;
-}
+// Every query runs against the active database context (see src/db/connection.js)
+import { run, get, withTransaction } from "./src/db/query.js";
 
 /**
  * Creates a new user in the database.
@@ -33,27 +11,15 @@ function setDatabaseConnection(database) {
  * @throws {Error} Throws an error if the user could not be created.
  */
 
-function createUser(username, email, passwordHash) {
-  return new Promise((resolve, reject) => {
-    const now = new Date().toISOString();
-
-    const sql = `
-            INSERT INTO users (username, email, password_hash, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?)
-        `;
-
-    const params = [username, email, passwordHash, now, now];
-
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("Error creating user:", err.message);
-        reject(err);
-      } else {
-        console.log("User created with ID:", this.lastID);
-        resolve(this.lastID);
-      }
-    });
-  });
+async function createUser(username, email, passwordHash) {
+  const now = new Date().toISOString();
+  const sql = `
+    INSERT INTO users (username, email, password_hash, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const { lastID } = await run(sql, [username, email, passwordHash, now, now]);
+  console.log("User created with ID:", lastID);
+  return lastID;
 }
 
 /**
@@ -62,22 +28,9 @@ function createUser(username, email, passwordHash) {
  * @returns {Promise<object|null>} A promise that resolves with the user object if found, or null otherwise.
  * @throws {Error} Throws an error if the database query fails.
  */
-function findUserById(id) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-    SELECT * FROM users WHERE id = ?`;
-    const params = [id];
-
-    // Use db.get to retrieve a single row
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error("Error finding user by ID:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
-    });
-  });
+async function findUserById(id) {
+  const row = await get("SELECT * FROM users WHERE id = ?", [id]);
+  return row || null;
 }
 
 /**
@@ -86,22 +39,10 @@ function findUserById(id) {
  * @returns {Promise<object|null>} A promise that resolves with the user object if found, or null otherwise.
  * @throws {Error} Throws an error if the database query fails.
  */
-function findUserByEmail(email) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-    SELECT * FROM users WHERE email = ?`;
-    const params = [email];
-
-    // Use db.get as email should be unique
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error("Error finding user by email:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
-    });
-  });
+async function findUserByEmail(email) {
+  // Email is unique, so a single row is enough
+  const row = await get("SELECT * FROM users WHERE email = ?", [email]);
+  return row || null;
 }
 
 /**
@@ -110,22 +51,10 @@ function findUserByEmail(email) {
  * @returns {Promise<object|null>} A promise that resolves with the user object if found, or null otherwise.
  * @throws {Error} Throws an error if the database query fails.
  */
-function findUserByUsername(username) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-    SELECT * FROM users WHERE username = ?`;
-    const params = [username];
-
-    // Use db.get as username should be unique
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error("Error finding user by username:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
-    });
-  });
+async function findUserByUsername(username) {
+  // Username is unique, so a single row is enough
+  const row = await get("SELECT * FROM users WHERE username = ?", [username]);
+  return row || null;
 }
 
 /**
@@ -141,77 +70,26 @@ function findUserByUsername(username) {
  * @throws {Error} Throws an error if the transaction fails.
  */
 function createUserWithSettings(username, email, passwordHash, defaultSettings) {
-  return new Promise((resolve, reject) => {
+  return withTransaction(async (tx) => {
     const now = new Date().toISOString();
-
-    // Begin transaction
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION;', (err) => {
-        if (err) {
-          console.error("Error beginning transaction:", err.message);
-          return reject(err); // Stop if we can't even begin
-        }
-      });
-
-      // 1. Insert User
-      const userSql = `
-        INSERT INTO users (username, email, password_hash, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?)
-      `;
-      const userParams = [username, email, passwordHash, now, now];
-
-      // We need the user ID for the settings insert, so we use 'this.lastID'
-      // in the callback of the user insert.
-      db.run(userSql, userParams, function (userErr) {
-        if (userErr) {
-          console.error("Error inserting user during transaction:", userErr.message);
-          // Rollback on error
-          db.run('ROLLBACK;', () => reject(userErr));
-          return; // Stop execution here
-        }
-
-        // Get the new user's ID
-        const userId = this.lastID;
-        console.log(`User inserted with ID: ${userId}`);
-
-        // 2. Insert User Settings
-        // Assuming user_settings table has user_id, default_currency, theme, created_at, updated_at
-        const settingsSql = `
-          INSERT INTO user_settings (user_id, default_currency, theme, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?)
-        `;
-        const settingsParams = [
-          userId,
-          defaultSettings.default_currency || 'USD', // Use provided or default
-          defaultSettings.theme || 'light',         // Use provided or default
-          now,
-          now
-        ];
-
-        db.run(settingsSql, settingsParams, (settingsErr) => {
-          if (settingsErr) {
-            console.error("Error inserting user settings during transaction:", settingsErr.message);
-            // Rollback on error
-            db.run('ROLLBACK;', () => reject(settingsErr));
-            return; // Stop execution here
-          }
-
-          console.log(`User settings inserted for user ID: ${userId}`);
-
-          // 3. If both inserts succeeded, commit the transaction
-          db.run('COMMIT;', (commitErr) => {
-            if (commitErr) {
-              console.error("Error committing transaction:", commitErr.message);
-              // Try to rollback (though commit failing is tricky)
-              db.run('ROLLBACK;', () => reject(commitErr));
-            } else {
-              console.log("Transaction committed successfully.");
-              resolve(userId); // Resolve with the new user's ID
-            }
-          });
-        });
-      });
-    });
+    const { lastID: userId } = await tx.run(
+      `INSERT INTO users (username, email, password_hash, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)`,
+      [username, email, passwordHash, now, now],
+    );
+    await tx.run(
+      `INSERT INTO user_settings (user_id, default_currency, theme, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)`,
+      [
+        userId,
+        defaultSettings.default_currency || "USD", // Use provided or default
+        defaultSettings.theme || "light", // Use provided or default
+        now,
+        now,
+      ],
+    );
+    console.log(`User ${userId} created with settings`);
+    return userId;
   });
 }
 
@@ -221,18 +99,74 @@ function createUserWithSettings(username, email, passwordHash, defaultSettings)
  * @returns {Promise<object|null>} Settings object or null if not found.
  */
 async function findSettingsByUserId(userId) {
-  return new Promise((resolve, reject) => {
-    const sql = `
-        SELECT * FROM user_settings WHERE user_id = ?`;
-    db.get(sql, [userId], (err, row) => {
-      if (err) {
-        console.error("Error finding user settings by user ID:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
-    });
-  });
+  const row = await get("SELECT * FROM user_settings WHERE user_id = ?", [userId]);
+  return row || null;
+}
+
+/**
+ * Replaces a user's password hash.
+ * IMPORTANT: The password must be hashed before being passed to this function.
+ * @param {number} userId
+ * @param {string} passwordHash
+ * @returns {Promise<boolean>} A promise that resolves with true if the user was updated, or false otherwise. (e.g., not found)
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function updatePasswordHash(userId, passwordHash) {
+  const sql = "UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?";
+  const { changes } = await run(sql, [passwordHash, new Date().toISOString(), userId]);
+  return changes > 0;
+}
+
+/**
+ * Marks a user's email address as verified (keeps the original timestamp if already verified).
+ * @param {number} userId
+ * @returns {Promise<boolean>} A promise that resolves with true if the user was updated, or false otherwise. (e.g., not found)
+ * @throws {Error} Throws an error if the update fails.
+ */
+async function markEmailVerified(userId) {
+  const now = new Date().toISOString();
+  const sql = `
+    UPDATE users
+    SET email_verified_at = COALESCE(email_verified_at, ?), updated_at = ?
+    WHERE id = ?`;
+  const { changes } = await run(sql, [now, now, userId]);
+  return changes > 0;
+}
+
+// Columns of user_settings that updateSettings is allowed to write
+const UPDATABLE_SETTINGS_COLUMNS = [
+  "default_currency",
+  "theme",
+  "timezone",
+  "default_sub_account_id",
+];
+
+/**
+ * Updates a user's settings, creating the settings row first if the user has none.
+ * Only known settings columns are written; other keys are ignored.
+ * IMPORTANT: Values must be validated before calling this function.
+ *
+ * @param {number} userId
+ * @param {object} updates - Settings to change, keyed by column (e.g., { theme: 'dark', timezone: 'America/New_York' }).
+ * @returns {Promise<boolean>} A promise that resolves with true if settings were written, or false if there was nothing to update.
+ * @throws {Error} Throws an error if the update fails (e.g., user does not exist).
+ */
+async function updateSettings(userId, updates) {
+  const columns = UPDATABLE_SETTINGS_COLUMNS.filter((column) => updates[column] !== undefined);
+  if (columns.length === 0) {
+    return false; // nothing to update
+  }
+  const now = new Date().toISOString();
+  // Upsert so users created without settings (createUser) can still save them
+  const sql = `
+      INSERT INTO user_settings (user_id, ${columns.join(", ")}, created_at, updated_at)
+      VALUES (?, ${columns.map(() => "?").join(", ")}, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        ${columns.map((column) => `${column} = excluded.${column}`).join(", ")},
+        updated_at = excluded.updated_at`;
+  const params = [userId, ...columns.map((column) => updates[column]), now, now];
+  const { changes } = await run(sql, params);
+  return changes > 0;
 }
 
 export { 
@@ -242,5 +176,7 @@ export {
   findUserByUsername,
   createUserWithSettings,
   findSettingsByUserId,
-  setDatabaseConnection, // Export the function to set the database connection
+  updateSettings,
+  updatePasswordHash,
+  markEmailVerified,
 };
\ No newline at end of file